@@ -3,7 +3,152 @@ const loginForm = document.getElementById("admin-login");
 const statusEl = document.getElementById("admin-status");
 const dataPanel = document.getElementById("admin-data");
 const logoutBtn = document.getElementById("logout-btn");
+const registrationTables = document.getElementById("registration-tables");
 const tableBody = document.getElementById("admin-table-body");
+const filterForm = document.getElementById("registration-filters");
+const filterDestination = document.getElementById("filter-destination");
+const seatTabs = document.getElementById("seat-tabs");
+const trashCount = document.getElementById("trash-count");
+const trashHint = document.getElementById("trash-hint");
+const bulkCount = document.getElementById("bulk-count");
+const bulkTrashBtn = document.getElementById("bulk-trash");
+const bulkRestoreBtn = document.getElementById("bulk-restore");
+const bulkPurgeBtn = document.getElementById("bulk-purge");
+const selectAllRows = document.getElementById("select-all-rows");
+const sortHeaders = document.getElementById("registration-sort-headers");
+const pagePrev = document.getElementById("page-prev");
+const pageNext = document.getElementById("page-next");
+const pageInfo = document.getElementById("page-info");
+const pageLimit = document.getElementById("page-limit");
+const exportFormat = document.getElementById("export-format");
+const exportBtn = document.getElementById("export-btn");
+const toursPanel = document.getElementById("admin-tours");
+const tourForm = document.getElementById("tour-form");
+const timezoneOptions = document.getElementById("timezone-options");
+const calendarsPanel = document.getElementById("admin-calendars");
+const calendarFeedForm = document.getElementById("calendar-feed-form");
+const calendarFeedTour = document.getElementById("calendar-feed-tour");
+const calendarFeedLink = document.getElementById("calendar-feed-link");
+const calendarFeedTableBody = document.getElementById("calendar-feed-table-body");
+const tourList = document.getElementById("tour-list");
+const editorDialog = document.getElementById("registration-editor");
+const editorForm = document.getElementById("registration-edit-form");
+const editorFields = document.getElementById("registration-edit-fields");
+const editorTitle = document.getElementById("editor-title");
+const editorStatus = document.getElementById("registration-edit-status");
+const editorCancelBtn = document.getElementById("registration-edit-cancel");
+const editorReloadBtn = document.getElementById("registration-edit-reload");
+const detailDialog = document.getElementById("registration-detail");
+const detailTitle = document.getElementById("detail-title");
+const detailFields = document.getElementById("detail-fields");
+const detailTimeline = document.getElementById("detail-timeline");
+const detailCloseBtn = document.getElementById("detail-close-btn");
+const statusForm = document.getElementById("status-form");
+const statusSelect = document.getElementById("status-select");
+const importPanel = document.getElementById("admin-import");
+const importForm = document.getElementById("import-form");
+const importCommitBtn = document.getElementById("import-commit-btn");
+const importSummary = document.getElementById("import-summary");
+const importReport = document.getElementById("import-report");
+const importReportBody = document.getElementById("import-report-body");
+const articlesPanel = document.getElementById("admin-articles");
+const articleTableBody = document.getElementById("article-table-body");
+const articleForm = document.getElementById("article-form");
+const articleFormTitle = document.getElementById("article-form-title");
+const articleTourSelect = document.getElementById("article-tour-select");
+const newArticleBtn = document.getElementById("new-article-btn");
+const articleCancelBtn = document.getElementById("article-cancel-btn");
+const adminTabs = document.getElementById("admin-tabs");
+const analyticsPanel = document.getElementById("admin-analytics");
+const statsFilters = document.getElementById("stats-filters");
+const statsTotals = document.getElementById("stats-totals");
+const statsDestinations = document.getElementById("stats-destinations");
+const statsCities = document.getElementById("stats-cities");
+const statsTimeline = document.getElementById("stats-timeline");
+const statsUpcoming = document.getElementById("stats-upcoming");
+const auditPanel = document.getElementById("admin-audit");
+const auditFilters = document.getElementById("audit-filters");
+const auditTableBody = document.getElementById("audit-table-body");
+const auditPrev = document.getElementById("audit-prev");
+const auditNext = document.getElementById("audit-next");
+const auditPageInfo = document.getElementById("audit-page-info");
+const auditVerifyBtn = document.getElementById("audit-verify-btn");
+const auditVerifyStatus = document.getElementById("audit-verify-status");
+const quarantinePanel = document.getElementById("admin-quarantine");
+const quarantineTableBody = document.getElementById("quarantine-table-body");
+const quarantineClearBtn = document.getElementById("quarantine-clear-btn");
+const usersPanel = document.getElementById("admin-users");
+const webhooksPanel = document.getElementById("admin-webhooks");
+const webhookForm = document.getElementById("webhook-form");
+const webhookSecret = document.getElementById("webhook-secret");
+const webhookTableBody = document.getElementById("webhook-table-body");
+const webhookDeliveries = document.getElementById("webhook-deliveries");
+const webhookDeliveriesTitle = document.getElementById("webhook-deliveries-title");
+const webhookDeliveryTableBody = document.getElementById("webhook-delivery-table-body");
+const webhookDeliveriesRefresh = document.getElementById("webhook-deliveries-refresh");
+const webhookDeliveriesPrev = document.getElementById("webhook-deliveries-prev");
+const webhookDeliveriesNext = document.getElementById("webhook-deliveries-next");
+const webhookDeliveriesPageInfo = document.getElementById("webhook-deliveries-page-info");
+const userForm = document.getElementById("user-form");
+const userTableBody = document.getElementById("user-table-body");
+const inviteLink = document.getElementById("invite-link");
+const inviteForm = document.getElementById("invite-form");
+const inviteUsername = document.getElementById("invite-username");
+const loginTitle = document.getElementById("admin-login-title");
+const adminIdentity = document.getElementById("admin-identity");
+const totpLoginForm = document.getElementById("totp-login-form");
+const totpLoginBack = document.getElementById("totp-login-back");
+const securityPanel = document.getElementById("admin-security");
+const totpState = document.getElementById("totp-state");
+const totpSetupBtn = document.getElementById("totp-setup-btn");
+const totpEnroll = document.getElementById("totp-enroll");
+const totpQr = document.getElementById("totp-qr");
+const totpSecret = document.getElementById("totp-secret");
+const totpEnableForm = document.getElementById("totp-enable-form");
+const totpRecovery = document.getElementById("totp-recovery");
+const totpRecoveryList = document.getElementById("totp-recovery-list");
+const totpManageForm = document.getElementById("totp-manage-form");
+const totpDisableBtn = document.getElementById("totp-disable-btn");
+const forgotPasswordBtn = document.getElementById("forgot-password-btn");
+const forgotForm = document.getElementById("forgot-form");
+const forgotBack = document.getElementById("forgot-back");
+const resetForm = document.getElementById("reset-form");
+const resetUsername = document.getElementById("reset-username");
+const emailForm = document.getElementById("email-form");
+const passwordForm = document.getElementById("password-form");
+const sessionTableBody = document.getElementById("session-table-body");
+const logoutEverywhereBtn = document.getElementById("logout-everywhere-btn");
+
+// CSRF token the server requires on every state-changing request (see lib/security.js)
+let csrfToken = null;
+const loadCsrfToken = async () => {
+    const response = await fetch("/api/csrf-token", {
+        credentials: "include"
+    });
+    csrfToken = (await response.json()).token;
+    return csrfToken;
+};
+
+// fetch() for the API: sends the session cookie and, on anything but GET, the CSRF token.
+// A 403 on a write is retried once with a fresh token in case the old one went stale.
+const apiFetch = async (url, options = {}) => {
+    const method = (options.method || "GET").toUpperCase();
+    if (method === "GET") {
+        return fetch(url, { credentials: "include", ...options });
+    }
+    const send = async () =>
+        fetch(url, {
+            credentials: "include",
+            ...options,
+            headers: { ...options.headers, "X-CSRF-Token": csrfToken || (await loadCsrfToken()) }
+        });
+    const response = await send();
+    if (response.status !== 403) {
+        return response;
+    }
+    await loadCsrfToken();
+    return send();
+};
 
 // Display login / error feedback messages
 const setStatus = (message, isError = false) => {
@@ -13,26 +158,68 @@ const setStatus = (message, isError = false) => {
     }
 };
 
-// Render registration rows in the admin table
-const renderRows = (rows = []) => {
-    if (!tableBody) return;
-    tableBody.innerHTML = rows
-        .map(
-            (row) => `
-      <tr data-id="${row.id}"
-          data-full-name="${row.full_name}"
-          data-sex="${row.sex}"
-          data-phone="${row.phone}"
-          data-email="${row.email}"
-          data-destination="${row.destination}"
-          data-city="${row.city}"
-          data-persons="${row.persons}"
-          data-travel-time="${row.travel_time}"
-          data-message="${row.message || ""}">
+// Counter badge for each seat status tab
+const seatCounts = {
+    confirmed: document.getElementById("confirmed-count"),
+    waitlisted: document.getElementById("waitlist-count"),
+    cancelled: document.getElementById("cancelled-count")
+};
+
+// Current list query: filters from the form plus tab, sort and paging state. `trash` switches the
+// list to deleted bookings.
+const listState = {
+    filters: {},
+    seatStatus: "confirmed",
+    trash: false,
+    sort: "createdAt",
+    order: "desc",
+    page: 1,
+    limit: 25,
+    totalPages: 1
+};
+
+// Human labels for booking workflow statuses
+const STATUS_LABELS = {
+    pending: "Pending",
+    contacted: "Contacted",
+    confirmed: "Confirmed",
+    paid: "Paid",
+    cancelled: "Cancelled",
+    "no-show": "No-show"
+};
+
+const statusBadge = (status) => `<span class="status-badge status-${status}">${STATUS_LABELS[status] || status}</span>`;
+
+// Row actions for a booking in the trash
+const trashActions = (row) => `
+            <span class="trash-note">Deleted ${new Date(row.deleted_at).toLocaleString()}</span>
+            <button class="secondary-btn details-btn" type="button">Details</button>
+            <button class="secondary-btn restore-btn" type="button" data-permission="registrations.write">Restore</button>
+            <button class="danger-btn purge-btn" type="button" data-permission="registrations.write">Delete forever</button>`;
+
+// Row actions for a live booking
+const bookingActions = (row) => `
+            <button class="secondary-btn details-btn" type="button">Details</button>
+            <button class="secondary-btn edit-btn" type="button" data-permission="registrations.write">Edit</button>
+            ${
+                ["cancelled", "no-show"].includes(row.status)
+                    ? ""
+                    : '<button class="secondary-btn cancel-btn" type="button" data-permission="registrations.write">Cancel</button>'
+            }
+            <button class="danger-btn delete-btn" type="button" data-permission="registrations.write">Delete</button>`;
+
+// Build one registration row; the position cell only shows on waitlisted rows
+const rowTemplate = (row) => `
+      <tr data-id="${row.id}">
+        <td class="select-col" data-permission="registrations.write">
+            <input type="checkbox" class="row-select" aria-label="Select booking #${row.id}">
+        </td>
+        <td class="waitlist-col">${row.seat_status === "waitlisted" ? `#${row.waitlist_position}` : row.seat_status}</td>
         <td>${row.id}</td>
+        <td>${statusBadge(row.status)}</td>
         <td>${row.full_name}</td>
         <td>${row.sex}</td>
-        <td>${row.phone}</td>
+        <td>${Phone.formatInternational(row.phone, row.phone_country)}</td>
         <td>${row.email}</td>
         <td>${row.destination}</td>
         <td>${row.city}</td>
@@ -40,156 +227,2590 @@ const renderRows = (rows = []) => {
         <td>${new Date(row.travel_time).toLocaleString()}</td>
         <td>${row.message || ""}</td>
         <td>${new Date(row.created_at).toLocaleString()}</td>
-        <td>
-            <button class="secondary-btn edit-btn" type="button">Edit</button>
-            <button class="danger-btn delete-btn" type="button">Delete</button>
-        </td>
-      </tr>`
-        )
-        .join("");
+        <td>${row.deleted_at ? trashActions(row) : bookingActions(row)}</td>
+      </tr>`;
+
+// Ids of the rows ticked on the current page
+const selectedRegistrationIds = () =>
+    Array.from(tableBody?.querySelectorAll(".row-select:checked") || []).map((box) => Number(box.closest("tr").dataset.id));
+
+// Match the bulk bar to the selection: the count, and which actions the open list offers
+const updateBulkActions = () => {
+    const ids = selectedRegistrationIds();
+    const rows = tableBody?.querySelectorAll(".row-select").length || 0;
+    if (bulkCount) {
+        bulkCount.textContent = ids.length ? `${ids.length} selected` : "No bookings selected";
+    }
+    bulkTrashBtn?.classList.toggle("hidden", listState.trash);
+    bulkRestoreBtn?.classList.toggle("hidden", !listState.trash);
+    bulkPurgeBtn?.classList.toggle("hidden", !listState.trash);
+    [bulkTrashBtn, bulkRestoreBtn, bulkPurgeBtn].forEach((button) => {
+        if (button) button.disabled = ids.length === 0;
+    });
+    if (selectAllRows) {
+        selectAllRows.checked = rows > 0 && ids.length === rows;
+        selectAllRows.indeterminate = ids.length > 0 && ids.length < rows;
+    }
+};
+
+// Render one page of registrations plus the tab counts, sort arrows and pager
+const renderRows = (payload) => {
+    if (tableBody) {
+        tableBody.innerHTML = (payload.data || []).map(rowTemplate).join("");
+    }
+    Object.entries(seatCounts).forEach(([seatStatus, badge]) => {
+        if (badge) {
+            badge.textContent = String(payload.counts?.[seatStatus] ?? 0);
+        }
+    });
+
+    if (trashCount) {
+        trashCount.textContent = String(payload.trashCount ?? 0);
+    }
+    if (trashHint) {
+        const days = payload.trashRetentionDays;
+        trashHint.textContent = `Bookings in the trash are deleted for good ${days} days after they were deleted.`;
+        trashHint.classList.toggle("hidden", !listState.trash);
+    }
+    updateBulkActions();
+
+    // The position column is only meaningful when the waitlist tab is open
+    registrationTables?.classList.toggle("show-position", !listState.trash && listState.seatStatus !== "confirmed");
+    seatTabs?.querySelectorAll(".seat-tab").forEach((tab) => {
+        const active = tab.dataset.trash ? listState.trash : !listState.trash && tab.dataset.seatStatus === listState.seatStatus;
+        tab.classList.toggle("is-active", active);
+        tab.setAttribute("aria-selected", String(active));
+    });
+    sortHeaders?.querySelectorAll(".sort-btn").forEach((button) => {
+        const th = button.closest("th");
+        if (button.dataset.sort === listState.sort) {
+            th?.setAttribute("aria-sort", listState.order === "asc" ? "ascending" : "descending");
+        } else {
+            th?.removeAttribute("aria-sort");
+        }
+    });
+
+    listState.totalPages = payload.totalPages || 1;
+    if (pageInfo) {
+        pageInfo.textContent = `Page ${payload.page} of ${listState.totalPages} (${payload.total} bookings)`;
+    }
+    if (pagePrev) pagePrev.disabled = listState.page <= 1;
+    if (pageNext) pageNext.disabled = listState.page >= listState.totalPages;
+};
+
+// Query string for the current filters, tab, sort and page
+const listQuery = () => {
+    const params = new URLSearchParams();
+    Object.entries(listState.filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    if (listState.trash) params.set("trash", "1");
+    if (listState.seatStatus) params.set("seatStatus", listState.seatStatus);
+    params.set("sort", listState.sort);
+    params.set("order", listState.order);
+    params.set("page", String(listState.page));
+    params.set("limit", String(listState.limit));
+    return params.toString();
 };
 
 // Fetch registrations from the backend API
 const loadRegistrations = async () => {
-    const response = await fetch("/api/admin/registrations", {
+    const response = await apiFetch(`/api/admin/registrations?${listQuery()}`, {
         credentials: "include"
     });
 
     if (!response.ok) {
-        throw new Error("Unable to load registrations.");
+        const data = await response.json().catch(() => ({}));
+        setStatus(data.message || "Unable to load registrations.", true);
+        return;
     }
 
     const payload = await response.json();
-    renderRows(payload.data || []);
+    // Deleting the last row of the last page leaves us past the end; step back
+    if (!payload.data.length && listState.page > 1 && listState.page > payload.totalPages) {
+        listState.page = payload.totalPages;
+        await loadRegistrations();
+        return;
+    }
+    renderRows(payload);
 };
 
-// Determine whether the admin is already logged in
-const checkSession = async () => {
-    const response = await fetch("/api/admin/me", {
+// Format integer cents as a price for the tour tables
+const formatPrice = (cents) => (cents / 100).toLocaleString(undefined, { style: "currency", currency: "USD" });
+
+// Tours with their departures as last loaded; the registration editor's departure picker uses them
+let tourCatalog = [];
+
+// Build one tour with its departures and an inline form to schedule more
+const tourCard = (tour) => {
+    const card = document.createElement("div");
+    card.className = "tour-admin";
+    Object.assign(card.dataset, {
+        tourId: tour.id,
+        slug: tour.slug,
+        name: tour.name,
+        description: tour.description || "",
+        timezone: tour.timezone
+    });
+    card.innerHTML = `
+        <div class="admin-header">
+            <h3></h3>
+            <div data-permission="content.write">
+                <button class="secondary-btn edit-tour-btn" type="button">Edit</button>
+                <button class="danger-btn delete-tour-btn" type="button">Delete</button>
+            </div>
+        </div>
+        <div class="table-wrap">
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>ID</th>
+                        <th>Departs</th>
+                        <th>Capacity</th>
+                        <th>Price</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${tour.departures
+                        .map(
+                            (departure) => `
+                    <tr data-departure-id="${departure.id}"
+                        data-departs-at="${departure.departs_at}"
+                        data-capacity="${departure.capacity}"
+                        data-price-cents="${departure.price_cents}">
+                        <td>${departure.id}</td>
+                        <td>${new Date(departure.departs_at).toLocaleString()}</td>
+                        <td>${departure.capacity}</td>
+                        <td>${formatPrice(departure.price_cents)}</td>
+                        <td>
+                            <button class="secondary-btn edit-departure-btn" type="button" data-permission="content.write">Edit</button>
+                            <button class="danger-btn delete-departure-btn" type="button" data-permission="content.write">Delete</button>
+                        </td>
+                    </tr>`
+                        )
+                        .join("")}
+                </tbody>
+            </table>
+        </div>
+        <form class="admin-form admin-inline-form departure-form" data-permission="content.write">
+            <label>
+                Departs
+                <input type="datetime-local" name="departsAt" required>
+            </label>
+            <label>
+                Capacity
+                <input type="number" name="capacity" min="1" step="1" required>
+            </label>
+            <label>
+                Price (USD)
+                <input type="number" name="price" min="0" step="0.01" required>
+            </label>
+            <button type="submit" class="primary-btn">Add departure</button>
+        </form>
+    `;
+    const heading = card.querySelector("h3");
+    const meta = document.createElement("small");
+    meta.textContent = `/${tour.slug} · ${tour.timezone}`;
+    heading.append(`${tour.name} `, meta);
+    return card;
+};
+
+// Render each tour card
+const renderTours = (tours = []) => {
+    tourList?.replaceChildren(...tours.map(tourCard));
+};
+
+// Fetch tours and departures from the backend API
+const loadTours = async () => {
+    const response = await apiFetch("/api/admin/tours", {
         credentials: "include"
     });
 
-    if (response.ok) {
-        dataPanel?.classList.remove("hidden");
-        loginForm?.classList.add("hidden");
-        await loadRegistrations();
+    if (!response.ok) {
+        throw new Error("Unable to load tours.");
     }
+
+    const payload = await response.json();
+    tourCatalog = payload.data || [];
+    renderTours(tourCatalog);
+    renderTourOptions(tourCatalog);
 };
 
-// Handle admin login form submission
-loginForm?.addEventListener("submit", async (event) => {
-    event.preventDefault();
-    setStatus("");
+// Refill a tour picker after its blank option, keeping whatever was chosen
+const fillTourSelect = (select, blankLabel, tours, valueOf) => {
+    if (!select) return;
+    const current = select.value;
+    select.replaceChildren(new Option(blankLabel, ""), ...tours.map((tour) => new Option(tour.name, valueOf(tour))));
+    select.value = current;
+};
 
-    const formData = new FormData(loginForm);
-    const payload = {
-        username: formData.get("username"),
-        password: formData.get("password")
+// Keep the article editor's linked-tour picker and the destination filter in sync with the tour list
+const renderTourOptions = (tours = []) => {
+    fillTourSelect(calendarFeedTour, "All tours", tours, (tour) => tour.id);
+    fillTourSelect(filterDestination, "All destinations", tours, (tour) => tour.name);
+    fillTourSelect(articleTourSelect, "No booking form", tours, (tour) => tour.id);
+};
+
+// Render the article list with publish toggles
+const renderArticles = (articles = []) => {
+    if (!articleTableBody) return;
+    articleTableBody.innerHTML = articles
+        .map(
+            (article) => `
+      <tr data-article-id="${article.id}" data-published="${article.published}">
+        <td>${article.sort_order}</td>
+        <td><a href="/articles/${article.slug}" target="_blank" rel="noopener">${article.title}</a></td>
+        <td>${article.slug}</td>
+        <td>${article.tour_name || "—"}</td>
+        <td>${article.published ? "Published" : "Draft"}</td>
+        <td>${new Date(article.updated_at).toLocaleString()}</td>
+        <td>
+            <button class="secondary-btn edit-article-btn" type="button" data-permission="content.write">Edit</button>
+            <button class="secondary-btn publish-article-btn" type="button" data-permission="content.write">
+                ${article.published ? "Unpublish" : "Publish"}
+            </button>
+            <button class="danger-btn delete-article-btn" type="button" data-permission="content.write">Delete</button>
+        </td>
+      </tr>`
+        )
+        .join("");
+};
+
+// Fetch the article list from the backend API
+const loadArticles = async () => {
+    const response = await apiFetch("/api/admin/articles", {
+        credentials: "include"
+    });
+
+    if (!response.ok) {
+        throw new Error("Unable to load articles.");
+    }
+
+    const payload = await response.json();
+    renderArticles(payload.data || []);
+};
+
+// Open the article editor, blank for a new article or filled from an existing one
+const openArticleEditor = (article = null) => {
+    if (!articleForm) return;
+    articleForm.reset();
+    const fields = articleForm.elements;
+    const facts = article?.facts || { heading: "", items: [], cards: [] };
+    fields.namedItem("id").value = article?.id ?? "";
+    fields.namedItem("title").value = article?.title ?? "";
+    fields.namedItem("slug").value = article?.slug ?? "";
+    fields.namedItem("navLabel").value = article?.nav_label ?? "";
+    fields.namedItem("sortOrder").value = article?.sort_order ?? 0;
+    fields.namedItem("heroImage").value = article?.hero_image ?? "";
+    fields.namedItem("heroAlt").value = article?.hero_alt ?? "";
+    fields.namedItem("caption").value = article?.caption ?? "";
+    fields.namedItem("quote").value = article?.quote ?? "";
+    fields.namedItem("factsHeading").value = facts.heading;
+    fields.namedItem("factsItems").value = facts.items.join("\n");
+    fields.namedItem("factsCards").value = facts.cards.map((card) => `${card.heading} | ${card.text}`).join("\n");
+    fields.namedItem("body").value = article?.body ?? "";
+    fields.namedItem("tourId").value = article?.tour_id ?? "";
+    fields.namedItem("registerTitle").value = article?.register_title ?? "";
+    fields.namedItem("registerNote").value = article?.register_note ?? "";
+    fields.namedItem("published").checked = Boolean(article?.published);
+    if (articleFormTitle) {
+        articleFormTitle.textContent = article ? `Edit “${article.title}”` : "New article";
+    }
+    articleForm.classList.remove("hidden");
+    articleForm.scrollIntoView({ behavior: "smooth" });
+};
+
+// Turn the editor's textareas back into the facts structure the API expects
+const readArticleForm = () => {
+    const formData = new FormData(articleForm);
+    const lines = (name) =>
+        String(formData.get(name) || "")
+            .split("\n")
+            .map((line) => line.trim())
+            .filter(Boolean);
+    return {
+        title: formData.get("title"),
+        slug: formData.get("slug"),
+        navLabel: formData.get("navLabel"),
+        sortOrder: formData.get("sortOrder"),
+        heroImage: formData.get("heroImage"),
+        heroAlt: formData.get("heroAlt"),
+        caption: formData.get("caption"),
+        quote: formData.get("quote"),
+        facts: {
+            heading: formData.get("factsHeading"),
+            items: lines("factsItems"),
+            cards: lines("factsCards").map((line) => {
+                const [heading, ...text] = line.split("|");
+                return { heading: heading.trim(), text: text.join("|").trim() };
+            })
+        },
+        body: formData.get("body"),
+        tourId: formData.get("tourId") || null,
+        registerTitle: formData.get("registerTitle"),
+        registerNote: formData.get("registerNote"),
+        published: formData.get("published") === "on"
     };
+};
 
-    const response = await fetch("/api/admin/login", {
-        method: "POST",
+// Send a JSON request to an admin endpoint and surface failures in the status line
+const sendAdminRequest = async (url, method, body, fallbackError) => {
+    const response = await apiFetch(url, {
+        method,
         headers: {
             "Content-Type": "application/json"
         },
         credentials: "include",
-        body: JSON.stringify(payload)
+        body: body ? JSON.stringify(body) : undefined
     });
 
     if (!response.ok) {
         const data = await response.json().catch(() => ({}));
-        setStatus(data.message || "Login failed.", true);
-        return;
+        setStatus(data.message || fallbackError, true);
+        return false;
     }
+    return true;
+};
 
-    loginForm.reset();
-    loginForm.classList.add("hidden");
-    dataPanel?.classList.remove("hidden");
-    await loadRegistrations();
-});
+// Audit log filters and paging state
+const auditState = {
+    filters: {},
+    page: 1,
+    totalPages: 1
+};
 
-// Handle admin logout
-logoutBtn?.addEventListener("click", async () => {
-    await fetch("/api/admin/logout", {
-        method: "POST",
+// Short "field: old → new" summary of an audit entry's details
+const describeAuditDetails = (details) => {
+    if (details.changes) {
+        return Object.entries(details.changes)
+            .map(([field, change]) => `${field}: ${change.before ?? "—"} → ${change.after ?? "—"}`)
+            .join("; ");
+    }
+    return Object.entries(details)
+        .map(([key, value]) => `${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`)
+        .join("; ");
+};
+
+// Build one audit row with textContent, since usernames from failed logins are user input
+const auditRow = (entry) => {
+    const row = document.createElement("tr");
+    const cells = [
+        entry.id,
+        new Date(entry.created_at).toLocaleString(),
+        entry.username || "—",
+        entry.action,
+        entry.target_type ? `${entry.target_type} #${entry.target_id ?? "—"}` : "—",
+        describeAuditDetails(entry.details),
+        [entry.ip, entry.user_agent].filter(Boolean).join(" · ")
+    ];
+    cells.forEach((value) => {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+    });
+    return row;
+};
+
+// Fetch the current page of the audit log
+const loadAudit = async () => {
+    const params = new URLSearchParams({ page: auditState.page });
+    Object.entries(auditState.filters).forEach(([key, value]) => {
+        if (value) {
+            params.set(key, value);
+        }
+    });
+
+    const response = await apiFetch(`/api/admin/audit?${params}`, {
         credentials: "include"
     });
-    dataPanel?.classList.add("hidden");
-    loginForm?.classList.remove("hidden");
-    setStatus("Logged out.");
-});
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        setStatus(data.message || "Unable to load audit log.", true);
+        return;
+    }
 
-// Handle edit/delete actions via event delegation
-tableBody?.addEventListener("click", async (event) => {
-    const target = event.target;
-    if (!(target instanceof HTMLElement)) return;
+    const payload = await response.json();
+    auditState.totalPages = payload.totalPages;
+    auditTableBody?.replaceChildren(...payload.data.map(auditRow));
+    if (!payload.data.length) {
+        auditTableBody.innerHTML = '<tr><td colspan="7">No audit entries match these filters.</td></tr>';
+    }
+    if (auditPageInfo) {
+        auditPageInfo.textContent = `Page ${payload.page} of ${payload.totalPages} (${payload.total} entries)`;
+    }
+    if (auditPrev) {
+        auditPrev.disabled = payload.page <= 1;
+    }
+    if (auditNext) {
+        auditNext.disabled = payload.page >= payload.totalPages;
+    }
+};
 
-    const row = target.closest("tr");
-    if (!row) return;
+// Signed-in admin from /api/admin/me; elements tagged data-permission are hidden by CSS
+// unless the permission is listed on <body data-permissions>
+let currentAdmin = null;
 
-    const id = row.dataset.id;
-    if (!id) return;
+const ROLE_LABELS = {
+    viewer: "Viewer",
+    editor: "Editor",
+    owner: "Owner"
+};
 
-    if (target.classList.contains("delete-btn")) {
-        if (!confirm("Delete this registration?")) return;
+// Build one admin user row; owners can't change or delete their own account
+const userRow = (user) => {
+    const isSelf = currentAdmin && user.username === currentAdmin.username;
+    const state = user.disabled ? "Disabled" : user.invite_pending ? "Invite pending" : "Active";
+    const row = document.createElement("tr");
+    row.dataset.userId = user.id;
+    row.dataset.disabled = user.disabled;
+    const addCell = (value) => {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+        return cell;
+    };
 
-        const response = await fetch(`/api/admin/registrations/${id}`, {
-            method: "DELETE",
-            credentials: "include"
-        });
+    addCell(`${user.username}${isSelf ? " (you)" : ""}`);
+    addCell(user.email || "—");
+    const select = document.createElement("select");
+    select.className = "user-role-select";
+    select.setAttribute("aria-label", `Role for ${user.username}`);
+    select.disabled = Boolean(isSelf);
+    Object.entries(ROLE_LABELS).forEach(([role, label]) => {
+        select.appendChild(new Option(label, role, false, role === user.role));
+    });
+    addCell("").appendChild(select);
+    addCell(state);
+    addCell(user.totp_enabled ? "On" : "Off");
+    addCell(user.created_at ? new Date(user.created_at).toLocaleString() : "—");
 
-        if (!response.ok) {
-            const data = await response.json().catch(() => ({}));
-            setStatus(data.message || "Delete failed.", true);
-            return;
+    const actions = document.createElement("td");
+    actions.innerHTML = `
+        ${user.invite_pending ? '<button class="secondary-btn renew-invite-btn" type="button">New invite link</button>' : ""}
+        ${
+            isSelf
+                ? ""
+                : `<button class="secondary-btn toggle-user-btn" type="button">${user.disabled ? "Enable" : "Disable"}</button>
+        ${user.totp_enabled ? '<button class="secondary-btn reset-totp-btn" type="button">Reset 2FA</button>' : ""}
+        <button class="danger-btn delete-user-btn" type="button">Delete</button>`
         }
-        setStatus("Registration deleted.");
-        await loadRegistrations();
+    `;
+    row.appendChild(actions);
+    return row;
+};
+
+// Fetch admin accounts (owners only)
+const loadUsers = async () => {
+    const response = await apiFetch("/api/admin/users", {
+        credentials: "include"
+    });
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        setStatus(data.message || "Unable to load users.", true);
         return;
     }
 
-    if (target.classList.contains("edit-btn")) {
-        const promptField = (label, value) => {
-            const result = prompt(label, value ?? "");
-            return result === null ? null : result.trim();
-        };
+    const payload = await response.json();
+    userTableBody?.replaceChildren(...payload.data.map(userRow));
+};
 
-        const updated = {
-            fullName: promptField("Full name:", row.dataset.fullName),
-            sex: promptField("Sex (female/male/nonbinary/prefer-not):", row.dataset.sex),
-            phone: promptField("Phone (+CCC-123-123-1234):", row.dataset.phone),
-            email: promptField("Email:", row.dataset.email),
-            destination: promptField("Destination Country:", row.dataset.destination),
-            city: promptField("City:", row.dataset.city),
-            persons: promptField("Number of persons (1-20):", row.dataset.persons),
-            travelTime: promptField("Travel time (YYYY-MM-DDTHH:mm):", row.dataset.travelTime),
-            message: promptField("Message:", row.dataset.message)
-        };
+// Show an invite link the owner can pass on to the new admin
+const showInviteLink = (username, url) => {
+    if (inviteLink) {
+        inviteLink.textContent = `Invite link for ${username} (valid for 7 days): ${url}`;
+        inviteLink.classList.add("is-success");
+    }
+};
 
-        if (Object.values(updated).some((value) => value === null)) {
-            return;
-        }
+const CALENDAR_FEED_MODES = {
+    departures: "One per departure",
+    registrations: "One per booking"
+};
 
-        const response = await fetch(`/api/admin/registrations/${id}`,
-            {
-                method: "PUT",
-                headers: {
-                    "Content-Type": "application/json"
-                },
-                credentials: "include",
-                body: JSON.stringify(updated)
-            }
+// Build one calendar feed row with textContent: labels are free text
+const calendarFeedRow = (feed) => {
+    const row = document.createElement("tr");
+    row.dataset.feedId = feed.id;
+    [
+        feed.label,
+        feed.tour_id ? feed.tour_name || "Deleted tour" : "All tours",
+        CALENDAR_FEED_MODES[feed.mode] || feed.mode,
+        `${new Date(feed.created_at).toLocaleString()}${feed.created_by ? ` by ${feed.created_by}` : ""}`,
+        feed.last_used_at ? new Date(feed.last_used_at).toLocaleString() : "Never",
+        feed.revoked_at ? `Revoked ${new Date(feed.revoked_at).toLocaleString()}` : "Active"
+    ].forEach((value) => {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+    });
+    const actions = document.createElement("td");
+    if (!feed.revoked_at) {
+        actions.innerHTML =
+            '<button class="danger-btn revoke-feed-btn" type="button" data-permission="registrations.write">Revoke</button>';
+    }
+    row.appendChild(actions);
+    return row;
+};
+
+// Fetch the calendar feeds, revoked ones included
+const loadCalendarFeeds = async () => {
+    const response = await apiFetch("/api/admin/calendar-feeds", {
+        credentials: "include"
+    });
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        setStatus(data.message || "Unable to load calendar feeds.", true);
+        return;
+    }
+    const payload = await response.json();
+    calendarFeedTableBody?.replaceChildren(...payload.data.map(calendarFeedRow));
+    if (!payload.data.length) {
+        calendarFeedTableBody.innerHTML = '<tr><td colspan="7">No calendar feeds yet.</td></tr>';
+    }
+};
+
+const DELIVERY_STATUS_LABELS = {
+    pending: "Pending",
+    delivered: "Delivered",
+    failed: "Failed"
+};
+
+// Endpoint whose delivery log is open, and the page shown
+const deliveryState = {
+    endpointId: null,
+    url: "",
+    page: 1,
+    totalPages: 1
+};
+
+// Build one webhook endpoint row with textContent
+const webhookRow = (endpoint) => {
+    const row = document.createElement("tr");
+    row.dataset.webhookId = endpoint.id;
+    row.dataset.url = endpoint.url;
+    row.dataset.description = endpoint.description;
+    row.dataset.events = JSON.stringify(endpoint.events);
+    row.dataset.active = endpoint.active;
+    [
+        endpoint.description ? `${endpoint.url} (${endpoint.description})` : endpoint.url,
+        endpoint.events.join(", "),
+        endpoint.active ? "Active" : "Paused",
+        DELIVERY_STATUS_LABELS[endpoint.last_delivery_status] || "None yet"
+    ].forEach((value) => {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+    });
+    const actions = document.createElement("td");
+    actions.innerHTML = `
+        <button class="secondary-btn webhook-log-btn" type="button">Deliveries</button>
+        <button class="secondary-btn webhook-ping-btn" type="button">Send ping</button>
+        <button class="secondary-btn webhook-edit-btn" type="button">Edit</button>
+        <button class="secondary-btn webhook-toggle-btn" type="button">${endpoint.active ? "Pause" : "Resume"}</button>
+        <button class="danger-btn webhook-delete-btn" type="button">Delete</button>`;
+    row.appendChild(actions);
+    return row;
+};
+
+// Fetch the webhook endpoints (owners only)
+const loadWebhooks = async () => {
+    const response = await apiFetch("/api/admin/webhooks", {
+        credentials: "include"
+    });
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        setStatus(data.message || "Unable to load webhooks.", true);
+        return;
+    }
+    const payload = await response.json();
+    webhookTableBody?.replaceChildren(...payload.data.map(webhookRow));
+    if (!payload.data.length) {
+        webhookTableBody.innerHTML = '<tr><td colspan="5">No webhooks yet.</td></tr>';
+    }
+};
+
+// Build one delivery log row; the receiver's reply and errors are shown as text
+const deliveryRow = (delivery) => {
+    const row = document.createElement("tr");
+    row.dataset.deliveryId = delivery.id;
+    [
+        delivery.redelivery_of ? `${delivery.id} (repeat of ${delivery.redelivery_of})` : String(delivery.id),
+        delivery.event,
+        new Date(delivery.created_at).toLocaleString(),
+        delivery.status === "pending" && delivery.attempts
+            ? `Retrying ${new Date(delivery.next_attempt_at).toLocaleString()}`
+            : DELIVERY_STATUS_LABELS[delivery.status] || delivery.status,
+        String(delivery.attempts),
+        delivery.response_status ? String(delivery.response_status) : "—",
+        delivery.last_error || "—"
+    ].forEach((value) => {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+    });
+    const actions = document.createElement("td");
+    actions.innerHTML = '<button class="secondary-btn redeliver-btn" type="button">Redeliver</button>';
+    row.appendChild(actions);
+    return row;
+};
+
+// Fetch one page of the open endpoint's delivery log
+const loadDeliveries = async () => {
+    if (!deliveryState.endpointId) return;
+    const response = await apiFetch(
+        `/api/admin/webhooks/${deliveryState.endpointId}/deliveries?page=${deliveryState.page}`,
+        { credentials: "include" }
+    );
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        setStatus(data.message || "Unable to load deliveries.", true);
+        return;
+    }
+    const payload = await response.json();
+    deliveryState.totalPages = payload.totalPages;
+    webhookDeliveriesTitle.textContent = `Deliveries to ${deliveryState.url}`;
+    webhookDeliveryTableBody?.replaceChildren(...payload.data.map(deliveryRow));
+    if (!payload.data.length) {
+        webhookDeliveryTableBody.innerHTML = '<tr><td colspan="8">Nothing has been sent to this endpoint yet.</td></tr>';
+    }
+    webhookDeliveriesPageInfo.textContent = `Page ${payload.page} of ${payload.totalPages} (${payload.total} deliveries)`;
+    webhookDeliveries?.classList.remove("hidden");
+};
+
+// Show one dashboard panel and mark its tab as active
+const showPanel = (panelId) => {
+    [
+        dataPanel,
+        analyticsPanel,
+        importPanel,
+        quarantinePanel,
+        toursPanel,
+        articlesPanel,
+        calendarsPanel,
+        auditPanel,
+        usersPanel,
+        webhooksPanel,
+        securityPanel
+    ].forEach((panel) => {
+        panel?.classList.toggle("hidden", panel.id !== panelId);
+    });
+    adminTabs?.querySelectorAll("[data-panel]").forEach((tab) => {
+        tab.classList.toggle("is-active", tab.dataset.panel === panelId);
+    });
+    if (panelId === "admin-analytics") {
+        loadStats();
+    }
+    if (panelId === "admin-quarantine") {
+        loadQuarantine();
+    }
+    if (panelId === "admin-calendars") {
+        loadCalendarFeeds();
+    }
+    if (panelId === "admin-audit") {
+        loadAudit();
+    }
+    if (panelId === "admin-users") {
+        loadUsers();
+    }
+    if (panelId === "admin-webhooks") {
+        loadWebhooks();
+    }
+    if (panelId === "admin-security") {
+        loadSecurity();
+        loadSessions();
+    }
+};
+
+// Filters and the last response of the Analytics tab; the timeline shows daily or weekly counts
+const statsState = {
+    filters: {},
+    period: "daily",
+    data: null
+};
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Create an SVG element. Labels go in with textContent, since cities are typed in by travelers.
+const svgElement = (name, attributes = {}, text = "") => {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    if (text) {
+        element.textContent = text;
+    }
+    return element;
+};
+
+const emptyChart = () => {
+    const note = document.createElement("p");
+    note.className = "form-note";
+    note.textContent = "No registrations match these filters.";
+    return note;
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+// Horizontal bars of travelers (persons) per label, longest first
+const barChart = (rows, labelKey) => {
+    if (!rows.length) {
+        return emptyChart();
+    }
+    const rowHeight = 28;
+    const labelWidth = 170;
+    const barSpace = 330;
+    const max = Math.max(...rows.map((row) => row.persons), 1);
+    const svg = svgElement("svg", {
+        viewBox: `0 0 600 ${rows.length * rowHeight}`,
+        class: "stats-svg",
+        role: "img",
+        "aria-label": rows.map((row) => `${row[labelKey]}: ${plural(row.persons, "traveler")}`).join(", ")
+    });
+    rows.forEach((row, index) => {
+        const y = index * rowHeight;
+        const width = Math.max((row.persons / max) * barSpace, 1);
+        const group = svgElement("g");
+        group.append(
+            svgElement("title", {}, `${row[labelKey]}: ${plural(row.persons, "traveler")} in ${plural(row.registrations, "registration")}`),
+            svgElement("text", { x: labelWidth - 8, y: y + 18, "text-anchor": "end", class: "stats-label" }, row[labelKey]),
+            svgElement("rect", { x: labelWidth, y: y + 5, width, height: rowHeight - 10, rx: 3, class: "stats-bar" }),
+            svgElement("text", { x: labelWidth + width + 6, y: y + 18, class: "stats-value" }, String(row.persons))
         );
+        svg.append(group);
+    });
+    return svg;
+};
 
-        if (!response.ok) {
-            const data = await response.json().catch(() => ({}));
-            setStatus(data.message || "Update failed.", true);
-            return;
+// Columns over time; `valueKey` picks registrations or persons and `describe` names one column
+const columnChart = (rows, valueKey, describe) => {
+    if (!rows.length) {
+        return emptyChart();
+    }
+    const width = 600;
+    const height = 220;
+    const top = 16;
+    const bottom = 30;
+    const left = 36;
+    const plotHeight = height - top - bottom;
+    const slot = (width - left) / rows.length;
+    const max = Math.max(...rows.map((row) => row[valueKey]), 1);
+    const labelEvery = Math.ceil(rows.length / 8);
+    const svg = svgElement("svg", {
+        viewBox: `0 0 ${width} ${height}`,
+        class: "stats-svg",
+        role: "img",
+        "aria-label": rows
+            .filter((row) => row[valueKey])
+            .map(describe)
+            .join(", ")
+    });
+    svg.append(
+        svgElement("line", { x1: left, x2: width, y1: top + plotHeight, y2: top + plotHeight, class: "stats-axis" }),
+        svgElement("text", { x: left - 6, y: top + 4, "text-anchor": "end", class: "stats-value" }, String(max)),
+        svgElement("text", { x: left - 6, y: top + plotHeight, "text-anchor": "end", class: "stats-value" }, "0")
+    );
+    rows.forEach((row, index) => {
+        const barHeight = (row[valueKey] / max) * plotHeight;
+        const x = left + index * slot;
+        const group = svgElement("g");
+        group.append(
+            svgElement("title", {}, describe(row)),
+            svgElement("rect", {
+                x: x + slot * 0.1,
+                y: top + plotHeight - barHeight,
+                width: Math.max(slot * 0.8, 1),
+                height: barHeight,
+                class: "stats-bar"
+            })
+        );
+        if (index % labelEvery === 0) {
+            group.append(
+                svgElement("text", { x: x + slot / 2, y: height - 10, "text-anchor": "middle", class: "stats-label" }, row.period)
+            );
         }
+        svg.append(group);
+    });
+    return svg;
+};
 
-        await loadRegistrations();
+// Draw the registrations timeline for the chosen period
+const renderStatsTimeline = () => {
+    const rows = statsState.data ? statsState.data[statsState.period] : [];
+    const prefix = statsState.period === "weekly" ? "Week of " : "";
+    statsTimeline?.replaceChildren(
+        columnChart(rows, "registrations", (row) => `${prefix}${row.period}: ${plural(row.registrations, "registration")}`)
+    );
+    analyticsPanel?.querySelectorAll("[data-stats-period]").forEach((button) => {
+        button.classList.toggle("is-active", button.dataset.statsPeriod === statsState.period);
+    });
+};
+
+// What the totals line says was counted, by the seat status the stats were filtered on
+const STATS_SEAT_LABELS = {
+    confirmed: " (confirmed seats)",
+    waitlisted: " (waitlisted)",
+    cancelled: " (cancelled)"
+};
+
+// Fetch the analytics for the current filters and draw every chart
+const loadStats = async () => {
+    const params = new URLSearchParams();
+    Object.entries(statsState.filters).forEach(([key, value]) => {
+        if (value) {
+            params.set(key, value);
+        }
+    });
+
+    const response = await apiFetch(`/api/admin/stats?${params}`, {
+        credentials: "include"
+    });
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        setStatus(data.message || "Unable to load analytics.", true);
+        return;
+    }
+
+    statsState.data = await response.json();
+    const { seatStatus, totals, destinations, cities, upcoming } = statsState.data;
+    const counted = STATS_SEAT_LABELS[seatStatus] || "";
+    statsTotals.textContent = `${plural(totals.registrations, "registration")}, ${plural(totals.persons, "traveler")}${counted}`;
+    statsDestinations?.replaceChildren(barChart(destinations, "destination"));
+    statsCities?.replaceChildren(barChart(cities.slice(0, 10), "city"));
+    statsUpcoming?.replaceChildren(
+        columnChart(upcoming, "persons", (row) => `${row.period}: ${plural(row.persons, "traveler")}`)
+    );
+    renderStatsTimeline();
+};
+
+// Build one quarantined submission row with textContent: everything in it came from the public form
+const quarantineRow = (entry) => {
+    const row = document.createElement("tr");
+    row.dataset.quarantineId = entry.id;
+    const departure = entry.tourName
+        ? `${entry.tourName} · ${new Date(entry.departsAt).toLocaleString()}`
+        : "Departure no longer exists";
+    [
+        new Date(entry.createdAt).toLocaleString(),
+        entry.registration.fullName,
+        entry.registration.email,
+        departure,
+        entry.registration.persons,
+        entry.registration.message || "—",
+        `${entry.reasons.join(", ")} (${entry.ip || "unknown IP"})`
+    ].forEach((value) => {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+    });
+    const actions = document.createElement("td");
+    actions.innerHTML = `
+        <button class="secondary-btn approve-quarantine-btn" type="button" data-permission="registrations.write">Approve</button>
+        <button class="danger-btn discard-quarantine-btn" type="button" data-permission="registrations.write">Discard</button>
+    `;
+    row.appendChild(actions);
+    return row;
+};
+
+// Fetch submissions waiting in the quarantine
+const loadQuarantine = async () => {
+    const response = await apiFetch("/api/admin/quarantine", {
+        credentials: "include"
+    });
+    if (!response.ok) {
+        setStatus("Unable to load quarantine.", true);
+        return;
+    }
+    const payload = await response.json();
+    quarantineTableBody?.replaceChildren(...payload.data.map(quarantineRow));
+};
+
+// Show the two-factor state and the controls that apply to it
+const loadSecurity = async () => {
+    const response = await apiFetch("/api/admin/totp", {
+        credentials: "include"
+    });
+    if (!response.ok) {
+        setStatus("Unable to load security settings.", true);
+        return;
+    }
+
+    const status = await response.json();
+    if (emailForm && currentAdmin) {
+        emailForm.elements.email.value = currentAdmin.email || "";
+    }
+    if (totpState) {
+        totpState.textContent = status.enabled
+            ? `Two-factor authentication is on. ${status.recoveryCodesLeft} recovery codes left.`
+            : status.required
+              ? "Two-factor authentication is required for admin accounts. Set it up to continue."
+              : "Two-factor authentication is off.";
+        totpState.classList.toggle("is-error", !status.enabled && status.required);
+    }
+    totpSetupBtn?.classList.toggle("hidden", status.enabled);
+    totpManageForm?.classList.toggle("hidden", !status.enabled);
+    totpDisableBtn?.classList.toggle("hidden", status.required);
+    if (status.enabled) {
+        totpEnroll?.classList.add("hidden");
+    }
+};
+
+// Build one active session row with textContent: the user agent comes from whoever signed in
+const sessionRow = (entry) => {
+    const row = document.createElement("tr");
+    row.dataset.sessionId = entry.id;
+    [
+        entry.userAgent || "Unknown device",
+        entry.ip || "—",
+        entry.signedInAt ? new Date(entry.signedInAt).toLocaleString() : "—",
+        new Date(entry.lastSeenAt).toLocaleString()
+    ].forEach((value) => {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+    });
+    const actions = document.createElement("td");
+    if (entry.current) {
+        actions.textContent = "This session";
+    } else {
+        actions.innerHTML = '<button class="secondary-btn revoke-session-btn" type="button">Sign out</button>';
+    }
+    row.appendChild(actions);
+    return row;
+};
+
+// Fetch the signed-in admin's active sessions
+const loadSessions = async () => {
+    const response = await apiFetch("/api/admin/sessions", {
+        credentials: "include"
+    });
+    if (!response.ok) {
+        setStatus("Unable to load sessions.", true);
+        return;
+    }
+    const payload = await response.json();
+    sessionTableBody?.replaceChildren(...payload.data.map(sessionRow));
+};
+
+// List recovery codes right after they're issued; the server never shows them again
+const showRecoveryCodes = (codes) => {
+    if (!totpRecoveryList) return;
+    totpRecoveryList.innerHTML = codes.map((code) => `<li><code>${code}</code></li>`).join("");
+    totpRecovery?.classList.remove("hidden");
+};
+
+// Show the dashboard panels the admin's role allows and load their data. When two-factor is
+// enforced and not set up yet, only the Security panel is available.
+const showDashboard = async (admin) => {
+    currentAdmin = admin;
+    const mustEnroll = admin.totpRequired && !admin.totpEnabled;
+    document.body.dataset.permissions = mustEnroll ? "" : admin.permissions.join(" ");
+    if (adminIdentity) {
+        adminIdentity.textContent = `${admin.username} · ${ROLE_LABELS[admin.role] || admin.role}`;
+    }
+    loginForm?.classList.add("hidden");
+    totpLoginForm?.classList.add("hidden");
+    adminTabs?.classList.remove("hidden");
+    adminTabs?.querySelectorAll("[data-panel]").forEach((tab) => {
+        tab.classList.toggle("hidden", mustEnroll && tab.dataset.panel !== "admin-security");
+    });
+    if (mustEnroll) {
+        showPanel("admin-security");
+        return;
+    }
+    showPanel("admin-data");
+    await Promise.all([loadRegistrations(), loadTours(), loadArticles()]);
+};
+
+// Determine whether the admin is already logged in
+const checkSession = async () => {
+    const response = await apiFetch("/api/admin/me", {
+        credentials: "include"
+    });
+
+    if (response.ok) {
+        await showDashboard(await response.json());
+    }
+};
+
+// Invite links open admin.html?invite=<token>; swap the login form for a set-password form
+const showInviteForm = async (token) => {
+    const response = await apiFetch(`/api/admin/invites/${encodeURIComponent(token)}`);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        setStatus(data.message || "This invite link is invalid or has expired.", true);
+        return;
+    }
+    loginForm?.classList.add("hidden");
+    inviteForm?.classList.remove("hidden");
+    if (loginTitle) {
+        loginTitle.textContent = "Accept Invite";
+    }
+    if (inviteUsername) {
+        inviteUsername.textContent = data.username;
+    }
+};
+
+// "4:05" style wait time for the login lockout message
+const formatWait = (seconds) =>
+    seconds >= 60 ? `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}` : `${seconds}s`;
+
+// Keep the sign-in button disabled and show the remaining wait until the server accepts logins again
+let loginCountdown = null;
+const startLoginCountdown = (message, seconds) => {
+    const submitBtn = loginForm?.querySelector("button[type=submit]");
+    const endsAt = Date.now() + seconds * 1000;
+    clearInterval(loginCountdown);
+
+    const tick = () => {
+        const remaining = Math.ceil((endsAt - Date.now()) / 1000);
+        if (remaining <= 0) {
+            clearInterval(loginCountdown);
+            if (submitBtn) {
+                submitBtn.disabled = false;
+            }
+            setStatus("You can try signing in again.");
+            return;
+        }
+        if (submitBtn) {
+            submitBtn.disabled = true;
+        }
+        setStatus(`${message} Too many attempts — try again in ${formatWait(remaining)}.`, true);
+    };
+
+    tick();
+    loginCountdown = setInterval(tick, 1000);
+};
+
+// Handle admin login form submission
+loginForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    setStatus("");
+
+    const formData = new FormData(loginForm);
+    const payload = {
+        username: formData.get("username"),
+        password: formData.get("password")
+    };
+
+    const response = await apiFetch("/api/admin/login", {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json"
+        },
+        credentials: "include",
+        body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const retryAfter = Number(response.headers.get("Retry-After"));
+        if (response.status === 429 && retryAfter > 0) {
+            startLoginCountdown(data.message || "Login failed.", retryAfter);
+        } else {
+            setStatus(data.message || "Login failed.", true);
+        }
+        return;
+    }
+
+    const data = await response.json().catch(() => ({}));
+    loginForm.reset();
+    // Signing in replaces the CSRF token along with the session
+    csrfToken = data.csrfToken || csrfToken;
+    if (data.twoFactorRequired) {
+        loginForm.classList.add("hidden");
+        totpLoginForm?.classList.remove("hidden");
+        totpLoginForm?.elements.code.focus();
+        setStatus(data.message);
+        return;
+    }
+    await checkSession();
+});
+
+// Second login step: authenticator or recovery code
+totpLoginForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const response = await apiFetch("/api/admin/login/totp", {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json"
+        },
+        credentials: "include",
+        body: JSON.stringify({ code: new FormData(totpLoginForm).get("code") })
+    });
+    const data = await response.json().catch(() => ({}));
+    totpLoginForm.reset();
+    if (!response.ok) {
+        setStatus(data.message || "Invalid code.", true);
+        // 401 means the pending login expired or ran out of tries; start over from the password
+        if (response.status === 401) {
+            totpLoginForm.classList.add("hidden");
+            loginForm?.classList.remove("hidden");
+        }
+        return;
+    }
+    csrfToken = data.csrfToken || csrfToken;
+    setStatus("");
+    await checkSession();
+});
+
+totpLoginBack?.addEventListener("click", () => {
+    totpLoginForm?.classList.add("hidden");
+    loginForm?.classList.remove("hidden");
+    setStatus("");
+});
+
+// Start two-factor enrollment: show the QR code and key for the authenticator app
+totpSetupBtn?.addEventListener("click", async () => {
+    const response = await apiFetch("/api/admin/totp/setup", {
+        method: "POST",
+        credentials: "include"
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        setStatus(data.message || "Unable to start two-factor setup.", true);
+        return;
+    }
+    totpQr.src = data.qrCode;
+    totpSecret.textContent = data.secret;
+    totpRecovery?.classList.add("hidden");
+    totpEnroll?.classList.remove("hidden");
+    totpEnableForm?.elements.code.focus();
+});
+
+// Confirm enrollment with the first code, then show the recovery codes
+totpEnableForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const response = await apiFetch("/api/admin/totp/enable", {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json"
+        },
+        credentials: "include",
+        body: JSON.stringify({ code: new FormData(totpEnableForm).get("code") })
+    });
+    const data = await response.json().catch(() => ({}));
+    totpEnableForm.reset();
+    if (!response.ok) {
+        setStatus(data.message || "Unable to enable two-factor authentication.", true);
+        return;
+    }
+    setStatus(data.message);
+    showRecoveryCodes(data.recoveryCodes);
+    await loadSecurity();
+    // An admin who had to enroll first can now use the rest of the dashboard
+    if (currentAdmin && !currentAdmin.totpEnabled) {
+        currentAdmin.totpEnabled = true;
+        document.body.dataset.permissions = currentAdmin.permissions.join(" ");
+        adminTabs?.querySelectorAll("[data-panel]").forEach((tab) => tab.classList.remove("hidden"));
+        await Promise.all([loadRegistrations(), loadTours(), loadArticles()]);
+    }
+});
+
+// New recovery codes or turning two-factor off, both confirmed with a current code
+totpManageForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const action = event.submitter?.dataset.action;
+    if (action === "disable" && !confirm("Turn off two-factor authentication?")) return;
+
+    const response = await apiFetch(`/api/admin/totp/${action === "disable" ? "disable" : "recovery-codes"}`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json"
+        },
+        credentials: "include",
+        body: JSON.stringify({ code: new FormData(totpManageForm).get("code") })
+    });
+    const data = await response.json().catch(() => ({}));
+    totpManageForm.reset();
+    if (!response.ok) {
+        setStatus(data.message || "Request failed.", true);
+        return;
+    }
+    setStatus(data.message);
+    if (data.recoveryCodes) {
+        showRecoveryCodes(data.recoveryCodes);
+    } else {
+        totpRecovery?.classList.add("hidden");
+        if (currentAdmin) {
+            currentAdmin.totpEnabled = false;
+        }
+    }
+    await loadSecurity();
+});
+
+// Password reset links open admin.html?reset=<token>; swap the login form for a new-password form
+const showResetForm = async (token) => {
+    const response = await apiFetch(`/api/admin/password/reset/${encodeURIComponent(token)}`);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        setStatus(data.message || "This reset link is invalid or has expired.", true);
+        return;
+    }
+    loginForm?.classList.add("hidden");
+    resetForm?.classList.remove("hidden");
+    if (loginTitle) {
+        loginTitle.textContent = "Reset Password";
+    }
+    if (resetUsername) {
+        resetUsername.textContent = data.username;
+    }
+};
+
+// Back from the invite, reset or forgot-password forms to the login form
+const showLoginForm = (username) => {
+    [inviteForm, resetForm, forgotForm].forEach((form) => form?.classList.add("hidden"));
+    loginForm?.classList.remove("hidden");
+    if (loginTitle) {
+        loginTitle.textContent = "Admin Login";
+    }
+    if (loginForm && username) {
+        loginForm.elements.username.value = username;
+    }
+};
+
+forgotPasswordBtn?.addEventListener("click", () => {
+    loginForm?.classList.add("hidden");
+    forgotForm?.classList.remove("hidden");
+    setStatus("");
+});
+
+forgotBack?.addEventListener("click", () => {
+    showLoginForm();
+    setStatus("");
+});
+
+// Ask for a reset link; the server answers the same way whether or not the account exists
+forgotForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const response = await apiFetch("/api/admin/password/forgot", {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json"
+        },
+        body: JSON.stringify({ login: new FormData(forgotForm).get("login") })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        setStatus(data.message || "Unable to send a reset link.", true);
+        return;
+    }
+    forgotForm.reset();
+    showLoginForm();
+    setStatus(data.message);
+});
+
+// Choose a new password from a reset link, then sign in with it
+resetForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const formData = new FormData(resetForm);
+    if (formData.get("password") !== formData.get("confirm")) {
+        setStatus("Passwords do not match.", true);
+        return;
+    }
+
+    const token = new URLSearchParams(window.location.search).get("reset");
+    const response = await apiFetch(`/api/admin/password/reset/${encodeURIComponent(token)}`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json"
+        },
+        body: JSON.stringify({ password: formData.get("password") })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        setStatus(data.message || "Unable to reset password.", true);
+        return;
+    }
+
+    window.history.replaceState(null, "", window.location.pathname);
+    resetForm.reset();
+    showLoginForm(data.username);
+    setStatus(data.message);
+});
+
+// Save the email that password reset links go to
+emailForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const email = new FormData(emailForm).get("email");
+    if (await sendAdminRequest("/api/admin/email", "PUT", { email }, "Unable to save email.")) {
+        currentAdmin.email = email;
+        setStatus(email ? "Email saved." : "Email removed.");
+    }
+});
+
+// Change password; the server signs out this admin's other sessions
+passwordForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const formData = new FormData(passwordForm);
+    if (formData.get("newPassword") !== formData.get("confirm")) {
+        setStatus("New passwords do not match.", true);
+        return;
+    }
+    const body = {
+        currentPassword: formData.get("currentPassword"),
+        newPassword: formData.get("newPassword")
+    };
+    if (await sendAdminRequest("/api/admin/password", "POST", body, "Unable to change password.")) {
+        passwordForm.reset();
+        setStatus("Password changed. Other sessions have been signed out.");
+    }
+});
+
+// Accept an invite, then send the new admin to the login form
+inviteForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const formData = new FormData(inviteForm);
+    if (formData.get("password") !== formData.get("confirm")) {
+        setStatus("Passwords do not match.", true);
+        return;
+    }
+
+    const token = new URLSearchParams(window.location.search).get("invite");
+    const response = await apiFetch(`/api/admin/invites/${encodeURIComponent(token)}`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json"
+        },
+        body: JSON.stringify({ password: formData.get("password") })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        setStatus(data.message || "Unable to accept invite.", true);
+        return;
+    }
+
+    window.history.replaceState(null, "", window.location.pathname);
+    inviteForm.reset();
+    showLoginForm(data.username);
+    setStatus(data.message);
+});
+
+// Hide every dashboard panel and return to the login form
+const showLoggedOut = (message) => {
+    [
+        adminTabs,
+        dataPanel,
+        analyticsPanel,
+        importPanel,
+        quarantinePanel,
+        toursPanel,
+        articlesPanel,
+        calendarsPanel,
+        auditPanel,
+        usersPanel,
+        webhooksPanel,
+        securityPanel
+    ].forEach((element) => {
+        element?.classList.add("hidden");
+    });
+    currentAdmin = null;
+    delete document.body.dataset.permissions;
+    if (totpRecoveryList) {
+        totpRecoveryList.innerHTML = "";
+    }
+    totpRecovery?.classList.add("hidden");
+    totpEnroll?.classList.add("hidden");
+    loginForm?.classList.remove("hidden");
+    setStatus(message);
+};
+
+// Handle admin logout
+logoutBtn?.addEventListener("click", async () => {
+    await apiFetch("/api/admin/logout", {
+        method: "POST",
+        credentials: "include"
+    });
+    showLoggedOut("Logged out.");
+});
+
+// Sign out one of this admin's other sessions
+sessionTableBody?.addEventListener("click", async (event) => {
+    const target = event.target.closest(".revoke-session-btn");
+    if (!target) return;
+    const id = target.closest("tr").dataset.sessionId;
+    if (await sendAdminRequest(`/api/admin/sessions/${id}`, "DELETE", null, "Unable to sign out session.")) {
+        setStatus("Session signed out.");
+        await loadSessions();
+    }
+});
+
+// Book or throw away a quarantined submission
+quarantineTableBody?.addEventListener("click", async (event) => {
+    const approveBtn = event.target.closest(".approve-quarantine-btn");
+    const discardBtn = event.target.closest(".discard-quarantine-btn");
+    if (!approveBtn && !discardBtn) return;
+    const id = event.target.closest("tr").dataset.quarantineId;
+
+    if (approveBtn) {
+        if (await sendAdminRequest(`/api/admin/quarantine/${id}/approve`, "POST", null, "Unable to approve registration.")) {
+            setStatus("Registration approved.");
+            await Promise.all([loadQuarantine(), loadRegistrations()]);
+        }
+        return;
+    }
+    if (!confirm("Discard this submission?")) return;
+    if (await sendAdminRequest(`/api/admin/quarantine/${id}`, "DELETE", null, "Unable to discard registration.")) {
+        setStatus("Submission discarded.");
+        await loadQuarantine();
+    }
+});
+
+// Empty the quarantine
+quarantineClearBtn?.addEventListener("click", async () => {
+    if (!confirm("Discard every quarantined submission?")) return;
+    if (await sendAdminRequest("/api/admin/quarantine", "DELETE", null, "Unable to empty quarantine.")) {
+        setStatus("Quarantine emptied.");
+        await loadQuarantine();
+    }
+});
+
+// End every session of this admin, including this one
+logoutEverywhereBtn?.addEventListener("click", async () => {
+    if (!confirm("Log out of every device, including this one?")) return;
+    if (await sendAdminRequest("/api/admin/sessions", "DELETE", null, "Unable to log out everywhere.")) {
+        showLoggedOut("Logged out everywhere.");
+    }
+});
+
+// Switch between dashboard panels
+adminTabs?.addEventListener("click", (event) => {
+    const tab = event.target.closest("[data-panel]");
+    if (tab) {
+        showPanel(tab.dataset.panel);
+    }
+});
+
+// Apply the audit filters and go back to the first page
+statsFilters?.addEventListener("submit", (event) => {
+    event.preventDefault();
+    statsState.filters = Object.fromEntries(new FormData(statsFilters).entries());
+    loadStats();
+});
+
+statsFilters?.addEventListener("reset", () => {
+    statsState.filters = {};
+    setTimeout(loadStats);
+});
+
+analyticsPanel?.querySelectorAll("[data-stats-period]").forEach((button) => {
+    button.addEventListener("click", () => {
+        statsState.period = button.dataset.statsPeriod;
+        renderStatsTimeline();
+    });
+});
+
+auditFilters?.addEventListener("submit", (event) => {
+    event.preventDefault();
+    auditState.filters = Object.fromEntries(new FormData(auditFilters).entries());
+    auditState.page = 1;
+    loadAudit();
+});
+
+auditFilters?.addEventListener("reset", () => {
+    auditState.filters = {};
+    auditState.page = 1;
+    setTimeout(loadAudit);
+});
+
+auditPrev?.addEventListener("click", () => {
+    if (auditState.page > 1) {
+        auditState.page -= 1;
+        loadAudit();
+    }
+});
+
+auditNext?.addEventListener("click", () => {
+    if (auditState.page < auditState.totalPages) {
+        auditState.page += 1;
+        loadAudit();
+    }
+});
+
+// Recompute the hash chain on the server and report whether it is intact
+auditVerifyBtn?.addEventListener("click", async () => {
+    auditVerifyStatus.textContent = "Verifying…";
+    auditVerifyStatus.classList.remove("is-error", "is-success");
+    const response = await apiFetch("/api/admin/audit/verify", {
+        credentials: "include"
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        auditVerifyStatus.textContent = data.message || "Verification failed.";
+        auditVerifyStatus.classList.add("is-error");
+        return;
+    }
+    auditVerifyStatus.textContent = data.valid
+        ? `Chain intact (${data.checked} entries).`
+        : `Tampering detected at entry #${data.brokenAt}: ${data.reason}`;
+    auditVerifyStatus.classList.add(data.valid ? "is-success" : "is-error");
+});
+
+// Apply the filter form and go back to the first page
+filterForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    listState.filters = Object.fromEntries(new FormData(filterForm).entries());
+    listState.page = 1;
+    await loadRegistrations();
+});
+
+// Clear the filters once the form has reset its inputs
+filterForm?.addEventListener("reset", () => {
+    setTimeout(async () => {
+        listState.filters = {};
+        listState.page = 1;
+        await loadRegistrations();
+    });
+});
+
+// Switch between confirmed, waitlisted, cancelled, all and trashed bookings
+seatTabs?.addEventListener("click", async (event) => {
+    const tab = event.target instanceof HTMLElement ? event.target.closest(".seat-tab") : null;
+    if (!tab) return;
+    listState.trash = Boolean(tab.dataset.trash);
+    listState.seatStatus = tab.dataset.seatStatus || "";
+    listState.page = 1;
+    if (listState.trash) {
+        listState.sort = "deletedAt";
+        listState.order = "desc";
+    } else if (listState.seatStatus === "waitlisted") {
+        listState.sort = "waitlistPosition";
+        listState.order = "asc";
+    } else if (listState.sort === "deletedAt") {
+        listState.sort = "createdAt";
+        listState.order = "desc";
+    }
+    await loadRegistrations();
+});
+
+// Clicking a header sorts by it; clicking it again flips the direction
+sortHeaders?.addEventListener("click", async (event) => {
+    const button = event.target instanceof HTMLElement ? event.target.closest(".sort-btn") : null;
+    if (!button) return;
+    const sort = button.dataset.sort;
+    listState.order = listState.sort === sort && listState.order === "asc" ? "desc" : "asc";
+    listState.sort = sort;
+    listState.page = 1;
+    await loadRegistrations();
+});
+
+// Download the applied filters, tab and sort order (every page) in the chosen format
+exportBtn?.addEventListener("click", () => {
+    const params = new URLSearchParams(listQuery());
+    params.delete("page");
+    params.delete("limit");
+    params.set("format", exportFormat?.value || "csv");
+    window.location.href = `/api/admin/registrations/export?${params.toString()}`;
+});
+
+// Registration being edited: its id, the version it was loaded at and the form values it
+// started with (to notice unsaved changes), plus the newer copy a 409 sent back
+let editing = null;
+
+// Fields of the registration editor, in form order
+const EDITOR_FIELDS = ["fullName", "sex", "phoneCountry", "phone", "email", "departureId", "city", "persons", "message"];
+
+// <option>s for a schema field with a fixed list of values
+const schemaOptions = (name) =>
+    [...RegistrationSchema.FIELDS[name].options]
+        .sort((a, b) => (name === "phoneCountry" ? a.label.localeCompare(b.label) : 0))
+        .map((option) => `<option value="${option.value}">${option.label}</option>`)
+        .join("");
+
+// Editor inputs, typed and constrained like the public booking form (lib/registration-schema.js)
+const editorFieldsTemplate = () => {
+    const attrs = RegistrationSchema.constraintAttributes;
+    const errorSlot = (name) => `<span class="field-error" id="edit-${name}-error" data-error-for="${name}"></span>`;
+    return `
+        <label>
+            Full name
+            <input type="text" name="fullName" ${attrs("fullName")} aria-describedby="edit-fullName-error">
+            ${errorSlot("fullName")}
+        </label>
+        <label>
+            Sex
+            <select name="sex" ${attrs("sex")} aria-describedby="edit-sex-error">${schemaOptions("sex")}</select>
+            ${errorSlot("sex")}
+        </label>
+        <label>
+            Phone country
+            <select name="phoneCountry" aria-describedby="edit-phoneCountry-error">
+                <option value="">With country code</option>
+                ${schemaOptions("phoneCountry")}
+            </select>
+            ${errorSlot("phoneCountry")}
+        </label>
+        <label>
+            Phone number
+            <input type="tel" name="phone" ${attrs("phone")} inputmode="tel" aria-describedby="edit-phone-error">
+            ${errorSlot("phone")}
+        </label>
+        <label>
+            Email address
+            <input type="email" name="email" ${attrs("email")} aria-describedby="edit-email-error">
+            ${errorSlot("email")}
+        </label>
+        <label>
+            Departure
+            <select name="departureId" required aria-describedby="edit-departureId-error"></select>
+            ${errorSlot("departureId")}
+        </label>
+        <label>
+            City
+            <input type="text" name="city" ${attrs("city")} aria-describedby="edit-city-error">
+            ${errorSlot("city")}
+        </label>
+        <label>
+            Number of persons
+            <input type="number" name="persons" ${attrs("persons")} aria-describedby="edit-persons-error">
+            ${errorSlot("persons")}
+        </label>
+        <label class="full">
+            Message
+            <textarea name="message" rows="3" ${attrs("message")} aria-describedby="edit-message-error"></textarea>
+            ${errorSlot("message")}
+        </label>
+    `;
+};
+
+// Departures grouped by tour; a departure no longer in the catalogue (e.g. deleted) stays selectable
+const renderEditorDepartures = (registration) => {
+    const select = editorForm.elements.departureId;
+    select.innerHTML = tourCatalog
+        .map(
+            (tour) => `
+            <optgroup label="${tour.name}">
+                ${tour.departures
+                    .map((departure) => `<option value="${departure.id}">${new Date(departure.departs_at).toLocaleString()}</option>`)
+                    .join("")}
+            </optgroup>`
+        )
+        .join("");
+    if (registration.departure_id && !select.querySelector(`option[value="${registration.departure_id}"]`)) {
+        select.add(new Option(`${registration.destination} · ${new Date(registration.travel_time).toLocaleString()}`, registration.departure_id), 0);
+    }
+};
+
+// Current values of the editor's fields
+const editorValues = () => Object.fromEntries(EDITOR_FIELDS.map((name) => [name, editorForm.elements[name].value]));
+
+// Show each field's first error under its input; fields without one are cleared
+const showEditorErrors = (errors) => {
+    EDITOR_FIELDS.forEach((name) => {
+        const error = errors.find((entry) => entry.field === name);
+        editorForm.querySelector(`[data-error-for="${name}"]`).textContent = error ? error.message : "";
+        if (error) {
+            editorForm.elements[name].setAttribute("aria-invalid", "true");
+        } else {
+            editorForm.elements[name].removeAttribute("aria-invalid");
+        }
+    });
+};
+
+const setEditorStatus = (message, isError = false) => {
+    editorStatus.textContent = message;
+    editorStatus.classList.toggle("is-error", isError);
+};
+
+// Put a registration row into the editor and remember which version it is
+const fillEditor = (registration) => {
+    const phone = Phone.parsePhone(registration.phone, registration.phone_country);
+    renderEditorDepartures(registration);
+    const values = {
+        fullName: registration.full_name,
+        sex: registration.sex,
+        phoneCountry: phone ? phone.country : "",
+        phone: phone ? Phone.formatNational(phone.nationalNumber, phone.country) : registration.phone,
+        email: registration.email,
+        departureId: registration.departure_id ?? "",
+        city: registration.city,
+        persons: registration.persons,
+        message: registration.message || ""
+    };
+    EDITOR_FIELDS.forEach((name) => {
+        editorForm.elements[name].value = values[name];
+    });
+    editorTitle.textContent = `Edit registration #${registration.id}`;
+    editing = { id: registration.id, version: registration.version, initial: JSON.stringify(editorValues()), latest: null };
+    showEditorErrors([]);
+    setEditorStatus("");
+    editorReloadBtn.classList.add("hidden");
+};
+
+// Load the latest copy of a registration and open the editor on it
+const openRegistrationEditor = async (id) => {
+    const response = await apiFetch(`/api/admin/registrations/${id}`, { credentials: "include" });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        setStatus(data.message || "Unable to load registration.", true);
+        return;
+    }
+    if (!tourCatalog.length) {
+        await loadTours().catch(() => undefined);
+    }
+    fillEditor(data.data);
+    editorDialog.showModal();
+    editorForm.elements.fullName.focus();
+};
+
+// Close the editor, asking first when there are unsaved changes. Returns false if the admin
+// chose to keep editing.
+const closeRegistrationEditor = (force = false) => {
+    const dirty = editing && JSON.stringify(editorValues()) !== editing.initial;
+    if (!force && dirty && !confirm("Discard your changes to this registration?")) {
+        return false;
+    }
+    editing = null;
+    editorDialog.close();
+    return true;
+};
+
+// Id of the registration open in the detail dialog
+let detailId = null;
+
+// Timeline heading: the status move, or "Details changed" for edits that kept the status
+const eventLabel = (event) => {
+    const label = (status) => STATUS_LABELS[status] || status;
+    if (event.from_status && event.from_status === event.to_status) {
+        return "Details changed";
+    }
+    return `${event.from_status ? `${label(event.from_status)} → ` : ""}${label(event.to_status)}`;
+};
+
+// Fill the detail dialog: key fields, the allowed next statuses and the history timeline
+const openRegistrationDetail = async (id) => {
+    const [detailResponse, historyResponse] = await Promise.all([
+        apiFetch(`/api/admin/registrations/${id}`, { credentials: "include" }),
+        apiFetch(`/api/admin/registrations/${id}/history`, { credentials: "include" })
+    ]);
+    if (!detailResponse.ok || !historyResponse.ok) {
+        setStatus("Unable to load registration.", true);
+        return;
+    }
+    const { data: registration } = await detailResponse.json();
+    const { data: history } = await historyResponse.json();
+
+    detailId = id;
+    if (detailTitle) {
+        // Names and messages come from travelers, so they go in as text, never as markup
+        const badge = document.createElement("span");
+        badge.className = `status-badge status-${registration.status}`;
+        badge.textContent = STATUS_LABELS[registration.status] || registration.status;
+        detailTitle.replaceChildren(`#${registration.id} ${registration.full_name} `, badge);
+    }
+    if (detailFields) {
+        const fields = [
+            ["Tour", registration.destination],
+            ["Departs", new Date(registration.travel_time).toLocaleString()],
+            ["Persons", registration.persons],
+            [
+                "Seat",
+                registration.seat_status === "waitlisted"
+                    ? `Waitlist #${registration.waitlist_position}`
+                    : registration.seat_status
+            ],
+            ["Phone", Phone.formatInternational(registration.phone, registration.phone_country)],
+            ["Email", registration.email],
+            ["City", registration.city],
+            ["Message", registration.message || "—"]
+        ];
+        if (registration.deleted_at) {
+            fields.push(["In trash since", new Date(registration.deleted_at).toLocaleString()]);
+        }
+        detailFields.replaceChildren(
+            ...fields.flatMap(([label, value]) => {
+                const term = document.createElement("dt");
+                term.textContent = label;
+                const description = document.createElement("dd");
+                description.textContent = value;
+                return [term, description];
+            })
+        );
+    }
+
+    const allowed = registration.allowed_statuses || [];
+    statusForm?.classList.toggle("hidden", allowed.length === 0);
+    if (statusSelect) {
+        statusSelect.innerHTML = allowed
+            .map((status) => `<option value="${status}">${STATUS_LABELS[status] || status}</option>`)
+            .join("");
+    }
+
+    if (detailTimeline) {
+        detailTimeline.replaceChildren(
+            ...history.map((event) => {
+                const item = document.createElement("li");
+                const time = document.createElement("time");
+                time.dateTime = event.created_at;
+                time.textContent = new Date(event.created_at).toLocaleString();
+                const label = document.createElement("strong");
+                label.textContent = eventLabel(event);
+                const actor = document.createElement("span");
+                actor.textContent = `by ${event.admin_username || "traveler"}`;
+                item.append(time, label, " ", actor);
+                if (event.note) {
+                    const note = document.createElement("p");
+                    note.textContent = event.note;
+                    item.appendChild(note);
+                }
+                return item;
+            })
+        );
+    }
+
+    if (!detailDialog?.open) {
+        detailDialog?.showModal();
+    }
+};
+
+detailCloseBtn?.addEventListener("click", () => detailDialog?.close());
+
+editorFields.innerHTML = editorFieldsTemplate();
+
+// Suggest the IANA zone names the browser knows for the tour form
+timezoneOptions?.replaceChildren(...(Intl.supportedValuesOf?.("timeZone") || []).map((zone) => new Option(zone, zone)));
+
+// Save the editor: check with the shared schema first, then let the server have the last word.
+// A 409 means the booking changed since it was loaded; nothing is overwritten.
+editorForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const values = editorValues();
+    const errors = RegistrationSchema.validateRegistration(values);
+    showEditorErrors(errors);
+    if (errors.length) {
+        setEditorStatus("Please correct the highlighted fields.", true);
+        editorForm.querySelector('[aria-invalid="true"]')?.focus();
+        return;
+    }
+
+    const response = await apiFetch(`/api/admin/registrations/${editing.id}`, {
+        method: "PUT",
+        headers: {
+            "Content-Type": "application/json"
+        },
+        credentials: "include",
+        body: JSON.stringify({ ...values, version: editing.version })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 409 && data.current) {
+        editing.latest = data.current;
+        setEditorStatus(data.message, true);
+        editorReloadBtn.classList.remove("hidden");
+        editorReloadBtn.focus();
+        return;
+    }
+    if (!response.ok) {
+        showEditorErrors(data.errors || []);
+        setEditorStatus(data.message || "Update failed.", true);
+        editorForm.querySelector('[aria-invalid="true"]')?.focus();
+        return;
+    }
+
+    closeRegistrationEditor(true);
+    setStatus("Registration updated.");
+    await loadRegistrations();
+});
+
+// Re-check a field that shows an error as soon as it changes
+editorForm?.addEventListener("input", (event) => {
+    const name = event.target.name;
+    if (name === "phone") {
+        event.target.value = Phone.formatAsYouType(event.target.value, editorForm.elements.phoneCountry.value);
+    }
+    const names = (name === "phoneCountry" ? ["phoneCountry", "phone"] : [name]).filter(
+        (field) => editorForm.elements[field]?.getAttribute("aria-invalid") === "true"
+    );
+    if (names.length) {
+        const errors = RegistrationSchema.validateRegistration(editorValues(), names);
+        names.forEach((field) => {
+            const error = errors.find((entry) => entry.field === field);
+            editorForm.querySelector(`[data-error-for="${field}"]`).textContent = error ? error.message : "";
+            if (!error) editorForm.elements[field].removeAttribute("aria-invalid");
+        });
+    }
+});
+
+// Ctrl/Cmd+Enter saves from any field, including the message box
+editorForm?.addEventListener("keydown", (event) => {
+    if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        editorForm.requestSubmit();
+    }
+});
+
+// Start over from the booking as it is now, after a 409
+editorReloadBtn?.addEventListener("click", () => {
+    if (editing?.latest) {
+        fillEditor(editing.latest);
+        setEditorStatus("Loaded the latest version. Make your changes again.");
+        editorForm.elements.fullName.focus();
+    }
+});
+
+editorCancelBtn?.addEventListener("click", () => closeRegistrationEditor());
+
+// Escape closes the editor too, but not over unsaved changes the admin wants to keep
+editorDialog?.addEventListener("cancel", (event) => {
+    event.preventDefault();
+    closeRegistrationEditor();
+});
+
+// Apply a status change from the detail dialog and refresh both views
+statusForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    if (!detailId) return;
+    const formData = new FormData(statusForm);
+    const changed = await sendAdminRequest(
+        `/api/admin/registrations/${detailId}/status`,
+        "POST",
+        { status: formData.get("status"), note: formData.get("note") },
+        "Status change failed."
+    );
+    if (!changed) {
+        detailDialog?.close();
+        return;
+    }
+    statusForm.reset();
+    await Promise.all([openRegistrationDetail(detailId), loadRegistrations()]);
+});
+
+// CSV text of the last file checked, kept so "Import" commits exactly what was previewed
+let importCsv = null;
+
+// Show the per-row import report and a one-line summary
+const renderImportReport = (result) => {
+    if (importReportBody) {
+        // Names and error messages echo the uploaded file, so they go in as text
+        importReportBody.replaceChildren(
+            ...result.rows.map((row) => {
+                const tr = document.createElement("tr");
+                tr.classList.toggle("import-error", row.errors.length > 0);
+                [
+                    row.line,
+                    row.fullName,
+                    row.errors.length ? row.errors.join(" ") : row.id ? `Imported as #${row.id}` : "OK",
+                    row.seatStatus || ""
+                ].forEach((value) => {
+                    const cell = document.createElement("td");
+                    cell.textContent = value;
+                    tr.appendChild(cell);
+                });
+                return tr;
+            })
+        );
+    }
+    importReport?.classList.remove("hidden");
+    if (importSummary) {
+        importSummary.textContent =
+            result.mode === "commit"
+                ? `Imported ${result.imported} of ${result.total} rows; ${result.invalid} skipped.`
+                : `${result.valid} of ${result.total} rows are valid; ${result.invalid} have errors.`;
+    }
+};
+
+// Send the CSV to the import endpoint in dry-run or commit mode
+const runImport = async (mode) => {
+    const response = await apiFetch(`/api/admin/registrations/import?mode=${mode}`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "text/csv"
+        },
+        credentials: "include",
+        body: importCsv
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        setStatus(data.message || "Import failed.", true);
+        return null;
+    }
+    renderImportReport(data);
+    return data;
+};
+
+// Dry-run the chosen file and offer to import its valid rows
+importForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const file = importForm.elements.namedItem("file").files?.[0];
+    if (!file) return;
+
+    importCsv = await file.text();
+    importCommitBtn?.classList.add("hidden");
+    const result = await runImport("dry-run");
+    if (result && result.valid > 0 && importCommitBtn) {
+        importCommitBtn.textContent = `Import ${result.valid} valid row${result.valid === 1 ? "" : "s"}`;
+        importCommitBtn.classList.remove("hidden");
+    }
+});
+
+// Commit the previewed file; only rows that passed validation are inserted
+importCommitBtn?.addEventListener("click", async () => {
+    if (!importCsv) return;
+    importCommitBtn.classList.add("hidden");
+    const result = await runImport("commit");
+    if (result) {
+        importCsv = null;
+        importForm?.reset();
+        setStatus(`Imported ${result.imported} registrations.`);
+        await loadRegistrations();
+    }
+});
+
+// Pager controls
+pagePrev?.addEventListener("click", async () => {
+    if (listState.page <= 1) return;
+    listState.page -= 1;
+    await loadRegistrations();
+});
+
+pageNext?.addEventListener("click", async () => {
+    if (listState.page >= listState.totalPages) return;
+    listState.page += 1;
+    await loadRegistrations();
+});
+
+pageLimit?.addEventListener("change", async () => {
+    listState.limit = Number(pageLimit.value);
+    listState.page = 1;
+    await loadRegistrations();
+});
+
+// Handle details/edit/cancel/delete actions via event delegation
+registrationTables?.addEventListener("click", async (event) => {
+    const target = event.target;
+    if (!(target instanceof HTMLElement)) return;
+
+    const row = target.closest("tr");
+    if (!row) return;
+
+    const id = row.dataset.id;
+    if (!id) return;
+
+    if (target.classList.contains("details-btn")) {
+        await openRegistrationDetail(id);
+        return;
+    }
+
+    if (target.classList.contains("cancel-btn")) {
+        if (!confirm("Cancel this registration? Its seats go to the waitlist.")) return;
+        const cancelled = await sendAdminRequest(
+            `/api/admin/registrations/${id}/status`,
+            "POST",
+            { status: "cancelled" },
+            "Cancel failed."
+        );
+        if (cancelled) {
+            setStatus("Registration cancelled.");
+            await loadRegistrations();
+        }
+        return;
+    }
+
+    if (target.classList.contains("restore-btn")) {
+        await runBulkAction("restore", [Number(id)]);
+        return;
+    }
+
+    if (target.classList.contains("purge-btn")) {
+        if (!confirm("Delete this registration for good? This cannot be undone.")) return;
+        await runBulkAction("purge", [Number(id)]);
+        return;
+    }
+
+    if (target.classList.contains("delete-btn")) {
+        if (!confirm("Move this registration to the trash? Its seats go to the waitlist.")) return;
+
+        const response = await apiFetch(`/api/admin/registrations/${id}`, {
+            method: "DELETE",
+            credentials: "include"
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            setStatus(data.message || "Delete failed.", true);
+            return;
+        }
+        setStatus("Registration moved to the trash.");
+        await loadRegistrations();
+        return;
+    }
+
+    if (target.classList.contains("edit-btn")) {
+        await openRegistrationEditor(id);
+    }
+});
+
+// Send a bulk trash, restore or purge for `ids`, report the outcome and reload the list
+const runBulkAction = async (action, ids) => {
+    const response = await apiFetch(`/api/admin/registrations/bulk/${action}`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json"
+        },
+        credentials: "include",
+        body: JSON.stringify({ ids })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        setStatus(data.message || "Bulk action failed.", true);
+        return;
+    }
+    const skipped = data.skipped?.length ? ` ${data.skipped.length} could not be changed and were skipped.` : "";
+    setStatus(`${data.message}${skipped}`);
+    await loadRegistrations();
+};
+
+// Tick or clear every row on the page
+selectAllRows?.addEventListener("change", () => {
+    tableBody?.querySelectorAll(".row-select").forEach((box) => {
+        box.checked = selectAllRows.checked;
+    });
+    updateBulkActions();
+});
+
+tableBody?.addEventListener("change", (event) => {
+    if (event.target instanceof HTMLElement && event.target.classList.contains("row-select")) {
+        updateBulkActions();
+    }
+});
+
+bulkTrashBtn?.addEventListener("click", async () => {
+    const ids = selectedRegistrationIds();
+    if (!ids.length || !confirm(`Move ${plural(ids.length, "booking")} to the trash? Their seats go to the waitlist.`)) return;
+    await runBulkAction("trash", ids);
+});
+
+bulkRestoreBtn?.addEventListener("click", async () => {
+    const ids = selectedRegistrationIds();
+    if (!ids.length) return;
+    await runBulkAction("restore", ids);
+});
+
+bulkPurgeBtn?.addEventListener("click", async () => {
+    const ids = selectedRegistrationIds();
+    if (!ids.length || !confirm(`Delete ${plural(ids.length, "booking")} for good? This cannot be undone.`)) return;
+    await runBulkAction("purge", ids);
+});
+
+// Create a new tour
+tourForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const formData = new FormData(tourForm);
+    const saved = await sendAdminRequest(
+        "/api/admin/tours",
+        "POST",
+        {
+            slug: formData.get("slug"),
+            name: formData.get("name"),
+            description: formData.get("description"),
+            timezone: formData.get("timezone")
+        },
+        "Saving tour failed."
+    );
+    if (!saved) return;
+
+    tourForm.reset();
+    setStatus("Tour added.");
+    await loadTours();
+});
+
+// Schedule a departure from the inline form under each tour
+tourList?.addEventListener("submit", async (event) => {
+    const form = event.target;
+    if (!(form instanceof HTMLFormElement) || !form.classList.contains("departure-form")) return;
+    event.preventDefault();
+
+    const tour = form.closest("[data-tour-id]");
+    if (!tour) return;
+
+    const formData = new FormData(form);
+    const saved = await sendAdminRequest(
+        `/api/admin/tours/${tour.dataset.tourId}/departures`,
+        "POST",
+        {
+            departsAt: formData.get("departsAt"),
+            capacity: formData.get("capacity"),
+            priceCents: Math.round(Number(formData.get("price")) * 100)
+        },
+        "Saving departure failed."
+    );
+    if (!saved) return;
+
+    setStatus("Departure added.");
+    await loadTours();
+});
+
+// Handle tour and departure edit/delete actions via event delegation
+tourList?.addEventListener("click", async (event) => {
+    const target = event.target;
+    if (!(target instanceof HTMLElement)) return;
+
+    const tour = target.closest("[data-tour-id]");
+    if (!tour) return;
+
+    const promptField = (label, value) => {
+        const result = prompt(label, value ?? "");
+        return result === null ? null : result.trim();
+    };
+
+    if (target.classList.contains("delete-tour-btn")) {
+        if (!confirm("Delete this tour?")) return;
+        if (await sendAdminRequest(`/api/admin/tours/${tour.dataset.tourId}`, "DELETE", null, "Delete failed.")) {
+            setStatus("Tour deleted.");
+            await loadTours();
+        }
+        return;
+    }
+
+    if (target.classList.contains("edit-tour-btn")) {
+        const updated = {
+            slug: promptField("Slug:", tour.dataset.slug),
+            name: promptField("Name:", tour.dataset.name),
+            description: promptField("Description:", tour.dataset.description),
+            timezone: promptField("Time zone (e.g. Europe/Paris):", tour.dataset.timezone)
+        };
+        if (Object.values(updated).some((value) => value === null)) return;
+
+        if (await sendAdminRequest(`/api/admin/tours/${tour.dataset.tourId}`, "PUT", updated, "Update failed.")) {
+            await Promise.all([loadTours(), loadRegistrations(), loadArticles()]);
+        }
+        return;
+    }
+
+    const departure = target.closest("[data-departure-id]");
+    if (!departure) return;
+    const departureUrl = `/api/admin/departures/${departure.dataset.departureId}`;
+
+    if (target.classList.contains("delete-departure-btn")) {
+        if (!confirm("Delete this departure?")) return;
+        if (await sendAdminRequest(departureUrl, "DELETE", null, "Delete failed.")) {
+            setStatus("Departure deleted.");
+            await loadTours();
+        }
+        return;
+    }
+
+    if (target.classList.contains("edit-departure-btn")) {
+        const departsAt = promptField("Departs (YYYY-MM-DDTHH:mm):", departure.dataset.departsAt);
+        const capacity = promptField("Capacity:", departure.dataset.capacity);
+        const price = promptField("Price (USD):", (Number(departure.dataset.priceCents) / 100).toFixed(2));
+        if ([departsAt, capacity, price].some((value) => value === null)) return;
+
+        const updated = { departsAt, capacity, priceCents: Math.round(Number(price) * 100) };
+        if (await sendAdminRequest(departureUrl, "PUT", updated, "Update failed.")) {
+            await Promise.all([loadTours(), loadRegistrations()]);
+        }
+    }
+});
+
+// Open a blank article editor
+newArticleBtn?.addEventListener("click", () => openArticleEditor());
+
+// Close the article editor without saving
+articleCancelBtn?.addEventListener("click", () => articleForm?.classList.add("hidden"));
+
+// Save the article editor as a new article or an update
+articleForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const id = articleForm.elements.namedItem("id").value;
+    const saved = await sendAdminRequest(
+        id ? `/api/admin/articles/${id}` : "/api/admin/articles",
+        id ? "PUT" : "POST",
+        readArticleForm(),
+        "Saving article failed."
+    );
+    if (!saved) return;
+
+    articleForm.classList.add("hidden");
+    setStatus("Article saved.");
+    await loadArticles();
+});
+
+// Handle article edit/publish/delete actions via event delegation
+articleTableBody?.addEventListener("click", async (event) => {
+    const target = event.target;
+    if (!(target instanceof HTMLElement)) return;
+
+    const row = target.closest("tr");
+    const id = row?.dataset.articleId;
+    if (!id) return;
+
+    if (target.classList.contains("edit-article-btn")) {
+        const response = await apiFetch(`/api/admin/articles/${id}`, {
+            credentials: "include"
+        });
+        if (!response.ok) {
+            setStatus("Unable to load article.", true);
+            return;
+        }
+        const payload = await response.json();
+        openArticleEditor(payload.data);
+        return;
+    }
+
+    if (target.classList.contains("publish-article-btn")) {
+        const published = row.dataset.published !== "1";
+        if (await sendAdminRequest(`/api/admin/articles/${id}/publish`, "POST", { published }, "Publish failed.")) {
+            setStatus(published ? "Article published." : "Article unpublished.");
+            await loadArticles();
+        }
+        return;
+    }
+
+    if (target.classList.contains("delete-article-btn")) {
+        if (!confirm("Delete this article?")) return;
+        if (await sendAdminRequest(`/api/admin/articles/${id}`, "DELETE", null, "Delete failed.")) {
+            setStatus("Article deleted.");
+            await loadArticles();
+        }
+    }
+});
+
+// Create an admin user; without a password the server returns an invite link to pass on
+userForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    setStatus("");
+    const payload = Object.fromEntries(new FormData(userForm).entries());
+    const response = await apiFetch("/api/admin/users", {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json"
+        },
+        credentials: "include",
+        body: JSON.stringify(payload)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        setStatus(data.message || "Unable to create user.", true);
+        return;
+    }
+
+    if (data.inviteUrl) {
+        showInviteLink(payload.username, data.inviteUrl);
+    } else {
+        setStatus(`User ${payload.username} created.`);
+    }
+    userForm.reset();
+    await loadUsers();
+});
+
+// Create a calendar feed and show its link once; only a hash of the token is kept
+calendarFeedForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const payload = Object.fromEntries(new FormData(calendarFeedForm).entries());
+    const response = await apiFetch("/api/admin/calendar-feeds", {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json"
+        },
+        credentials: "include",
+        body: JSON.stringify(payload)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        setStatus(data.message || "Unable to create calendar feed.", true);
+        return;
+    }
+
+    calendarFeedLink.textContent = `Subscription link for ${payload.label} (copy it now, it won't be shown again): ${data.url}`;
+    calendarFeedLink.classList.remove("hidden");
+    calendarFeedForm.reset();
+    await loadCalendarFeeds();
+});
+
+calendarFeedTableBody?.addEventListener("click", async (event) => {
+    const target = event.target.closest(".revoke-feed-btn");
+    if (!target) return;
+    if (!confirm("Revoke this calendar feed? Calendars subscribed to it stop updating.")) return;
+    const id = target.closest("tr").dataset.feedId;
+    if (await sendAdminRequest(`/api/admin/calendar-feeds/${id}`, "DELETE", null, "Revoke failed.")) {
+        setStatus("Calendar feed revoked.");
+        await loadCalendarFeeds();
+    }
+});
+
+// Register a webhook endpoint and show its signing secret once
+webhookForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const formData = new FormData(webhookForm);
+    const response = await apiFetch("/api/admin/webhooks", {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json"
+        },
+        credentials: "include",
+        body: JSON.stringify({
+            url: formData.get("url"),
+            description: formData.get("description"),
+            events: formData.getAll("events")
+        })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        setStatus(data.message || "Unable to add webhook.", true);
+        return;
+    }
+
+    webhookSecret.textContent = `Signing secret for ${formData.get("url")} (copy it now, it won't be shown again): ${data.secret}`;
+    webhookSecret.classList.add("is-success");
+    webhookForm.reset();
+    await loadWebhooks();
+});
+
+// Delivery log, ping, edit, pause/resume and delete buttons in the webhooks table
+webhookTableBody?.addEventListener("click", async (event) => {
+    const target = event.target.closest("button");
+    const row = target?.closest("tr");
+    if (!row) return;
+    const id = row.dataset.webhookId;
+    const endpoint = {
+        url: row.dataset.url,
+        description: row.dataset.description,
+        events: JSON.parse(row.dataset.events),
+        active: row.dataset.active === "true"
+    };
+
+    if (target.classList.contains("webhook-log-btn")) {
+        Object.assign(deliveryState, { endpointId: id, url: endpoint.url, page: 1 });
+        await loadDeliveries();
+        return;
+    }
+    if (target.classList.contains("webhook-ping-btn")) {
+        if (await sendAdminRequest(`/api/admin/webhooks/${id}/ping`, "POST", null, "Ping failed.")) {
+            setStatus("Ping queued. Open Deliveries to see the receiver's answer.");
+            await loadWebhooks();
+        }
+        return;
+    }
+    if (target.classList.contains("webhook-edit-btn")) {
+        const url = prompt("Receiver URL:", endpoint.url);
+        if (url === null) return;
+        const description = prompt("Description:", endpoint.description);
+        if (description === null) return;
+        const updated = { ...endpoint, url: url.trim(), description: description.trim() };
+        if (await sendAdminRequest(`/api/admin/webhooks/${id}`, "PUT", updated, "Update failed.")) {
+            setStatus("Webhook updated.");
+            await loadWebhooks();
+        }
+        return;
+    }
+    if (target.classList.contains("webhook-toggle-btn")) {
+        const updated = { ...endpoint, active: !endpoint.active };
+        if (await sendAdminRequest(`/api/admin/webhooks/${id}`, "PUT", updated, "Update failed.")) {
+            setStatus(updated.active ? "Webhook resumed." : "Webhook paused.");
+            await loadWebhooks();
+        }
+        return;
+    }
+    if (target.classList.contains("webhook-delete-btn")) {
+        if (!confirm(`Delete the webhook to ${endpoint.url} and its delivery log?`)) return;
+        if (await sendAdminRequest(`/api/admin/webhooks/${id}`, "DELETE", null, "Delete failed.")) {
+            setStatus("Webhook deleted.");
+            if (deliveryState.endpointId === id) {
+                deliveryState.endpointId = null;
+                webhookDeliveries?.classList.add("hidden");
+            }
+            await loadWebhooks();
+        }
+    }
+});
+
+webhookDeliveryTableBody?.addEventListener("click", async (event) => {
+    const target = event.target.closest(".redeliver-btn");
+    if (!target) return;
+    const id = target.closest("tr").dataset.deliveryId;
+    if (await sendAdminRequest(`/api/admin/webhook-deliveries/${id}/redeliver`, "POST", null, "Redelivery failed.")) {
+        setStatus("Redelivery queued.");
+        deliveryState.page = 1;
+        await loadDeliveries();
+    }
+});
+
+webhookDeliveriesRefresh?.addEventListener("click", () => {
+    loadDeliveries();
+    loadWebhooks();
+});
+
+webhookDeliveriesPrev?.addEventListener("click", () => {
+    if (deliveryState.page > 1) {
+        deliveryState.page -= 1;
+        loadDeliveries();
+    }
+});
+
+webhookDeliveriesNext?.addEventListener("click", () => {
+    if (deliveryState.page < deliveryState.totalPages) {
+        deliveryState.page += 1;
+        loadDeliveries();
+    }
+});
+
+// Role changes apply as soon as a new role is picked
+userTableBody?.addEventListener("change", async (event) => {
+    const select = event.target.closest(".user-role-select");
+    if (!select) return;
+    const row = select.closest("tr");
+    const body = { role: select.value, disabled: row.dataset.disabled === "1" };
+    if (await sendAdminRequest(`/api/admin/users/${row.dataset.userId}`, "PUT", body, "Role change failed.")) {
+        setStatus("Role updated.");
+    }
+    await loadUsers();
+});
+
+// Enable/disable, renew invite and delete buttons in the users table
+userTableBody?.addEventListener("click", async (event) => {
+    const target = event.target.closest("button");
+    const row = target?.closest("tr");
+    if (!row) return;
+    const id = row.dataset.userId;
+    const username = row.querySelector("td").textContent;
+
+    if (target.classList.contains("toggle-user-btn")) {
+        const body = {
+            role: row.querySelector(".user-role-select").value,
+            disabled: row.dataset.disabled !== "1"
+        };
+        if (await sendAdminRequest(`/api/admin/users/${id}`, "PUT", body, "Update failed.")) {
+            setStatus(body.disabled ? `${username} disabled.` : `${username} enabled.`);
+            await loadUsers();
+        }
+        return;
+    }
+
+    if (target.classList.contains("renew-invite-btn")) {
+        const response = await apiFetch(`/api/admin/users/${id}/invite`, {
+            method: "POST",
+            credentials: "include"
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            setStatus(data.message || "Unable to renew invite.", true);
+            return;
+        }
+        showInviteLink(username, data.inviteUrl);
+        return;
+    }
+
+    if (target.classList.contains("reset-totp-btn")) {
+        if (!confirm(`Turn off two-factor for ${username}? They can set it up again after signing in.`)) return;
+        if (await sendAdminRequest(`/api/admin/users/${id}/totp`, "DELETE", null, "Reset failed.")) {
+            setStatus(`Two-factor reset for ${username}.`);
+            await loadUsers();
+        }
+        return;
+    }
+
+    if (target.classList.contains("delete-user-btn")) {
+        if (!confirm(`Delete admin ${username}?`)) return;
+        if (await sendAdminRequest(`/api/admin/users/${id}`, "DELETE", null, "Delete failed.")) {
+            setStatus(`${username} deleted.`);
+            await loadUsers();
+        }
     }
 });
 
-// Auto-check session when the page loads
-checkSession().catch(() => undefined);
+// Auto-check session (or open the invite / password reset form) when the page loads
+const pageParams = new URLSearchParams(window.location.search);
+const initialView = pageParams.get("invite")
+    ? showInviteForm(pageParams.get("invite"))
+    : pageParams.get("reset")
+      ? showResetForm(pageParams.get("reset"))
+      : checkSession();
+initialView.catch(() => undefined);
@@ -0,0 +1,59 @@
+// Hash chain helpers for the tamper-evident admin audit log.
+// Each entry's hash covers its own fields plus the previous entry's hash, so editing,
+// deleting or reordering any stored row breaks every hash that follows it.
+const crypto = require("crypto");
+
+// Hash used as prev_hash by the very first entry
+const GENESIS_HASH = "0".repeat(64);
+
+// Fields covered by the hash, in a fixed order
+const HASHED_FIELDS = [
+    "prev_hash",
+    "created_at",
+    "admin_id",
+    "username",
+    "action",
+    "target_type",
+    "target_id",
+    "details",
+    "ip",
+    "user_agent"
+];
+
+const computeAuditHash = (entry) =>
+    crypto
+        .createHash("sha256")
+        .update(JSON.stringify(HASHED_FIELDS.map((field) => entry[field] ?? null)))
+        .digest("hex");
+
+// Field-by-field changes between two rows: { field: { before, after } }
+const diffRows = (before, after, fields) =>
+    fields.reduce((changes, field) => {
+        if (before[field] !== after[field]) {
+            changes[field] = { before: before[field], after: after[field] };
+        }
+        return changes;
+    }, {});
+
+// Walk entries in id order and report the first one whose link or hash does not check out.
+// Pass the previous batch's lastHash to verify a long log a batch at a time.
+const verifyAuditChain = (entries, prevHash = GENESIS_HASH) => {
+    let lastHash = prevHash;
+    for (const entry of entries) {
+        if (entry.prev_hash !== lastHash) {
+            return { valid: false, brokenAt: entry.id, reason: "Previous hash does not match the entry before it." };
+        }
+        if (computeAuditHash(entry) !== entry.hash) {
+            return { valid: false, brokenAt: entry.id, reason: "Entry contents do not match its hash." };
+        }
+        lastHash = entry.hash;
+    }
+    return { valid: true, brokenAt: null, reason: null, lastHash };
+};
+
+module.exports = {
+    GENESIS_HASH,
+    computeAuditHash,
+    diffRows,
+    verifyAuditChain
+};
@@ -0,0 +1,78 @@
+// CSV reading and writing shared by the registrations export and import
+
+// Spreadsheet apps evaluate cells starting with these characters as formulas, so a
+// message like "=HYPERLINK(...)" would run when ops opens the file. Prefixing a quote
+// keeps the text literal (OWASP CSV injection guidance).
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Escape one CSV field: neutralise formulas, then quote if it holds a delimiter, quote or newline
+const toCsvField = (value) => {
+    if (value === null || value === undefined) {
+        return "";
+    }
+    let text = String(value);
+    if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+};
+
+const toCsvRow = (values) => `${values.map(toCsvField).join(",")}\r\n`;
+
+// Undo the formula guard added by toCsvField so exported files import cleanly
+const fromCsvField = (value) => (/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+
+// Parse RFC 4180 CSV text into an array of string arrays. Handles quoted fields with
+// embedded commas, quotes and newlines, CRLF or LF line endings and a leading BOM.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    const input = String(text || "").replace(/^\uFEFF/, "");
+
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === "") {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") {
+                i += 1;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field !== "" || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Drop blank lines (a lone empty field), e.g. trailing newlines from spreadsheet exports
+    return rows.filter((values) => values.length > 1 || values[0] !== "");
+};
+
+module.exports = {
+    fromCsvField,
+    parseCsv,
+    toCsvField,
+    toCsvRow
+};
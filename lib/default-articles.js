@@ -0,0 +1,129 @@
+// Articles migrated from the original hand-written article-*.html pages.
+// Seeded once into an empty articles table; edit them through the admin CMS afterwards.
+module.exports = [
+    {
+        slug: "alps",
+        title: "Exploring the Swiss Alps",
+        navLabel: "Alps",
+        heroImage: "https://images.unsplash.com/photo-1501785888041-af3ef285b470",
+        heroAlt: "Snow-capped peaks and an alpine village in the Swiss Alps",
+        caption: "Swiss Alps — snow-capped peaks and alpine villages",
+        quote: "Snow-capped peaks and alpine villages define the landscape.",
+        facts: {
+            heading: "Top Experiences",
+            items: ["Glacier hikes", "Mountain railways", "Alpine lakes", "Village strolls"],
+            cards: [
+                { heading: "Best Season", text: "June–September" },
+                { heading: "Trail Type", text: "Moderate alpine routes" },
+                { heading: "Highlights", text: "Zermatt, Jungfrau, Lauterbrunnen" }
+            ]
+        },
+        body: [
+            "The Swiss Alps offer breathtaking scenery and world‑class hiking.",
+            "Visitors can explore glacier valleys, cable car routes, and cozy mountain towns."
+        ].join("\n\n"),
+        tourSlug: "alps",
+        registerTitle: "Register for the Swiss Alps tour",
+        registerNote: "Secure your spot by sharing your travel details below."
+    },
+    {
+        slug: "nigeria",
+        title: "Vibrant City of Lagos in Nigeria",
+        navLabel: "Lagos",
+        heroImage: "https://images.unsplash.com/photo-1709403071665-47bbe085ec66",
+        heroAlt: "Lagos city skyline",
+        caption: "Lagos — vibrant skyline and bustling city life",
+        quote: "Vibrant City of Lagos in Nigeria - Statue of the Three Musketeers.",
+        facts: {
+            heading: "Must-See Stops",
+            items: ["Ikoyi & Victoria Island", "Freedom Park", "National Arts Theatre", "Tarkwa Bay"],
+            cards: [
+                { heading: "Best Time", text: "November–March" },
+                { heading: "Vibe", text: "Fast-paced, energetic" },
+                { heading: "Local Picks", text: "Jollof, suya, puff-puff" }
+            ]
+        },
+        body: [
+            "The view of Nigeria's vibrant Lagos city skyline is stunning, fast-paced and full of events.",
+            "Ensure to visit Nigeria's Lagos city before you visit any other place in Africa."
+        ].join("\n\n"),
+        tourSlug: "lagos",
+        registerTitle: "Register for the Lagos City tour",
+        registerNote: "Share your details so we can confirm your spot securely."
+    },
+    {
+        slug: "thailand",
+        title: "Hidden Beaches of Thailand",
+        navLabel: "Thailand",
+        heroImage: "https://images.unsplash.com/photo-1507525428034-b723cf961d3e",
+        heroAlt: "Turquoise ocean and a secluded Thai beach",
+        caption: "Thailand — turquoise waters and secluded beaches",
+        quote: "Turquoise waters and quiet coves await adventurous travelers.",
+        facts: {
+            heading: "Beach Musts",
+            items: ["Longtail boat tours", "Snorkeling spots", "Island hopping", "Sunset viewpoints"],
+            cards: [
+                { heading: "Best Time", text: "December–April" },
+                { heading: "Water", text: "Warm, clear lagoons" },
+                { heading: "Top Islands", text: "Krabi, Koh Lanta, Koh Phi Phi" }
+            ]
+        },
+        body: [
+            "Thailand’s lesser‑known beaches offer peaceful escapes.",
+            "From limestone cliffs to hidden lagoons, every island tells a story."
+        ].join("\n\n"),
+        tourSlug: "thailand",
+        registerTitle: "Register for the Thailand beach tour",
+        registerNote: "Tell us your travel details and we'll secure your tour slot."
+    },
+    {
+        slug: "southafrica",
+        title: "Explore the Wild-Life in South Africa",
+        navLabel: "South Africa",
+        heroImage: "https://images.unsplash.com/photo-1547970810-dc1eac37d174",
+        heroAlt: "Rhino grazing on the South African savanna",
+        caption: "Cape Town — Table Mountain meeting the Atlantic",
+        quote: "The amazing wild-life captivates every traveler.",
+        facts: {
+            heading: "Top Adventures",
+            items: ["Table Mountain cableway", "V&A Waterfront", "Safari day trips", "Chapman’s Peak Drive"],
+            cards: [
+                { heading: "Best Season", text: "November–March" },
+                { heading: "Wildlife", text: "Penguins, seals, antelope" },
+                { heading: "Local Tip", text: "Start early to beat the wind" }
+            ]
+        },
+        body: [
+            "From the iconic Table Mountain to the vibrant V&A Waterfront, to the wild Wild-Life South Africa is a feast for the senses.",
+            "Explore the rich history, diverse culture, and breathtaking scenery that make this country worth visiting."
+        ].join("\n\n"),
+        tourSlug: "southafrica",
+        registerTitle: "Register for the South Africa wildlife tour",
+        registerNote: "Provide your details so we can confirm your safari experience."
+    },
+    {
+        slug: "tokyo",
+        title: "Tokyo Street Food Guide",
+        navLabel: "Tokyo",
+        heroImage: "https://images.unsplash.com/photo-1498654896293-37aacf113fd9",
+        heroAlt: "Tokyo street food: takoyaki from a street vendor",
+        caption: "Tokyo — street food highlights: takoyaki and quick bites",
+        quote: "Every street corner in Tokyo is a culinary adventure.",
+        facts: {
+            heading: "Must-Try Bites",
+            items: ["Takoyaki", "Ramen", "Gyoza", "Taiyaki"],
+            cards: [
+                { heading: "Best Time", text: "Evenings (6–10 PM)" },
+                { heading: "Budget", text: "¥400–¥900 per item" },
+                { heading: "Hotspots", text: "Ameya‑Yokocho, Asakusa, Shibuya" }
+            ]
+        },
+        body: [
+            "Tokyo’s food scene is vibrant, fast, and full of flavor.",
+            "Try takoyaki, ramen, and fresh sushi from local markets."
+        ].join("\n\n"),
+        tourSlug: "tokyo",
+        registerTitle: "Register for the Tokyo street food tour",
+        registerNote: "Share your details so we can reserve your tasting slots."
+    }
+];
@@ -0,0 +1,86 @@
+// Streaming writers for the admin registrations export (CSV, JSON and XLSX)
+const ExcelJS = require("exceljs");
+const { toCsvRow } = require("./csv");
+
+// Exported columns in order: database column and spreadsheet header
+const EXPORT_COLUMNS = [
+    ["id", "ID"],
+    ["full_name", "Name"],
+    ["sex", "Sex"],
+    ["phone", "Phone"],
+    ["phone_country", "Phone Country"],
+    ["email", "Email"],
+    ["destination", "Destination"],
+    ["city", "City"],
+    ["persons", "Persons"],
+    ["travel_time", "Travel Time"],
+    ["message", "Message"],
+    ["status", "Booking Status"],
+    ["seat_status", "Seat Status"],
+    ["waitlist_position", "Waitlist Position"],
+    ["created_at", "Submitted"]
+];
+
+const CONTENT_TYPES = {
+    csv: "text/csv; charset=utf-8",
+    json: "application/json; charset=utf-8",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+// Write a chunk and wait for the socket to drain when its buffer is full
+const writeChunk = (res, chunk) =>
+    new Promise((resolve) => {
+        if (res.write(chunk)) {
+            resolve();
+        } else {
+            res.once("drain", resolve);
+        }
+    });
+
+// Each writer consumes batches from fetchBatches (an async iterator of row arrays)
+const writeCsv = async (res, fetchBatches) => {
+    // BOM so Excel opens the UTF-8 file with the right encoding
+    await writeChunk(res, `\uFEFF${toCsvRow(EXPORT_COLUMNS.map(([, header]) => header))}`);
+    for await (const rows of fetchBatches) {
+        const chunk = rows.map((row) => toCsvRow(EXPORT_COLUMNS.map(([column]) => row[column]))).join("");
+        await writeChunk(res, chunk);
+    }
+    res.end();
+};
+
+const writeJson = async (res, fetchBatches) => {
+    let first = true;
+    await writeChunk(res, "[");
+    for await (const rows of fetchBatches) {
+        const chunk = rows
+            .map((row) => {
+                const entry = Object.fromEntries(EXPORT_COLUMNS.map(([column]) => [column, row[column]]));
+                const text = `${first ? "" : ","}\n${JSON.stringify(entry)}`;
+                first = false;
+                return text;
+            })
+            .join("");
+        await writeChunk(res, chunk);
+    }
+    await writeChunk(res, "\n]\n");
+    res.end();
+};
+
+const writeXlsx = async (res, fetchBatches) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false });
+    const sheet = workbook.addWorksheet("Registrations");
+    sheet.columns = EXPORT_COLUMNS.map(([column, header]) => ({ header, key: column, width: 18 }));
+    for await (const rows of fetchBatches) {
+        rows.forEach((row) => sheet.addRow(row).commit());
+    }
+    sheet.commit();
+    await workbook.commit();
+};
+
+const EXPORT_WRITERS = { csv: writeCsv, json: writeJson, xlsx: writeXlsx };
+
+module.exports = {
+    CONTENT_TYPES,
+    EXPORT_COLUMNS,
+    EXPORT_WRITERS
+};
@@ -0,0 +1,117 @@
+// iCalendar (RFC 5545) output for the guides' calendar feeds. Departure times are stored as
+// wall-clock times without a zone ("2027-05-01T18:00"), so each one is converted from its
+// tour's IANA time zone to UTC; events carry UTC times and need no VTIMEZONE blocks.
+
+// Whether the runtime knows `timeZone` as an IANA zone name (e.g. "Asia/Tokyo")
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== "string" || !timeZone) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+// How far ahead of UTC the wall clock in `timeZone` is at the instant `utcMs`, in milliseconds
+const zoneOffsetMs = (utcMs, timeZone) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+            second: "2-digit"
+        })
+            .formatToParts(new Date(utcMs))
+            .map((part) => [part.type, Number(part.value)])
+    );
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - utcMs;
+};
+
+// The instant a "YYYY-MM-DDTHH:mm" wall-clock time happens in `timeZone`. The second pass
+// corrects the guess when a daylight-saving change falls between the two; a time the change
+// skips is moved forward by its length, as a clock would be.
+const zonedTimeToUtc = (localDateTime, timeZone) => {
+    const [date, time] = String(localDateTime).split("T");
+    const [year, month, day] = date.split("-").map(Number);
+    const [hour, minute] = time.split(":").map(Number);
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    const guess = wall - zoneOffsetMs(wall, timeZone);
+    return new Date(wall - zoneOffsetMs(guess, timeZone));
+};
+
+// 20270501T160000Z
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Escape a TEXT value: backslashes, separators and line breaks
+const escapeText = (value) =>
+    String(value ?? "")
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+
+// Fold a content line so no line is longer than 75 octets, never splitting a UTF-8 character
+const foldLine = (line) => {
+    const lines = [];
+    let current = "";
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        if (octets + size > (lines.length ? 74 : 75)) {
+            lines.push(current);
+            current = "";
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    lines.push(current);
+    return lines.join("\r\n ");
+};
+
+// Build a VCALENDAR. Events are { uid, start (Date), summary, description, location, sequence }.
+const buildCalendar = ({ name, events, now = new Date() }) => {
+    const stamp = formatUtc(now);
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//Wanderlust//Guide calendar//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeText(name)}`,
+        "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+        "X-PUBLISHED-TTL:PT1H"
+    ];
+    events.forEach((event) => {
+        lines.push(
+            "BEGIN:VEVENT",
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatUtc(event.start)}`,
+            `SEQUENCE:${event.sequence || 0}`,
+            `SUMMARY:${escapeText(event.summary)}`
+        );
+        if (event.location) {
+            lines.push(`LOCATION:${escapeText(event.location)}`);
+        }
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        }
+        lines.push("END:VEVENT");
+    });
+    lines.push("END:VCALENDAR");
+    return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+module.exports = {
+    buildCalendar,
+    isValidTimeZone,
+    zonedTimeToUtc
+};
@@ -0,0 +1,125 @@
+// Outgoing mail queue backed by the mail_queue table. enqueue() stores a message and returns
+// straight away; the worker sends due messages and retries failures with exponential backoff
+// (MAIL_RETRY_BASE_SECONDS, doubling) until MAIL_MAX_ATTEMPTS, after which the message is
+// marked failed and kept for inspection.
+//
+// Bodies can carry a traveler's manage link, whose token is otherwise only stored hashed, so they
+// are emptied once a message is sent or given up on; the row keeps who it went to and how it went.
+
+const readNumber = (env, name, fallback) => {
+    const value = Number(env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// A worker holds a message this long while sending it, so a second server process on the same
+// database doesn't pick it up too
+const CLAIM_MS = 1000 * 60 * 5;
+const BATCH_SIZE = 20;
+
+const createMailQueue = ({ dbRun, dbAll, mailer, env = process.env }) => {
+    const maxAttempts = readNumber(env, "MAIL_MAX_ATTEMPTS", 5);
+    const retryBaseMs = readNumber(env, "MAIL_RETRY_BASE_SECONDS", 60) * 1000;
+    const pollMs = readNumber(env, "MAIL_QUEUE_POLL_SECONDS", 30) * 1000;
+    let running = false;
+    let runAgain = false;
+    let timer = null;
+
+    // Wait before the next try after the nth failed attempt
+    const retryDelay = (attempts) => retryBaseMs * 2 ** (attempts - 1);
+
+    const deliver = async (message) => {
+        const claim = await dbRun("UPDATE mail_queue SET next_attempt_at = ? WHERE id = ? AND next_attempt_at = ?", [
+            new Date(Date.now() + CLAIM_MS).toISOString(),
+            message.id,
+            message.next_attempt_at
+        ]);
+        if (claim.changes === 0) {
+            return;
+        }
+        try {
+            await mailer.send({ to: message.recipient, subject: message.subject, text: message.text, html: message.html });
+            await dbRun(
+                `UPDATE mail_queue SET status = 'sent', attempts = attempts + 1, sent_at = ?, last_error = NULL,
+                 text = '', html = NULL WHERE id = ?`,
+                [new Date().toISOString(), message.id]
+            );
+        } catch (err) {
+            const attempts = message.attempts + 1;
+            const failed = attempts >= maxAttempts;
+            console.error(`Mail ${message.id} to ${message.recipient} failed (attempt ${attempts})`, err.message);
+            await dbRun(
+                `UPDATE mail_queue SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?,
+                 text = CASE WHEN ? THEN '' ELSE text END, html = CASE WHEN ? THEN NULL ELSE html END WHERE id = ?`,
+                [
+                    failed ? "failed" : "pending",
+                    attempts,
+                    new Date(Date.now() + retryDelay(attempts)).toISOString(),
+                    String(err.message || err),
+                    failed,
+                    failed,
+                    message.id
+                ]
+            );
+        }
+    };
+
+    // Send everything that is due, one batch after another. A call made while a run is in
+    // progress makes that run go round once more, so newly queued mail isn't left waiting.
+    const processDue = async () => {
+        if (running) {
+            runAgain = true;
+            return;
+        }
+        running = true;
+        runAgain = false;
+        try {
+            for (;;) {
+                const due = await dbAll(
+                    `SELECT * FROM mail_queue WHERE status = 'pending' AND next_attempt_at <= ?
+                     ORDER BY next_attempt_at, id LIMIT ?`,
+                    [new Date().toISOString(), BATCH_SIZE]
+                );
+                for (const message of due) {
+                    await deliver(message);
+                }
+                if (due.length < BATCH_SIZE) {
+                    break;
+                }
+            }
+        } catch (err) {
+            console.error("Mail queue run failed", err);
+        } finally {
+            running = false;
+        }
+        if (runAgain) {
+            await processDue();
+        }
+    };
+
+    // Queue one message ({ to, subject, text, html, kind, registrationId }) and kick the worker
+    const enqueue = async ({ to, subject, text, html = null, kind, registrationId = null }) => {
+        const now = new Date().toISOString();
+        const result = await dbRun(
+            `INSERT INTO mail_queue
+                (recipient, subject, text, html, kind, registration_id, status, attempts, next_attempt_at, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, 'pending', 0, ?, ?)`,
+            [to, subject, text, html, kind, registrationId, now, now]
+        );
+        setImmediate(processDue);
+        return result.lastID;
+    };
+
+    const start = () => {
+        if (!timer) {
+            timer = setInterval(processDue, pollMs);
+            timer.unref();
+            setImmediate(processDue);
+        }
+    };
+
+    return { enqueue, processDue, start };
+};
+
+module.exports = {
+    createMailQueue
+};
@@ -0,0 +1,59 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { escapeHtml } = require("./pages");
+
+// Email templates live in templates/email as <name>.txt (required, first line "Subject: ...")
+// and <name>.html (optional). A tour can replace either file with
+// templates/email/tours/<tour slug>/<name>.<ext>. {{placeholders}} are filled from the
+// variables passed in; values are HTML-escaped in the .html template.
+const TEMPLATE_DIR = path.join(__dirname, "..", "templates", "email");
+
+// The tour's own copy of a template if it has one, else the shared one, else null
+const readTemplate = async (name, extension, tourSlug) => {
+    const candidates = [path.join(TEMPLATE_DIR, `${name}.${extension}`)];
+    if (tourSlug) {
+        candidates.unshift(path.join(TEMPLATE_DIR, "tours", tourSlug, `${name}.${extension}`));
+    }
+    for (const file of candidates) {
+        try {
+            return await fs.readFile(file, "utf8");
+        } catch (err) {
+            if (err.code !== "ENOENT") {
+                throw err;
+            }
+        }
+    }
+    return null;
+};
+
+// A misspelt placeholder fails loudly instead of sending an email with a gap in it
+const fill = (template, variables, escape, name) =>
+    template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+        if (!(key in variables)) {
+            throw new Error(`Unknown placeholder {{${key}}} in email template "${name}".`);
+        }
+        return escape(variables[key] ?? "");
+    });
+
+// Render one template for a tour into { subject, text, html }
+const renderMailTemplate = async (name, variables, { tourSlug = null } = {}) => {
+    const textTemplate = await readTemplate(name, "txt", tourSlug);
+    if (textTemplate === null) {
+        throw new Error(`Email template "${name}" does not exist.`);
+    }
+    const [firstLine, ...bodyLines] = textTemplate.split(/\r?\n/);
+    const subjectMatch = firstLine.match(/^Subject:\s*(.+)$/);
+    if (!subjectMatch) {
+        throw new Error(`Email template "${name}.txt" must start with a "Subject:" line.`);
+    }
+    const htmlTemplate = await readTemplate(name, "html", tourSlug);
+    return {
+        subject: fill(subjectMatch[1], variables, String, name),
+        text: fill(bodyLines.join("\n").replace(/^\n+/, ""), variables, String, name),
+        html: htmlTemplate === null ? null : fill(htmlTemplate, variables, escapeHtml, name)
+    };
+};
+
+module.exports = {
+    renderMailTemplate
+};
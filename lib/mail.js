@@ -0,0 +1,117 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// Outgoing mail. MAIL_TRANSPORT picks one of MAIL_TRANSPORTS; add an entry there to plug in
+// another transport. Each factory receives the environment and returns { send(message) }.
+
+// Header values must not contain line breaks, or a crafted value could inject extra headers
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, " ");
+
+// Non-ASCII subjects are sent as RFC 2047 encoded words
+const encodeHeader = (value) =>
+    /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+
+const crlf = (text) => text.replace(/\r?\n/g, "\r\n");
+
+// HTML parts are base64 encoded so long lines survive every relay
+const base64Lines = (text) => Buffer.from(text).toString("base64").replace(/.{76}/g, "$&\r\n");
+
+// Render a message as an RFC 5322 document: plain text, or multipart/alternative when it has html
+const formatMessage = ({ from, to, subject, text, html }) => {
+    const headers = [
+        `From: ${headerValue(from)}`,
+        `To: ${headerValue(to)}`,
+        `Subject: ${encodeHeader(headerValue(subject))}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${headerValue(from).replace(/^.*@|>.*$/g, "") || "localhost"}>`,
+        "MIME-Version: 1.0"
+    ];
+    if (!html) {
+        return [
+            ...headers,
+            "Content-Type: text/plain; charset=utf-8",
+            "Content-Transfer-Encoding: 8bit",
+            "",
+            crlf(text)
+        ].join("\r\n");
+    }
+    const boundary = `=_${crypto.randomBytes(12).toString("hex")}`;
+    return [
+        ...headers,
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        "",
+        `--${boundary}`,
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: 8bit",
+        "",
+        crlf(text),
+        `--${boundary}`,
+        "Content-Type: text/html; charset=utf-8",
+        "Content-Transfer-Encoding: base64",
+        "",
+        base64Lines(html),
+        `--${boundary}--`,
+        ""
+    ].join("\r\n");
+};
+
+const MAIL_TRANSPORTS = {
+    // Write each message as an .eml file, for development and for inspecting what would be sent
+    outbox: (env) => {
+        const dir = env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "outbox");
+        return {
+            async send(message) {
+                await fs.mkdir(dir, { recursive: true });
+                const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`);
+                await fs.writeFile(file, formatMessage(message));
+                return { file };
+            }
+        };
+    },
+    // Deliver through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+    smtp: (env) => {
+        if (!env.SMTP_HOST) {
+            throw new Error("MAIL_TRANSPORT=smtp needs SMTP_HOST.");
+        }
+        const transporter = nodemailer.createTransport({
+            host: env.SMTP_HOST,
+            port: Number(env.SMTP_PORT) || 587,
+            // true for implicit TLS (port 465); otherwise STARTTLS is used when the server offers it
+            secure: env.SMTP_SECURE === "true",
+            auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || "" } : undefined
+        });
+        return {
+            async send(message) {
+                const info = await transporter.sendMail(message);
+                return { messageId: info.messageId };
+            }
+        };
+    },
+    // Print messages to the server log
+    console: () => ({
+        async send(message) {
+            console.log(`--- mail ---\n${formatMessage(message)}\n--- end mail ---`);
+            return {};
+        }
+    })
+};
+
+const createMailer = (env = process.env) => {
+    const name = env.MAIL_TRANSPORT || "outbox";
+    if (!MAIL_TRANSPORTS[name]) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}".`);
+    }
+    const transport = MAIL_TRANSPORTS[name](env);
+    const from = env.MAIL_FROM || "Wanderlust <no-reply@localhost>";
+    return {
+        send: (message) => transport.send({ from, ...message })
+    };
+};
+
+module.exports = {
+    MAIL_TRANSPORTS,
+    createMailer,
+    formatMessage
+};
@@ -0,0 +1,182 @@
+const fs = require("fs");
+const path = require("path");
+
+// Versioned schema migrations. Each file in migrations/ is named "<version>-<name>.js" and
+// exports { up(db), down(db) }, where db offers promise-based run/get/all plus hasColumn and
+// hasTable. Applied versions are recorded in schema_migrations; every migration runs in its own
+// transaction together with that record, so a failure leaves the database as it was.
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const FILE_PATTERN = /^(\d+)-([a-z0-9-]+)\.js$/;
+
+// "002-registration-search", as the file is named
+const migrationLabel = ({ version, name }) => `${String(version).padStart(3, "0")}-${name}`;
+
+// Read migrations/ in version order
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+    const migrations = fs
+        .readdirSync(dir)
+        .map((file) => file.match(FILE_PATTERN))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({ version: Number(version), name, ...require(path.join(dir, file)) }))
+        .sort((a, b) => a.version - b.version);
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Two migrations share version ${migration.version}.`);
+        }
+        if (typeof migration.up !== "function") {
+            throw new Error(`Migration ${migrationLabel(migration)} has no up().`);
+        }
+    });
+    return migrations;
+};
+
+// Promise helpers over a sqlite3 connection, handed to each migration
+const wrapDatabase = (db) => {
+    const run = (sql, params = []) =>
+        new Promise((resolve, reject) => {
+            db.run(sql, params, function runCallback(err) {
+                return err ? reject(err) : resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    const get = (sql, params = []) =>
+        new Promise((resolve, reject) => {
+            db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+        });
+    const all = (sql, params = []) =>
+        new Promise((resolve, reject) => {
+            db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+    const hasTable = async (table) =>
+        Boolean(await get("SELECT name FROM sqlite_master WHERE type IN ('table', 'view') AND name = ?", [table]));
+    const hasColumn = async (table, column) =>
+        (await all(`PRAGMA table_info(${table})`)).some((info) => info.name === column);
+    return { run, get, all, hasTable, hasColumn };
+};
+
+const createMigrator = (db, { migrations = loadMigrations(), log = console.log } = {}) => {
+    const helpers = wrapDatabase(db);
+    const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+
+    const ensureTable = () =>
+        helpers.run(
+            `CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )`
+        );
+
+    // Where the database stands relative to the migrations this code ships. "legacy" marks a
+    // database created before migrations existed: it has tables but no schema_migrations.
+    const status = async () => {
+        const legacy = !(await helpers.hasTable("schema_migrations")) && (await helpers.hasTable("registrations"));
+        const applied = (await helpers.hasTable("schema_migrations"))
+            ? await helpers.all("SELECT version, name, applied_at FROM schema_migrations ORDER BY version")
+            : [];
+        const appliedAt = new Map(applied.map((row) => [row.version, row.applied_at]));
+        const known = new Set(migrations.map((migration) => migration.version));
+        return {
+            current: applied.length ? applied[applied.length - 1].version : 0,
+            latest,
+            legacy,
+            migrations: migrations.map((migration) => ({
+                version: migration.version,
+                name: migration.name,
+                appliedAt: appliedAt.get(migration.version) || null
+            })),
+            // Versions recorded by newer code than this
+            unknown: applied
+                .filter((row) => !known.has(row.version))
+                .map((row) => ({ version: row.version, name: row.name, appliedAt: row.applied_at }))
+        };
+    };
+
+    const refuseNewerSchema = (state) => {
+        if (state.unknown.length) {
+            const versions = state.unknown.map(migrationLabel).join(", ");
+            throw new Error(
+                `The database has migrations this code doesn't know about (${versions}). ` +
+                    "It was upgraded by a newer release; run that release or restore a backup."
+            );
+        }
+    };
+
+    const inTransaction = async (work) => {
+        await helpers.run("BEGIN IMMEDIATE");
+        try {
+            await work();
+            await helpers.run("COMMIT");
+        } catch (err) {
+            await helpers.run("ROLLBACK").catch(() => undefined);
+            throw err;
+        }
+    };
+
+    // Apply every pending migration in order; returns the versions applied
+    const migrate = async () => {
+        const state = await status();
+        refuseNewerSchema(state);
+        if (state.legacy) {
+            log("Found a database from before versioned migrations; bringing it up to date.");
+        }
+        await ensureTable();
+        const applied = [];
+        for (const migration of migrations) {
+            const done = state.migrations.find((entry) => entry.version === migration.version).appliedAt;
+            if (done) {
+                continue;
+            }
+            await inTransaction(async () => {
+                // Another process may have applied it while we waited for the write lock
+                const row = await helpers.get("SELECT version FROM schema_migrations WHERE version = ?", [
+                    migration.version
+                ]);
+                if (row) {
+                    return;
+                }
+                await migration.up(helpers);
+                await helpers.run("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)", [
+                    migration.version,
+                    migration.name,
+                    new Date().toISOString()
+                ]);
+                log(`Applied migration ${migrationLabel(migration)}.`);
+                applied.push(migration.version);
+            });
+        }
+        return applied;
+    };
+
+    // Undo the most recent migrations, newest first; returns the versions rolled back
+    const rollback = async (steps = 1) => {
+        const state = await status();
+        refuseNewerSchema(state);
+        const targets = state.migrations
+            .filter((entry) => entry.appliedAt)
+            .reverse()
+            .slice(0, steps)
+            .map((entry) => migrations.find((migration) => migration.version === entry.version));
+        const rolledBack = [];
+        for (const migration of targets) {
+            if (typeof migration.down !== "function") {
+                throw new Error(`Migration ${migrationLabel(migration)} cannot be rolled back.`);
+            }
+            await inTransaction(async () => {
+                await migration.down(helpers);
+                await helpers.run("DELETE FROM schema_migrations WHERE version = ?", [migration.version]);
+            });
+            log(`Rolled back migration ${migrationLabel(migration)}.`);
+            rolledBack.push(migration.version);
+        }
+        return rolledBack;
+    };
+
+    return { status, migrate, rollback };
+};
+
+module.exports = {
+    createMigrator,
+    loadMigrations,
+    migrationLabel
+};
@@ -0,0 +1,233 @@
+// Server-side page templates for the article CMS (home page and /articles/:slug)
+
+// Escape text before placing it in HTML content or attribute values
+const escapeHtml = (value) =>
+    String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+
+// Parse the stored bento facts, tolerating rows saved before a field existed
+const parseFacts = (facts) => {
+    try {
+        const parsed = JSON.parse(facts || "{}");
+        return {
+            heading: parsed.heading || "",
+            items: Array.isArray(parsed.items) ? parsed.items : [],
+            cards: Array.isArray(parsed.cards) ? parsed.cards : []
+        };
+    } catch (err) {
+        return { heading: "", items: [], cards: [] };
+    }
+};
+
+// Shared document shell used by every rendered page
+const renderLayout = ({ title, header, body }) => `<!DOCTYPE html>
+<html lang="en">
+
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <link rel="stylesheet" href="/styles.css">
+</head>
+
+<body>
+    <header class="site-header">
+${header}
+    </header>
+
+${body}
+
+    <script src="/lib/phone.js"></script>
+    <script src="/lib/registration-schema.js"></script>
+    <script src="/script.js"></script>
+</body>
+
+</html>
+`;
+
+const backHomeHeader = `        <h1 class="logo">Wanderlust</h1>
+        <a href="/">← Back to Home</a>`;
+
+// Bento grid: one large highlights card followed by small fact cards
+const renderBento = (article, facts) => {
+    if (!facts.items.length && !facts.cards.length) {
+        return "";
+    }
+    const highlights = facts.items.length
+        ? `
+                <div class="bento-item bento-large">
+                    <h2>${escapeHtml(facts.heading)}</h2>
+                    <ul>
+${facts.items.map((item) => `                        <li>${escapeHtml(item)}</li>`).join("\n")}
+                    </ul>
+                </div>`
+        : "";
+    const cards = facts.cards
+        .map(
+            (card) => `
+                <div class="bento-item">
+                    <h3>${escapeHtml(card.heading)}</h3>
+                    <p>${escapeHtml(card.text)}</p>
+                </div>`
+        )
+        .join("");
+    return `
+            <section class="bento-card" aria-label="${escapeHtml(article.nav_label)} Essentials">${highlights}${cards}
+            </section>`;
+};
+
+// Split the body on blank lines into escaped paragraphs
+const renderParagraphs = (body) =>
+    String(body || "")
+        .split(/\n\s*\n/)
+        .map((paragraph) => paragraph.trim())
+        .filter(Boolean)
+        .map((paragraph) => `            <p>${escapeHtml(paragraph)}</p>`)
+        .join("\n");
+
+// Full article page; the tour-register section is filled in by script.js. `formToken` (see
+// issueFormToken in lib/spam.js) goes to the booking form so the server can time it.
+const renderArticlePage = (article, { formToken = "" } = {}) => {
+    const facts = parseFacts(article.facts);
+    const registerId = article.tour_slug ? `register-${article.tour_slug}` : "";
+    const cta = registerId
+        ? `\n        <a class="primary-btn article-cta" href="#${registerId}">Book a tour</a>`
+        : "";
+    const quote = article.quote
+        ? `
+            <blockquote class="pull-quote">
+                “${escapeHtml(article.quote)}”
+            </blockquote>`
+        : "";
+    const register = registerId
+        ? `
+        <section class="tour-register" id="${registerId}" data-tour="${escapeHtml(article.tour_slug)}"
+            data-destination="${escapeHtml(article.tour_name)}"
+            data-title="${escapeHtml(article.register_title || `Register for the ${article.tour_name} tour`)}"
+            data-note="${escapeHtml(article.register_note || "Share your travel details to reserve your spot.")}"
+            data-form-token="${escapeHtml(formToken)}"></section>`
+        : "";
+
+    return renderLayout({
+        title: article.title,
+        header: backHomeHeader,
+        body: `    <article class="feature-article">
+        <h1>${escapeHtml(article.title)}</h1>${cta}
+        <div class="article-grid">
+            <figure class="img-figure" aria-labelledby="cap-${escapeHtml(article.slug)}">
+                <img src="${escapeHtml(article.hero_image)}"
+                    alt="${escapeHtml(article.hero_alt)}" title="${escapeHtml(article.hero_alt)}">
+                <figcaption id="cap-${escapeHtml(article.slug)}" class="img-note">${escapeHtml(article.caption)}</figcaption>
+            </figure>${quote}${renderBento(article, facts)}
+${renderParagraphs(article.body)}
+        </div>${register}
+    </article>`
+    });
+};
+
+// Home page: nav, hero grid and booking CTAs generated from published articles
+const renderHomePage = (articles) => {
+    const nav = articles
+        .map((article) => `            <a href="/articles/${escapeHtml(article.slug)}">${escapeHtml(article.nav_label)}</a>`)
+        .join("\n");
+    const hero = articles
+        .map((article, index) => {
+            const main = index === 0;
+            const heading = main ? "h2" : "h3";
+            const booking = article.tour_slug
+                ? `\n                <a class="hero-cta" href="/articles/${escapeHtml(article.slug)}#register-${escapeHtml(article.tour_slug)}">Book a tour</a>`
+                : "";
+            return `
+            <article class="${main ? "hero-main" : "hero-side"}">
+                <a href="/articles/${escapeHtml(article.slug)}">
+                    <img src="${escapeHtml(article.hero_image)}"
+                        alt="${escapeHtml(article.hero_alt)}" title="${escapeHtml(article.hero_alt)}">
+                    <${heading}>${escapeHtml(article.title)}</${heading}>
+                </a>${booking}
+            </article>`;
+        })
+        .join("\n");
+    const ctas = articles
+        .filter((article) => article.tour_slug)
+        .map(
+            (article) =>
+                `                <a class="primary-btn" href="/articles/${escapeHtml(article.slug)}#register-${escapeHtml(article.tour_slug)}">Book ${escapeHtml(article.nav_label)}</a>`
+        )
+        .join("\n");
+
+    return renderLayout({
+        title: "Wanderlust Magazine",
+        header: `        <h1 class="logo">Wanderlust</h1>
+        <button class="nav-toggle" aria-expanded="false" aria-controls="site-nav">
+            Menu <span aria-hidden="true"></span>
+        </button>
+        <nav id="site-nav" class="site-nav">
+            <a href="/">Home</a>
+${nav}
+        </nav>
+        <label class="theme-toggle">
+            <input type="checkbox" id="darkToggle">
+            Dark Mode
+        </label>`,
+        body: `    <div class="tagline-row">
+        <p class="site-tagline">Explore the world for you sanity sake</p>
+        <a class="primary-btn top-cta" href="#home-cta-title">Book a tour</a>
+    </div>
+
+    <main class="layout">
+
+        <section class="hero">${hero}
+        </section>
+
+        <section class="home-cta" aria-labelledby="home-cta-title">
+            <h2 id="home-cta-title">Ready to book a tour?</h2>
+            <p>Pick your destination and jump straight to the secure registration form.</p>
+            <div class="cta-group">
+${ctas}
+            </div>
+        </section>
+
+    </main>
+
+    <footer class="site-footer">
+        <p>© 2026 Wanderlust Magazine</p>
+    </footer>`
+    });
+};
+
+// Minimal not-found page for unknown or unpublished article slugs
+const renderNotFoundPage = () =>
+    renderLayout({
+        title: "Article not found",
+        header: backHomeHeader,
+        body: `    <main class="layout">
+        <h2>Article not found</h2>
+        <p>This story may have moved or is not published yet.</p>
+    </main>`
+    });
+
+// Self-service booking page; script.js loads the booking named by the ?token= link
+const renderManageBookingPage = () =>
+    renderLayout({
+        title: "Manage your booking",
+        header: backHomeHeader,
+        body: `    <main class="layout">
+        <section class="tour-register manage-booking" aria-labelledby="manage-title">
+            <h2 id="manage-title">Manage your booking</h2>
+            <p class="form-note">Loading your booking…</p>
+        </section>
+    </main>`
+    });
+
+module.exports = {
+    escapeHtml,
+    parseFacts,
+    renderArticlePage,
+    renderHomePage,
+    renderManageBookingPage,
+    renderNotFoundPage
+};
@@ -0,0 +1,53 @@
+// Admin password strength policy, shared by account creation, invites, password changes
+// and resets. Returns an error message, or null when the password is acceptable.
+const MIN_LENGTH = 10;
+// bcrypt ignores everything past 72 bytes, so longer passwords would silently be truncated
+const MAX_BYTES = 72;
+const PASSPHRASE_LENGTH = 16;
+
+// Passwords that meet the length rule but show up at the top of every breach list
+const COMMON_PASSWORDS = new Set([
+    "password123",
+    "password1234",
+    "passw0rd123",
+    "admin12345",
+    "administrator",
+    "qwerty12345",
+    "qwertyuiop",
+    "1234567890",
+    "12345678910",
+    "iloveyou123",
+    "letmein123",
+    "welcome123",
+    "changeme123",
+    "wanderlust1",
+    "wanderlust123"
+]);
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/];
+
+const checkPasswordStrength = (password, { username } = {}) => {
+    if (typeof password !== "string" || password.length < MIN_LENGTH) {
+        return `Password must be at least ${MIN_LENGTH} characters.`;
+    }
+    if (Buffer.byteLength(password) > MAX_BYTES) {
+        return `Password must be at most ${MAX_BYTES} bytes.`;
+    }
+    const lower = password.toLowerCase();
+    if (COMMON_PASSWORDS.has(lower) || /^(.)\1+$/.test(password)) {
+        return "That password is too easy to guess.";
+    }
+    if (username && lower.includes(String(username).toLowerCase())) {
+        return "Password must not contain the username.";
+    }
+    const classes = CHARACTER_CLASSES.filter((pattern) => pattern.test(password)).length;
+    if (password.length < PASSPHRASE_LENGTH && classes < 3) {
+        return `Use at least three of lowercase, uppercase, digits and symbols, or a passphrase of ${PASSPHRASE_LENGTH}+ characters.`;
+    }
+    return null;
+};
+
+module.exports = {
+    MIN_LENGTH,
+    checkPasswordStrength
+};
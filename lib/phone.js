@@ -0,0 +1,189 @@
+// Phone numbers for the booking forms, shared by the server (require("./lib/phone")) and the
+// browser (served as /lib/phone.js, exposed as window.Phone) so both apply the same rules.
+// Numbers are stored as E.164 ("+447400123456") next to the ISO country they were entered for.
+//
+// COUNTRIES is the bundled metadata: calling code, national trunk prefix (dropped in E.164),
+// allowed national number lengths, digit groups per length and an example number.
+// To support another country, add a row. Rows are alphabetical except where a calling code is
+// shared: the first row with a code is the one used when no country was chosen.
+
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Phone = factory();
+    }
+})(typeof self !== "undefined" ? self : this, () => {
+    const COUNTRIES = [
+        { iso: "AR", name: "Argentina", dial: "54", trunk: "0", lengths: [10], groups: { 10: [2, 4, 4] }, example: "1123456789" },
+        { iso: "AU", name: "Australia", dial: "61", trunk: "0", lengths: [9], groups: { 9: [3, 3, 3] }, example: "412345678" },
+        { iso: "AT", name: "Austria", dial: "43", trunk: "0", lengths: [7, 8, 9, 10, 11, 12, 13], groups: { 10: [3, 7], 11: [3, 8] }, example: "6641234567" },
+        { iso: "BE", name: "Belgium", dial: "32", trunk: "0", lengths: [8, 9], groups: { 8: [1, 3, 2, 2], 9: [3, 2, 2, 2] }, example: "470123456" },
+        { iso: "BR", name: "Brazil", dial: "55", trunk: "0", lengths: [10, 11], groups: { 10: [2, 4, 4], 11: [2, 5, 4] }, example: "11961234567" },
+        // +1 numbers entered without a country are read as US numbers
+        { iso: "US", name: "United States", dial: "1", trunk: "", lengths: [10], groups: { 10: [3, 3, 4] }, example: "2015550123" },
+        { iso: "CA", name: "Canada", dial: "1", trunk: "", lengths: [10], groups: { 10: [3, 3, 4] }, example: "5062345678" },
+        { iso: "CN", name: "China", dial: "86", trunk: "0", lengths: [10, 11], groups: { 10: [2, 4, 4], 11: [3, 4, 4] }, example: "13123456789" },
+        { iso: "CO", name: "Colombia", dial: "57", trunk: "", lengths: [10], groups: { 10: [3, 3, 4] }, example: "3211234567" },
+        { iso: "DK", name: "Denmark", dial: "45", trunk: "", lengths: [8], groups: { 8: [2, 2, 2, 2] }, example: "32123456" },
+        { iso: "EG", name: "Egypt", dial: "20", trunk: "0", lengths: [8, 9, 10], groups: { 9: [1, 4, 4], 10: [2, 4, 4] }, example: "1001234567" },
+        { iso: "FR", name: "France", dial: "33", trunk: "0", lengths: [9], groups: { 9: [1, 2, 2, 2, 2] }, example: "612345678" },
+        { iso: "DE", name: "Germany", dial: "49", trunk: "0", lengths: [6, 7, 8, 9, 10, 11], groups: { 10: [3, 7], 11: [4, 7] }, example: "15123456789" },
+        { iso: "GH", name: "Ghana", dial: "233", trunk: "0", lengths: [9], groups: { 9: [2, 3, 4] }, example: "231234567" },
+        { iso: "GR", name: "Greece", dial: "30", trunk: "", lengths: [10], groups: { 10: [3, 3, 4] }, example: "6912345678" },
+        { iso: "HK", name: "Hong Kong", dial: "852", trunk: "", lengths: [8], groups: { 8: [4, 4] }, example: "51234567" },
+        { iso: "IN", name: "India", dial: "91", trunk: "0", lengths: [10], groups: { 10: [5, 5] }, example: "8123456789" },
+        { iso: "ID", name: "Indonesia", dial: "62", trunk: "0", lengths: [9, 10, 11, 12], groups: { 10: [3, 3, 4], 11: [3, 4, 4], 12: [3, 4, 5] }, example: "8123456789" },
+        { iso: "IE", name: "Ireland", dial: "353", trunk: "0", lengths: [7, 8, 9], groups: { 8: [1, 3, 4], 9: [2, 3, 4] }, example: "850123456" },
+        { iso: "IL", name: "Israel", dial: "972", trunk: "0", lengths: [8, 9], groups: { 8: [1, 3, 4], 9: [2, 3, 4] }, example: "502345678" },
+        // Italian numbers keep their leading 0 after the calling code, so there is no trunk prefix
+        { iso: "IT", name: "Italy", dial: "39", trunk: "", lengths: [6, 7, 8, 9, 10, 11], groups: { 10: [3, 3, 4] }, example: "3123456789" },
+        { iso: "JP", name: "Japan", dial: "81", trunk: "0", lengths: [9, 10], groups: { 9: [1, 4, 4], 10: [2, 4, 4] }, example: "9012345678" },
+        { iso: "KE", name: "Kenya", dial: "254", trunk: "0", lengths: [9], groups: { 9: [3, 6] }, example: "712123456" },
+        { iso: "MY", name: "Malaysia", dial: "60", trunk: "0", lengths: [9, 10], groups: { 9: [2, 3, 4], 10: [2, 4, 4] }, example: "123456789" },
+        { iso: "MX", name: "Mexico", dial: "52", trunk: "", lengths: [10], groups: { 10: [2, 4, 4] }, example: "2221234567" },
+        { iso: "MA", name: "Morocco", dial: "212", trunk: "0", lengths: [9], groups: { 9: [3, 6] }, example: "650123456" },
+        { iso: "NL", name: "Netherlands", dial: "31", trunk: "0", lengths: [9], groups: { 9: [1, 4, 4] }, example: "612345678" },
+        { iso: "NZ", name: "New Zealand", dial: "64", trunk: "0", lengths: [8, 9, 10], groups: { 8: [1, 3, 4], 9: [2, 3, 4], 10: [2, 4, 4] }, example: "211234567" },
+        { iso: "NG", name: "Nigeria", dial: "234", trunk: "0", lengths: [8, 10], groups: { 8: [1, 3, 4], 10: [3, 3, 4] }, example: "8021234567" },
+        { iso: "NO", name: "Norway", dial: "47", trunk: "", lengths: [8], groups: { 8: [3, 2, 3] }, example: "40612345" },
+        { iso: "PK", name: "Pakistan", dial: "92", trunk: "0", lengths: [10], groups: { 10: [3, 7] }, example: "3012345678" },
+        { iso: "PH", name: "Philippines", dial: "63", trunk: "0", lengths: [10], groups: { 10: [3, 3, 4] }, example: "9051234567" },
+        { iso: "PL", name: "Poland", dial: "48", trunk: "", lengths: [9], groups: { 9: [3, 3, 3] }, example: "512345678" },
+        { iso: "PT", name: "Portugal", dial: "351", trunk: "", lengths: [9], groups: { 9: [3, 3, 3] }, example: "912345678" },
+        { iso: "RU", name: "Russia", dial: "7", trunk: "8", lengths: [10], groups: { 10: [3, 3, 2, 2] }, example: "9123456789" },
+        { iso: "SA", name: "Saudi Arabia", dial: "966", trunk: "0", lengths: [9], groups: { 9: [2, 3, 4] }, example: "512345678" },
+        { iso: "SG", name: "Singapore", dial: "65", trunk: "", lengths: [8], groups: { 8: [4, 4] }, example: "81234567" },
+        { iso: "ZA", name: "South Africa", dial: "27", trunk: "0", lengths: [9], groups: { 9: [2, 3, 4] }, example: "711234567" },
+        { iso: "KR", name: "South Korea", dial: "82", trunk: "0", lengths: [9, 10], groups: { 9: [2, 3, 4], 10: [2, 4, 4] }, example: "1020000000" },
+        { iso: "ES", name: "Spain", dial: "34", trunk: "", lengths: [9], groups: { 9: [3, 3, 3] }, example: "612345678" },
+        { iso: "SE", name: "Sweden", dial: "46", trunk: "0", lengths: [7, 8, 9], groups: { 9: [2, 3, 2, 2] }, example: "701234567" },
+        { iso: "CH", name: "Switzerland", dial: "41", trunk: "0", lengths: [9], groups: { 9: [2, 3, 2, 2] }, example: "781234567" },
+        { iso: "TH", name: "Thailand", dial: "66", trunk: "0", lengths: [8, 9], groups: { 8: [1, 3, 4], 9: [2, 3, 4] }, example: "812345678" },
+        { iso: "TR", name: "Turkey", dial: "90", trunk: "0", lengths: [10], groups: { 10: [3, 3, 2, 2] }, example: "5012345678" },
+        { iso: "AE", name: "United Arab Emirates", dial: "971", trunk: "0", lengths: [8, 9], groups: { 8: [1, 3, 4], 9: [2, 3, 4] }, example: "501234567" },
+        { iso: "GB", name: "United Kingdom", dial: "44", trunk: "0", lengths: [9, 10], groups: { 9: [4, 5], 10: [4, 6] }, example: "7400123456" },
+        { iso: "VN", name: "Vietnam", dial: "84", trunk: "0", lengths: [9, 10], groups: { 9: [2, 3, 4], 10: [3, 3, 4] }, example: "912345678" }
+    ];
+
+    const findCountry = (iso) => COUNTRIES.find((country) => country.iso === String(iso || "").toUpperCase()) || null;
+
+    // Split digits into the country's groups for that length (the longest length while the
+    // number is still being typed); digits past the last group stay on the end
+    const groupDigits = (digits, country) => {
+        const sizes =
+            country.groups[digits.length] || country.groups[Math.max(...Object.keys(country.groups).map(Number))] || [3, 3, 4];
+        const parts = [];
+        let rest = digits;
+        sizes.forEach((size, index) => {
+            if (rest) {
+                const take = index === sizes.length - 1 ? rest.length : size;
+                parts.push(rest.slice(0, take));
+                rest = rest.slice(take);
+            }
+        });
+        return parts.join(" ");
+    };
+
+    // Sort order putting `iso` first among countries that share a calling code
+    const preferCountry = (iso) => {
+        const preferred = String(iso || "").toUpperCase();
+        return (a, b) => Number(b.iso === preferred) - Number(a.iso === preferred);
+    };
+
+    // The national number without the trunk prefix when that makes it a valid length
+    const nationalNumber = (digits, country) =>
+        country.trunk && digits.startsWith(country.trunk) && country.lengths.includes(digits.length - country.trunk.length)
+            ? digits.slice(country.trunk.length)
+            : digits;
+
+    // Parse what was typed into { country, nationalNumber, e164 }, or null when it isn't a valid
+    // number. "+..." and "00..." are read as international, anything else as a number of `iso`.
+    // For shared calling codes (+1) `iso` picks the country when it matches.
+    const parsePhone = (value, iso) => {
+        const raw = String(value || "").trim();
+        const digits = raw.replace(/\D/g, "");
+        if (!digits) {
+            return null;
+        }
+        const international = raw.startsWith("+") || raw.startsWith("00");
+        let candidates;
+        let local;
+        if (international) {
+            const full = raw.startsWith("+") ? digits : digits.slice(2);
+            candidates = COUNTRIES.filter((country) => full.startsWith(country.dial)).sort(preferCountry(iso));
+            local = (country) => full.slice(country.dial.length);
+        } else {
+            const country = findCountry(iso);
+            candidates = country ? [country] : [];
+            local = () => digits;
+        }
+        for (const country of candidates) {
+            const national = nationalNumber(local(country), country);
+            if (country.lengths.includes(national.length)) {
+                return { country: country.iso, nationalNumber: national, e164: `+${country.dial}${national}` };
+            }
+        }
+        return null;
+    };
+
+    // "+44 7400 123456" for a stored E.164 number; anything unrecognised is returned as it is
+    const formatInternational = (value, iso) => {
+        const parsed = parsePhone(value, iso);
+        if (!parsed) {
+            return value || "";
+        }
+        const country = findCountry(parsed.country);
+        return `+${country.dial} ${groupDigits(parsed.nationalNumber, country)}`;
+    };
+
+    // The number as people write it at home, trunk prefix included: "07400 123456"
+    const formatNational = (nationalDigits, iso) => {
+        const country = findCountry(iso);
+        return country ? `${country.trunk}${groupDigits(String(nationalDigits), country)}` : String(nationalDigits);
+    };
+
+    // Reformat the contents of a phone input while the number is being typed
+    const formatAsYouType = (value, iso) => {
+        const raw = String(value || "");
+        const digits = raw.replace(/\D/g, "");
+        if (raw.trim().startsWith("+")) {
+            const country = COUNTRIES.filter((entry) => digits.startsWith(entry.dial)).sort(preferCountry(iso))[0];
+            return country && digits.length > country.dial.length
+                ? `+${country.dial} ${groupDigits(digits.slice(country.dial.length), country)}`
+                : `+${digits}`;
+        }
+        const country = findCountry(iso);
+        if (!country || !digits) {
+            return digits;
+        }
+        const trunk = country.trunk && digits.startsWith(country.trunk) ? country.trunk : "";
+        return `${trunk}${groupDigits(digits.slice(trunk.length), country)}`;
+    };
+
+    // The error shown for a phone field, or null when the number is valid
+    const phoneError = (value, iso) => {
+        if (!String(value || "").trim()) {
+            return "Phone number is required.";
+        }
+        if (parsePhone(value, iso)) {
+            return null;
+        }
+        const country = findCountry(iso);
+        const international = /^\s*(\+|00)/.test(String(value));
+        if (!country || international) {
+            return "Enter the phone number with its country code, e.g. +44 7400 123456, or choose its country.";
+        }
+        return `Enter a valid ${country.name} phone number, e.g. ${formatNational(country.example, country.iso)}.`;
+    };
+
+    return {
+        COUNTRIES,
+        findCountry,
+        parsePhone,
+        formatInternational,
+        formatNational,
+        formatAsYouType,
+        phoneError
+    };
+});
@@ -0,0 +1,166 @@
+// The registration form's fields and rules, shared by the server (validation before anything is
+// saved) and the browser (served as /lib/registration-schema.js, exposed as
+// window.RegistrationSchema) where it builds the form's constraint attributes and inline errors.
+// Load lib/phone.js first in the browser.
+//
+// validateRegistration() returns a list of { field, code, message } errors, empty when the
+// values are fine. Codes: required, too_short, too_long, invalid_option, invalid_email,
+// invalid_phone, not_integer, too_small, too_large.
+
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./phone"));
+    } else {
+        root.RegistrationSchema = factory(root.Phone);
+    }
+})(typeof self !== "undefined" ? self : this, (Phone) => {
+    const SEX_OPTIONS = [
+        { value: "female", label: "Female" },
+        { value: "male", label: "Male" },
+        { value: "nonbinary", label: "Non-binary" },
+        { value: "prefer-not", label: "Prefer not to say" }
+    ];
+
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    // Field rules in form order. `messages` replaces the generic message for a code.
+    const FIELDS = {
+        fullName: { label: "Full name", required: true, minLength: 2, maxLength: 60 },
+        sex: { label: "Sex", required: true, options: SEX_OPTIONS },
+        phoneCountry: {
+            label: "Phone country",
+            options: Phone.COUNTRIES.map((country) => ({ value: country.iso, label: `${country.name} (+${country.dial})` }))
+        },
+        phone: { label: "Phone number", required: true, phone: true },
+        email: { label: "Email address", required: true, maxLength: 254, email: true },
+        departureId: {
+            label: "Departure",
+            required: true,
+            integer: true,
+            min: 1,
+            messages: {
+                required: "Please choose a departure.",
+                not_integer: "Please choose a departure.",
+                too_small: "Please choose a departure."
+            }
+        },
+        city: { label: "City", required: true, minLength: 2, maxLength: 60 },
+        persons: {
+            label: "Number of persons",
+            required: true,
+            integer: true,
+            min: 1,
+            max: 20,
+            messages: {
+                not_integer: "Number of persons must be between 1 and 20.",
+                too_small: "Number of persons must be between 1 and 20.",
+                too_large: "Number of persons must be between 1 and 20."
+            }
+        },
+        message: { label: "Message", maxLength: 500 }
+    };
+
+    const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+    // Generic wording for each code; fields can override it with `messages`
+    const defaultMessage = (rule, code) => {
+        switch (code) {
+            case "required":
+                return `${rule.label} is required.`;
+            case "too_short":
+                return `${rule.label} must be at least ${rule.minLength} characters.`;
+            case "too_long":
+                return `${rule.label} must be at most ${rule.maxLength} characters.`;
+            case "invalid_option":
+                return `Choose a valid ${rule.label.toLowerCase()}.`;
+            case "invalid_email":
+                return "Enter a valid email address, e.g. you@example.com.";
+            case "not_integer":
+                return `${rule.label} must be a whole number.`;
+            case "too_small":
+                return `${rule.label} must be at least ${rule.min}.`;
+            case "too_large":
+                return `${rule.label} must be at most ${rule.max}.`;
+            default:
+                return `${rule.label} is not valid.`;
+        }
+    };
+
+    // The code of the first rule `value` breaks, with the phone message when it's a phone problem
+    const checkField = (name, values) => {
+        const rule = FIELDS[name];
+        const value = values[name];
+        if (isBlank(value)) {
+            return rule.required ? { code: "required" } : null;
+        }
+        const text = String(value).trim();
+        if (rule.minLength && text.length < rule.minLength) {
+            return { code: "too_short" };
+        }
+        if (rule.maxLength && text.length > rule.maxLength) {
+            return { code: "too_long" };
+        }
+        if (rule.options && !rule.options.some((option) => option.value === text)) {
+            return { code: "invalid_option" };
+        }
+        if (rule.email && !EMAIL_PATTERN.test(text)) {
+            return { code: "invalid_email" };
+        }
+        if (rule.phone) {
+            const problem = Phone.phoneError(text, values.phoneCountry);
+            return problem ? { code: "invalid_phone", message: problem } : null;
+        }
+        if (rule.integer) {
+            const number = Number(text);
+            if (!Number.isInteger(number)) {
+                return { code: "not_integer" };
+            }
+            if (rule.min !== undefined && number < rule.min) {
+                return { code: "too_small" };
+            }
+            if (rule.max !== undefined && number > rule.max) {
+                return { code: "too_large" };
+            }
+        }
+        return null;
+    };
+
+    // Check `values` against the schema, or only the named `fields` of it
+    const validateRegistration = (values, fields = Object.keys(FIELDS)) => {
+        if (!values || typeof values !== "object") {
+            return [{ field: null, code: "required", message: "Missing registration data." }];
+        }
+        return fields
+            .map((name) => {
+                const problem = checkField(name, values);
+                if (!problem) {
+                    return null;
+                }
+                const rule = FIELDS[name];
+                const message =
+                    problem.message || (rule.messages && rule.messages[problem.code]) || defaultMessage(rule, problem.code);
+                return { field: name, code: problem.code, message };
+            })
+            .filter(Boolean);
+    };
+
+    // HTML constraint attributes for a field's input, so the browser's own checks match ours
+    const constraintAttributes = (name) => {
+        const rule = FIELDS[name];
+        const attributes = [];
+        if (rule.required) attributes.push("required");
+        if (rule.minLength) attributes.push(`minlength="${rule.minLength}"`);
+        if (rule.maxLength) attributes.push(`maxlength="${rule.maxLength}"`);
+        if (rule.integer) attributes.push('step="1"');
+        if (rule.min !== undefined) attributes.push(`min="${rule.min}"`);
+        if (rule.max !== undefined) attributes.push(`max="${rule.max}"`);
+        return attributes.join(" ");
+    };
+
+    return {
+        FIELDS,
+        SEX_OPTIONS,
+        validateRegistration,
+        constraintAttributes
+    };
+});
@@ -0,0 +1,136 @@
+const crypto = require("crypto");
+
+// Request hardening: security headers, strict Origin checks and CSRF tokens for every
+// state-changing API call. Tokens use the signed double-submit pattern: GET /api/csrf-token
+// sets a cookie holding "<nonce>.<hmac>" and returns the same value, and unsafe requests must
+// echo it in the X-CSRF-Token header. A cross-site page can neither read the cookie nor mint a
+// correctly signed token, and it works for visitors without a session.
+
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+const CSRF_HEADER = "x-csrf-token";
+
+// Image hosts the magazine's article hero images come from
+const IMAGE_SOURCES = ["https://images.unsplash.com", "https://plus.unsplash.com"];
+
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'self'",
+    // data: covers the two-factor QR code
+    `img-src 'self' data: ${IMAGE_SOURCES.join(" ")}`,
+    "script-src 'self'",
+    "style-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+].join("; ");
+
+// TRUST_PROXY accepts what Express's "trust proxy" setting does: true, a hop count, or addresses
+const parseTrustProxy = (value) => {
+    if (value === undefined || value === "" || value === "false") {
+        return false;
+    }
+    if (value === "true") {
+        return true;
+    }
+    return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+const readCookie = (req, name) => {
+    const header = req.headers.cookie || "";
+    for (const part of header.split(";")) {
+        const index = part.indexOf("=");
+        if (index !== -1 && part.slice(0, index).trim() === name) {
+            return decodeURIComponent(part.slice(index + 1).trim());
+        }
+    }
+    return null;
+};
+
+const createSecurity = ({ secret, secureCookies = false, allowedOrigins = [] }) => {
+    // __Host- cookies are only accepted over HTTPS, for the whole site, without a Domain
+    const cookieName = secureCookies ? "__Host-csrf" : "csrf";
+
+    const sign = (nonce) => crypto.createHmac("sha256", secret).update(`csrf:${nonce}`).digest("hex");
+
+    const isValidToken = (token) => {
+        const [nonce, signature] = String(token || "").split(".");
+        if (!nonce || !signature) {
+            return false;
+        }
+        const expected = Buffer.from(sign(nonce));
+        const given = Buffer.from(signature);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    };
+
+    const securityHeaders = (req, res, next) => {
+        res.set({
+            "Content-Security-Policy": CONTENT_SECURITY_POLICY,
+            "X-Content-Type-Options": "nosniff",
+            "X-Frame-Options": "DENY",
+            "Referrer-Policy": "same-origin",
+            "Cross-Origin-Opener-Policy": "same-origin"
+        });
+        if (secureCookies) {
+            res.set("Strict-Transport-Security", "max-age=31536000; includeSubDomains");
+        }
+        next();
+    };
+
+    // Unsafe requests must come from this site: the Origin header (or, failing that, the
+    // Referer) has to match the host the request was sent to or ALLOWED_ORIGINS
+    const checkOrigin = (req, res, next) => {
+        if (SAFE_METHODS.has(req.method)) {
+            return next();
+        }
+        let origin = req.get("origin");
+        if (!origin && req.get("referer")) {
+            try {
+                origin = new URL(req.get("referer")).origin;
+            } catch (err) {
+                origin = null;
+            }
+        }
+        const expected = [`${req.protocol}://${req.get("host")}`, ...allowedOrigins];
+        if (!origin || !expected.includes(origin)) {
+            return res.status(403).json({ message: "Cross-site request blocked." });
+        }
+        return next();
+    };
+
+    const csrfProtection = (req, res, next) => {
+        if (SAFE_METHODS.has(req.method)) {
+            return next();
+        }
+        const cookie = readCookie(req, cookieName);
+        const header = req.get(CSRF_HEADER);
+        if (!cookie || cookie !== header || !isValidToken(cookie)) {
+            return res.status(403).json({ message: "Invalid or missing CSRF token. Reload the page and try again." });
+        }
+        return next();
+    };
+
+    // Mint a new token and set its cookie; sign-in calls this so a token from before login is dropped
+    const rotateCsrfToken = (res) => {
+        const nonce = crypto.randomBytes(16).toString("hex");
+        const token = `${nonce}.${sign(nonce)}`;
+        res.cookie(cookieName, token, { httpOnly: true, sameSite: "strict", secure: secureCookies, path: "/" });
+        return token;
+    };
+
+    // GET /api/csrf-token: reuse the browser's token while it is valid so open tabs keep working
+    const issueCsrfToken = (req, res) => {
+        let token = readCookie(req, cookieName);
+        if (!isValidToken(token)) {
+            token = rotateCsrfToken(res);
+        }
+        res.set("Cache-Control", "no-store");
+        res.json({ token });
+    };
+
+    return { securityHeaders, checkOrigin, csrfProtection, issueCsrfToken, rotateCsrfToken };
+};
+
+module.exports = {
+    createSecurity,
+    parseTrustProxy
+};
@@ -0,0 +1,101 @@
+const session = require("express-session");
+
+// express-session store that keeps sessions in the app's SQLite database (the sessions table
+// created by initializeDatabase), so restarts don't sign everyone out. The admin id is copied
+// into its own column so an admin's sessions can be listed and revoked; expired rows are
+// swept periodically.
+class SqliteSessionStore extends session.Store {
+    constructor({ db, cleanupIntervalMs = 1000 * 60 * 15 }) {
+        super();
+        this.db = db;
+        this.cleanupTimer = setInterval(() => this.clearExpired(), cleanupIntervalMs);
+        this.cleanupTimer.unref();
+    }
+
+    // Sessions without a cookie expiry fall back to a day so the sweeper still removes them
+    static expiresAt(sess) {
+        const expires = sess.cookie && sess.cookie.expires;
+        return expires ? new Date(expires).getTime() : Date.now() + 1000 * 60 * 60 * 24;
+    }
+
+    get(sid, callback) {
+        this.db.get("SELECT sess FROM sessions WHERE sid = ? AND expires_at > ?", [sid, Date.now()], (err, row) => {
+            if (err) {
+                return callback(err);
+            }
+            try {
+                return callback(null, row ? JSON.parse(row.sess) : null);
+            } catch (parseErr) {
+                return callback(parseErr);
+            }
+        });
+    }
+
+    set(sid, sess, callback = () => undefined) {
+        this.db.run(
+            `INSERT INTO sessions (sid, sess, expires_at, admin_id, last_seen_at) VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT (sid) DO UPDATE SET sess = excluded.sess, expires_at = excluded.expires_at,
+                admin_id = excluded.admin_id, last_seen_at = excluded.last_seen_at`,
+            [sid, JSON.stringify(sess), SqliteSessionStore.expiresAt(sess), sess.adminId || null, Date.now()],
+            (err) => callback(err || null)
+        );
+    }
+
+    // Called on requests that didn't change the session: extend it and record the activity
+    touch(sid, sess, callback = () => undefined) {
+        this.db.run(
+            "UPDATE sessions SET expires_at = ?, last_seen_at = ? WHERE sid = ?",
+            [SqliteSessionStore.expiresAt(sess), Date.now(), sid],
+            (err) => callback(err || null)
+        );
+    }
+
+    destroy(sid, callback = () => undefined) {
+        this.db.run("DELETE FROM sessions WHERE sid = ?", [sid], (err) => callback(err || null));
+    }
+
+    clear(callback = () => undefined) {
+        this.db.run("DELETE FROM sessions", [], (err) => callback(err || null));
+    }
+
+    length(callback) {
+        this.db.get("SELECT COUNT(*) AS count FROM sessions WHERE expires_at > ?", [Date.now()], (err, row) =>
+            callback(err || null, row ? row.count : 0)
+        );
+    }
+
+    clearExpired(callback = () => undefined) {
+        this.db.run("DELETE FROM sessions WHERE expires_at <= ?", [Date.now()], (err) => {
+            if (err) {
+                console.error("Session cleanup failed", err);
+            }
+            callback(err || null);
+        });
+    }
+
+    // Live sessions signed in as one admin, newest activity first
+    listForAdmin(adminId, callback) {
+        this.db.all(
+            "SELECT sid, sess, last_seen_at FROM sessions WHERE admin_id = ? AND expires_at > ? ORDER BY last_seen_at DESC",
+            [adminId, Date.now()],
+            (err, rows) => {
+                if (err) {
+                    return callback(err);
+                }
+                return callback(
+                    null,
+                    rows.map((row) => ({ sid: row.sid, sess: JSON.parse(row.sess), lastSeenAt: row.last_seen_at }))
+                );
+            }
+        );
+    }
+
+    // Sign an admin out everywhere, optionally keeping one session (the one making the request)
+    destroyForAdmin(adminId, exceptSid, callback = () => undefined) {
+        this.db.run("DELETE FROM sessions WHERE admin_id = ? AND sid <> ?", [adminId, exceptSid || ""], (err) =>
+            callback(err || null)
+        );
+    }
+}
+
+module.exports = SqliteSessionStore;
@@ -0,0 +1,85 @@
+// Abuse checks for the public registration form. Submissions that trip a check aren't
+// refused (a person may simply autofill quickly); they go to the quarantine for an admin to
+// approve or discard. Per-IP rate limits and duplicate detection are applied in server.js.
+
+const crypto = require("crypto");
+
+const readNumber = (env, name, fallback) => {
+    const value = Number(env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Build the policy from environment variables (see .env.example)
+const loadSpamPolicy = (env = process.env) => ({
+    rateLimit: readNumber(env, "REGISTRATION_RATE_LIMIT", 5),
+    rateWindowMs: readNumber(env, "REGISTRATION_RATE_WINDOW_MINUTES", 60) * 60 * 1000,
+    minFillMs: readNumber(env, "REGISTRATION_MIN_FILL_SECONDS", 3) * 1000,
+    duplicateWindowMs: readNumber(env, "REGISTRATION_DUPLICATE_WINDOW_HOURS", 24) * 60 * 60 * 1000,
+    maxLinks: readNumber(env, "REGISTRATION_MAX_LINKS", 2)
+});
+
+// Name of the hidden field people never see; anything typed into it came from a bot
+const HONEYPOT_FIELD = "website";
+
+const LINK_PATTERN = /https?:\/\/|www\./gi;
+
+// Form tokens older than this no longer vouch for the form having come from the site
+const FORM_TOKEN_MAX_AGE_MS = 1000 * 60 * 60 * 24;
+
+const signFormTime = (secret, issuedAt) =>
+    crypto.createHmac("sha256", secret).update(`registration-form.${issuedAt}`).digest("hex");
+
+// "<issued-at ms>.<HMAC>" for a booking form served now. The page carries it and the form sends it
+// back, so the fill time is measured on the server and a client can't claim a slower one.
+const issueFormToken = (secret, now = Date.now()) => `${now}.${signFormTime(secret, now)}`;
+
+// Milliseconds since the form behind `token` was served, or null when the token is missing,
+// forged or too old
+const formElapsedMs = (token, secret, now = Date.now()) => {
+    const [issuedAt, signature] = String(token || "").split(".");
+    if (!/^\d+$/.test(issuedAt || "") || !signature) {
+        return null;
+    }
+    const expected = Buffer.from(signFormTime(secret, issuedAt));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+    const elapsed = now - Number(issuedAt);
+    return elapsed >= 0 && elapsed <= FORM_TOKEN_MAX_AGE_MS ? elapsed : null;
+};
+
+// Why a submission looks automated: [] when it looks fine. `fillTimeMs` comes from
+// formElapsedMs(), null when the form token didn't check out.
+const spamReasons = (payload, policy, fillTimeMs) => {
+    const reasons = [];
+    if (String(payload[HONEYPOT_FIELD] || "").trim()) {
+        reasons.push("honeypot");
+    }
+    if (fillTimeMs === null) {
+        reasons.push("form-token");
+    } else if (fillTimeMs < policy.minFillMs) {
+        reasons.push("too-fast");
+    }
+    const links = `${payload.message || ""} ${payload.fullName || ""} ${payload.city || ""}`.match(LINK_PATTERN) || [];
+    if (links.length > policy.maxLinks) {
+        reasons.push("links");
+    }
+    return reasons;
+};
+
+const SPAM_REASON_LABELS = {
+    honeypot: "Filled in the hidden field",
+    "too-fast": "Form sent too quickly",
+    "form-token": "Form not loaded from the site, or left open too long",
+    links: "Too many links"
+};
+
+module.exports = {
+    HONEYPOT_FIELD,
+    SPAM_REASON_LABELS,
+    formElapsedMs,
+    issueFormToken,
+    loadSpamPolicy,
+    spamReasons
+};
@@ -0,0 +1,43 @@
+// Booking analytics for the admin dashboard. SQLite groups the rows; the helpers here give every
+// time series a point for each day, week or month in its range, so charts show quiet periods as
+// zero instead of skipping them.
+
+// SQL expressions that turn a timestamp column into the period it falls in. Weeks start on
+// Monday and are named by that day.
+const PERIOD_EXPRESSIONS = {
+    day: (column) => `date(${column})`,
+    week: (column) => `date(${column}, '-6 days', 'weekday 1')`,
+    month: (column) => `strftime('%Y-%m', ${column})`
+};
+
+// The period after `period` ("YYYY-MM-DD" for days and weeks, "YYYY-MM" for months)
+const nextPeriod = (period, unit) => {
+    if (unit === "month") {
+        const [year, month] = period.split("-").map(Number);
+        return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, "0")}`;
+    }
+    const date = new Date(`${period}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + (unit === "week" ? 7 : 1));
+    return date.toISOString().slice(0, 10);
+};
+
+// Sorted { period, registrations, persons } rows with the missing periods between the first and
+// last one added as zeros
+const fillPeriods = (rows, unit) => {
+    if (!rows.length) {
+        return [];
+    }
+    const byPeriod = new Map(rows.map((row) => [row.period, row]));
+    const last = rows[rows.length - 1].period;
+    const filled = [];
+    for (let period = rows[0].period; period <= last; period = nextPeriod(period, unit)) {
+        const row = byPeriod.get(period);
+        filled.push({ period, registrations: row ? row.registrations : 0, persons: row ? row.persons : 0 });
+    }
+    return filled;
+};
+
+module.exports = {
+    PERIOD_EXPRESSIONS,
+    fillPeriods
+};
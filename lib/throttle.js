@@ -0,0 +1,40 @@
+// Login throttling policy. Every failed attempt counts against both the client IP and the
+// username; once a key passes its throttle threshold each further failure doubles the wait,
+// and at its failure limit the key is locked out for the full lockout period.
+
+const readNumber = (env, name, fallback) => {
+    const value = Number(env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Build the policy from environment variables (see .env.example)
+const loadThrottlePolicy = (env = process.env) => ({
+    baseDelayMs: readNumber(env, "LOGIN_THROTTLE_BASE_SECONDS", 2) * 1000,
+    lockoutMs: readNumber(env, "LOGIN_LOCKOUT_MINUTES", 15) * 60 * 1000,
+    windowMs: readNumber(env, "LOGIN_FAILURE_WINDOW_MINUTES", 15) * 60 * 1000,
+    username: {
+        throttleAfter: readNumber(env, "LOGIN_THROTTLE_AFTER", 3),
+        maxFailures: readNumber(env, "LOGIN_MAX_FAILURES", 10)
+    },
+    ip: {
+        throttleAfter: readNumber(env, "LOGIN_IP_THROTTLE_AFTER", 10),
+        maxFailures: readNumber(env, "LOGIN_IP_MAX_FAILURES", 50)
+    }
+});
+
+// How long a key must wait after its nth consecutive failure
+const throttleDelay = (failures, policy, scope) => {
+    const { throttleAfter, maxFailures } = policy[scope];
+    if (failures >= maxFailures) {
+        return policy.lockoutMs;
+    }
+    if (failures < throttleAfter) {
+        return 0;
+    }
+    return Math.min(policy.baseDelayMs * 2 ** (failures - throttleAfter), policy.lockoutMs);
+};
+
+module.exports = {
+    loadThrottlePolicy,
+    throttleDelay
+};
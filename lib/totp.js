@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+
+// Time-based one-time passwords (RFC 6238) with the defaults every authenticator app
+// understands: HMAC-SHA1, 6 digits, 30-second steps.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// RFC 4648 base32 without padding, the format authenticator apps expect for secrets
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (text) => {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 character.");
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size RFC 4226 recommends for HMAC-SHA1
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP value for one counter
+const hotp = (secret, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac("sha1", base32Decode(secret)).update(message).digest();
+    const offset = digest[digest.length - 1] & 15;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const timeStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// Check a code against the current step and one step either side for clock drift. Returns the
+// matching step so callers can refuse to accept it (or anything earlier) a second time.
+const verifyTotp = (secret, code, { now = Date.now(), window = 1, lastStep = -1 } = {}) => {
+    if (!/^\d{6}$/.test(String(code))) {
+        return null;
+    }
+    const current = timeStep(now);
+    for (let step = current - window; step <= current + window; step += 1) {
+        if (step > lastStep && crypto.timingSafeEqual(Buffer.from(hotp(secret, step)), Buffer.from(String(code)))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// otpauth:// URI for QR codes and manual entry in authenticator apps
+const otpauthUrl = (secret, account, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: DIGITS, period: STEP_SECONDS });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+// One-time recovery codes such as "K7QXM-2RB4T", for when the authenticator is lost
+const generateRecoveryCodes = (count = 10) =>
+    Array.from({ length: count }, () => {
+        const code = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+
+// Recovery codes are compared without case or the dash
+const normalizeRecoveryCode = (code) => String(code).toUpperCase().replace(/[^A-Z2-7]/g, "");
+
+module.exports = {
+    generateSecret,
+    hotp,
+    verifyTotp,
+    otpauthUrl,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+};
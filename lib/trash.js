@@ -0,0 +1,59 @@
+// Scheduled emptying of the registrations trash. Deleting a booking from the dashboard only sets
+// its deleted_at; once it has been in the trash for REGISTRATION_TRASH_RETENTION_DAYS the sweep
+// deletes it for good, along with everything else that holds the traveler's details. The sweep
+// runs at start-up and then every TRASH_PURGE_INTERVAL_MS.
+
+const readNumber = (env, name, fallback) => {
+    const value = Number(env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const TRASH_PURGE_INTERVAL_MS = 1000 * 60 * 60;
+
+// Delete the registrations matching `condition` (a WHERE clause over registrations) with their
+// status history, their mail and the webhook deliveries about them. Must run inside a transaction.
+const eraseRegistrations = async (dbRun, condition, params = []) => {
+    const ids = `SELECT id FROM registrations WHERE ${condition}`;
+    await dbRun(`DELETE FROM registration_events WHERE registration_id IN (${ids})`, params);
+    await dbRun(`DELETE FROM mail_queue WHERE registration_id IN (${ids})`, params);
+    await dbRun(`DELETE FROM webhook_deliveries WHERE json_extract(payload, '$.data.registration.id') IN (${ids})`, params);
+    return dbRun(`DELETE FROM registrations WHERE ${condition}`, params);
+};
+
+const createTrashPurge = ({ dbRun, withTransaction, env = process.env }) => {
+    const retentionDays = readNumber(env, "REGISTRATION_TRASH_RETENTION_DAYS", 30);
+    let timer = null;
+
+    // Delete every registration trashed before the retention cutoff; returns how many went
+    const purgeExpired = async () => {
+        try {
+            const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+            const result = await withTransaction(() =>
+                eraseRegistrations(dbRun, "deleted_at IS NOT NULL AND deleted_at < ?", [cutoff])
+            );
+            if (result.changes > 0) {
+                console.log(`Purged ${result.changes} registration(s) from the trash`);
+            }
+            return result.changes;
+        } catch (err) {
+            console.error("Trash purge failed", err);
+            return 0;
+        }
+    };
+
+    const start = () => {
+        if (!timer) {
+            timer = setInterval(purgeExpired, TRASH_PURGE_INTERVAL_MS);
+            timer.unref();
+            setImmediate(purgeExpired);
+        }
+    };
+
+    return { retentionDays, purgeExpired, start };
+};
+
+module.exports = {
+    createTrashPurge,
+    eraseRegistrations
+};
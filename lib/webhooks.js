@@ -0,0 +1,215 @@
+// Outbound webhooks backed by the webhook_endpoints and webhook_deliveries tables. emit() stores
+// one delivery per endpoint subscribed to the event and returns straight away; the worker POSTs
+// due deliveries and retries failures with exponential backoff (WEBHOOK_RETRY_BASE_SECONDS,
+// doubling) until WEBHOOK_MAX_ATTEMPTS, after which the delivery is marked failed and kept in
+// the log, where an admin can redeliver it.
+//
+// Every request is signed: X-Webhook-Signature is "sha256=" and the hex HMAC-SHA256, keyed with
+// the endpoint's secret, of "<X-Webhook-Timestamp>.<body>". Receivers should recompute it and
+// refuse timestamps more than a few minutes old, so a captured request can't be replayed.
+
+const crypto = require("crypto");
+
+const WEBHOOK_EVENTS = ["registration.created", "registration.updated", "registration.deleted"];
+
+const readNumber = (env, name, fallback) => {
+    const value = Number(env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// A worker holds a delivery this long while sending it, so a second server process on the same
+// database doesn't pick it up too
+const CLAIM_MS = 1000 * 60 * 5;
+const BATCH_SIZE = 20;
+
+// Receivers' replies are kept for the log, cut to this many characters
+const RESPONSE_EXCERPT_LENGTH = 500;
+
+// Secrets are shown to the admin once and used as the HMAC key
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+// "sha256=<hex>" for a body sent at `timestamp` (Unix seconds)
+const signWebhook = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+
+const createWebhookQueue = ({ dbRun, dbAll, dbGet, env = process.env, fetch = globalThis.fetch }) => {
+    const maxAttempts = readNumber(env, "WEBHOOK_MAX_ATTEMPTS", 6);
+    const retryBaseMs = readNumber(env, "WEBHOOK_RETRY_BASE_SECONDS", 30) * 1000;
+    const pollMs = readNumber(env, "WEBHOOK_POLL_SECONDS", 15) * 1000;
+    const timeoutMs = readNumber(env, "WEBHOOK_TIMEOUT_SECONDS", 10) * 1000;
+    let running = false;
+    let runAgain = false;
+    let timer = null;
+
+    // Wait before the next try after the nth failed attempt
+    const retryDelay = (attempts) => retryBaseMs * 2 ** (attempts - 1);
+
+    // POST one delivery; the signature and timestamp are fresh on every attempt
+    const send = async (delivery) => {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const response = await fetch(delivery.url, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "User-Agent": "Wanderlust-Webhooks/1.0",
+                "X-Webhook-Id": delivery.event_id,
+                "X-Webhook-Event": delivery.event,
+                "X-Webhook-Timestamp": String(timestamp),
+                "X-Webhook-Signature": signWebhook(delivery.secret, timestamp, delivery.payload)
+            },
+            body: delivery.payload,
+            redirect: "manual",
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        const excerpt = (await response.text().catch(() => "")).slice(0, RESPONSE_EXCERPT_LENGTH);
+        return { status: response.status, ok: response.status >= 200 && response.status < 300, excerpt };
+    };
+
+    const deliver = async (delivery) => {
+        const claim = await dbRun("UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ? AND next_attempt_at = ?", [
+            new Date(Date.now() + CLAIM_MS).toISOString(),
+            delivery.id,
+            delivery.next_attempt_at
+        ]);
+        if (claim.changes === 0) {
+            return;
+        }
+        const attempts = delivery.attempts + 1;
+        let result;
+        try {
+            result = await send(delivery);
+        } catch (err) {
+            // fetch() hides the network reason (ECONNREFUSED, ENOTFOUND...) in `cause`
+            const reason = err.cause ? err.cause.code || err.cause.message : null;
+            const error = [err.message || String(err), reason].filter(Boolean).join(": ");
+            result = { status: null, ok: false, excerpt: "", error };
+        }
+        if (result.ok) {
+            await dbRun(
+                `UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, response_status = ?, response_body = ?,
+                 last_error = NULL, delivered_at = ? WHERE id = ?`,
+                [attempts, result.status, result.excerpt, new Date().toISOString(), delivery.id]
+            );
+            return;
+        }
+        const failed = attempts >= maxAttempts;
+        const error = result.error || `Receiver answered ${result.status}`;
+        console.error(`Webhook ${delivery.id} to ${delivery.url} failed (attempt ${attempts})`, error);
+        await dbRun(
+            `UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?, response_status = ?,
+             response_body = ?, last_error = ? WHERE id = ?`,
+            [
+                failed ? "failed" : "pending",
+                attempts,
+                new Date(Date.now() + retryDelay(attempts)).toISOString(),
+                result.status,
+                result.excerpt,
+                error,
+                delivery.id
+            ]
+        );
+    };
+
+    // Send everything that is due, one batch after another; deliveries to a paused endpoint wait
+    // until it is switched back on. A call made while a run is in progress makes that run go
+    // round once more, so new events aren't left waiting.
+    const processDue = async () => {
+        if (running) {
+            runAgain = true;
+            return;
+        }
+        running = true;
+        runAgain = false;
+        try {
+            for (;;) {
+                const due = await dbAll(
+                    `SELECT webhook_deliveries.*, webhook_endpoints.url, webhook_endpoints.secret
+                     FROM webhook_deliveries JOIN webhook_endpoints ON webhook_endpoints.id = webhook_deliveries.endpoint_id
+                     WHERE webhook_deliveries.status = 'pending' AND webhook_deliveries.next_attempt_at <= ?
+                       AND webhook_endpoints.active = 1
+                     ORDER BY webhook_deliveries.next_attempt_at, webhook_deliveries.id LIMIT ?`,
+                    [new Date().toISOString(), BATCH_SIZE]
+                );
+                for (const delivery of due) {
+                    await deliver(delivery);
+                }
+                if (due.length < BATCH_SIZE) {
+                    break;
+                }
+            }
+        } catch (err) {
+            console.error("Webhook queue run failed", err);
+        } finally {
+            running = false;
+        }
+        if (runAgain) {
+            await processDue();
+        }
+    };
+
+    const queueDelivery = (endpointId, eventId, event, payload, redeliveryOf = null) => {
+        const now = new Date().toISOString();
+        return dbRun(
+            `INSERT INTO webhook_deliveries
+                (endpoint_id, event_id, event, payload, status, attempts, next_attempt_at, created_at, redelivery_of)
+                VALUES (?, ?, ?, ?, 'pending', 0, ?, ?, ?)`,
+            [endpointId, eventId, event, payload, now, now, redeliveryOf]
+        );
+    };
+
+    const eventPayload = (eventId, event, data) => JSON.stringify({ id: eventId, event, createdAt: new Date().toISOString(), data });
+
+    // Queue `event` with `data` for every active endpoint subscribed to it and kick the worker.
+    // Returns the number of deliveries queued.
+    const emit = async (event, data) => {
+        const endpoints = await dbAll("SELECT id, events FROM webhook_endpoints WHERE active = 1");
+        const subscribed = endpoints.filter((endpoint) => JSON.parse(endpoint.events).includes(event));
+        if (!subscribed.length) {
+            return 0;
+        }
+        const eventId = crypto.randomUUID();
+        const payload = eventPayload(eventId, event, data);
+        for (const endpoint of subscribed) {
+            await queueDelivery(endpoint.id, eventId, event, payload);
+        }
+        setImmediate(processDue);
+        return subscribed.length;
+    };
+
+    // Send a logged delivery again as a new delivery with the same event id and payload, so
+    // receivers can recognise the repeat. Returns the new delivery's id, or null if it's unknown.
+    const redeliver = async (deliveryId) => {
+        const original = await dbGet("SELECT * FROM webhook_deliveries WHERE id = ?", [deliveryId]);
+        if (!original) {
+            return null;
+        }
+        const result = await queueDelivery(original.endpoint_id, original.event_id, original.event, original.payload, original.id);
+        setImmediate(processDue);
+        return result.lastID;
+    };
+
+    // Queue a "ping" event for one endpoint, whatever it subscribes to, to check the receiver
+    const ping = async (endpointId) => {
+        const eventId = crypto.randomUUID();
+        const result = await queueDelivery(endpointId, eventId, "ping", eventPayload(eventId, "ping", { endpointId }));
+        setImmediate(processDue);
+        return result.lastID;
+    };
+
+    const start = () => {
+        if (!timer) {
+            timer = setInterval(processDue, pollMs);
+            timer.unref();
+            setImmediate(processDue);
+        }
+    };
+
+    return { emit, ping, processDue, redeliver, start };
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    createWebhookQueue,
+    generateWebhookSecret,
+    signWebhook
+};
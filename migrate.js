@@ -0,0 +1,58 @@
+// Schema migration CLI:
+//   npm run migrate                      apply pending migrations
+//   npm run migrate -- status            list migrations and whether each is applied
+//   npm run migrate -- rollback [steps]  undo the latest migration (or the last n)
+const path = require("path");
+const sqlite3 = require("sqlite3");
+const dotenv = require("dotenv");
+const { createMigrator, migrationLabel } = require("./lib/migrate");
+
+dotenv.config();
+
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, "data.db");
+
+const printStatus = (state) => {
+    console.log(`Database: ${DB_PATH}`);
+    console.log(`Schema version ${state.current} of ${state.latest}`);
+    if (state.legacy) {
+        console.log("Created before versioned migrations; `npm run migrate` will bring it up to date.");
+    }
+    state.migrations.forEach((migration) => {
+        const state = migration.appliedAt ? `applied ${migration.appliedAt}` : "pending";
+        console.log(`  ${state.padEnd(32)}  ${migrationLabel(migration)}`);
+    });
+    state.unknown.forEach((migration) => {
+        console.log(`  newer than this code, applied ${migration.appliedAt}  ${migrationLabel(migration)}`);
+    });
+};
+
+const main = async () => {
+    const [command = "up", argument] = process.argv.slice(2);
+    const db = new sqlite3.Database(DB_PATH);
+    db.configure("busyTimeout", 5000);
+    const migrator = createMigrator(db);
+    try {
+        if (command === "up") {
+            const applied = await migrator.migrate();
+            console.log(applied.length ? `Applied ${applied.length} migration(s).` : "Already up to date.");
+        } else if (command === "status") {
+            printStatus(await migrator.status());
+        } else if (command === "rollback") {
+            const steps = argument === undefined ? 1 : Number(argument);
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error("rollback takes a positive number of steps.");
+            }
+            const rolledBack = await migrator.rollback(steps);
+            console.log(rolledBack.length ? `Rolled back ${rolledBack.length} migration(s).` : "Nothing to roll back.");
+        } else {
+            throw new Error(`Unknown command "${command}". Use up, status or rollback.`);
+        }
+    } finally {
+        db.close();
+    }
+};
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,204 @@
+// The schema as it stood when versioned migrations were introduced. Databases created by
+// earlier releases already hold some of it, so every table is created only if missing and
+// columns that were added over time are added only where absent.
+
+const addMissingColumn = async (db, table, column, definition) => {
+    if (!(await db.hasColumn(table, column))) {
+        await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+};
+
+const up = async (db) => {
+    await db.run(
+        `CREATE TABLE IF NOT EXISTS registrations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        full_name TEXT NOT NULL,
+        sex TEXT NOT NULL,
+        phone TEXT NOT NULL,
+        email TEXT NOT NULL,
+        destination TEXT NOT NULL,
+        city TEXT NOT NULL,
+        persons INTEGER NOT NULL,
+        travel_time TEXT NOT NULL,
+        message TEXT,
+        created_at TEXT NOT NULL
+      )`
+    );
+    await addMissingColumn(db, "registrations", "city", "TEXT NOT NULL DEFAULT ''");
+    await addMissingColumn(db, "registrations", "email", "TEXT NOT NULL DEFAULT ''");
+    await addMissingColumn(db, "registrations", "departure_id", "INTEGER REFERENCES departures(id)");
+    await addMissingColumn(db, "registrations", "seat_status", "TEXT NOT NULL DEFAULT 'confirmed'");
+    await addMissingColumn(db, "registrations", "status", "TEXT NOT NULL DEFAULT 'pending'");
+    // Bookings cancelled before the workflow existed only carried the seat flag
+    await db.run("UPDATE registrations SET status = 'cancelled' WHERE seat_status = 'cancelled' AND status = 'pending'");
+
+    await db.run(
+        `CREATE TABLE IF NOT EXISTS registration_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        registration_id INTEGER NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        admin_id INTEGER REFERENCES admins(id),
+        note TEXT NOT NULL DEFAULT '',
+        created_at TEXT NOT NULL
+      )`
+    );
+    await db.run("CREATE INDEX IF NOT EXISTS registration_events_registration ON registration_events (registration_id)");
+
+    // Indexes backing the admin list filters and sort columns
+    await db.run("CREATE INDEX IF NOT EXISTS registrations_created_at ON registrations (created_at)");
+    await db.run("CREATE INDEX IF NOT EXISTS registrations_travel_time ON registrations (travel_time)");
+    await db.run("CREATE INDEX IF NOT EXISTS registrations_departure ON registrations (departure_id, seat_status)");
+
+    await db.run(
+        `CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at TEXT NOT NULL,
+        admin_id INTEGER,
+        username TEXT,
+        action TEXT NOT NULL,
+        target_type TEXT,
+        target_id INTEGER,
+        details TEXT NOT NULL DEFAULT '{}',
+        ip TEXT,
+        user_agent TEXT,
+        prev_hash TEXT NOT NULL,
+        hash TEXT NOT NULL
+      )`
+    );
+    await db.run("CREATE INDEX IF NOT EXISTS audit_log_action ON audit_log (action, created_at)");
+    // The audit log is append-only: refuse edits and deletes at the database level
+    await db.run(
+        `CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END`
+    );
+    await db.run(
+        `CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END`
+    );
+
+    await db.run(
+        `CREATE TABLE IF NOT EXISTS tours (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        slug TEXT UNIQUE NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        created_at TEXT NOT NULL
+      )`
+    );
+
+    await db.run(
+        `CREATE TABLE IF NOT EXISTS departures (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tour_id INTEGER NOT NULL REFERENCES tours(id),
+        departs_at TEXT NOT NULL,
+        capacity INTEGER NOT NULL,
+        price_cents INTEGER NOT NULL,
+        created_at TEXT NOT NULL
+      )`
+    );
+
+    await db.run(
+        `CREATE TABLE IF NOT EXISTS articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        slug TEXT UNIQUE NOT NULL,
+        title TEXT NOT NULL,
+        nav_label TEXT NOT NULL,
+        hero_image TEXT NOT NULL,
+        hero_alt TEXT NOT NULL DEFAULT '',
+        caption TEXT NOT NULL DEFAULT '',
+        quote TEXT NOT NULL DEFAULT '',
+        facts TEXT NOT NULL DEFAULT '{}',
+        body TEXT NOT NULL DEFAULT '',
+        tour_id INTEGER REFERENCES tours(id),
+        register_title TEXT NOT NULL DEFAULT '',
+        register_note TEXT NOT NULL DEFAULT '',
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        published INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`
+    );
+
+    await db.run(
+        `CREATE TABLE IF NOT EXISTS admins (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'viewer',
+        disabled INTEGER NOT NULL DEFAULT 0,
+        invite_token_hash TEXT,
+        invite_expires_at TEXT,
+        created_at TEXT,
+        totp_secret TEXT,
+        totp_enabled INTEGER NOT NULL DEFAULT 0,
+        totp_last_step INTEGER NOT NULL DEFAULT -1,
+        email TEXT,
+        session_version INTEGER NOT NULL DEFAULT 0
+      )`
+    );
+    // Accounts that predate roles had full access, so they become owners
+    await addMissingColumn(db, "admins", "role", "TEXT NOT NULL DEFAULT 'owner'");
+    await addMissingColumn(db, "admins", "disabled", "INTEGER NOT NULL DEFAULT 0");
+    await addMissingColumn(db, "admins", "invite_token_hash", "TEXT");
+    await addMissingColumn(db, "admins", "invite_expires_at", "TEXT");
+    await addMissingColumn(db, "admins", "created_at", "TEXT");
+    await addMissingColumn(db, "admins", "totp_secret", "TEXT");
+    await addMissingColumn(db, "admins", "totp_enabled", "INTEGER NOT NULL DEFAULT 0");
+    await addMissingColumn(db, "admins", "totp_last_step", "INTEGER NOT NULL DEFAULT -1");
+    await addMissingColumn(db, "admins", "email", "TEXT");
+    await addMissingColumn(db, "admins", "session_version", "INTEGER NOT NULL DEFAULT 0");
+
+    // Single-use password reset tokens; only the hash is stored
+    await db.run(
+        `CREATE TABLE IF NOT EXISTS password_resets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        admin_id INTEGER NOT NULL REFERENCES admins(id),
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT
+      )`
+    );
+
+    // One-time codes for signing in without the authenticator; stored hashed
+    await db.run(
+        `CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        admin_id INTEGER NOT NULL REFERENCES admins(id),
+        code_hash TEXT NOT NULL,
+        used_at TEXT
+      )`
+    );
+
+    // Session data for lib/session-store.js
+    await db.run(
+        `CREATE TABLE IF NOT EXISTS sessions (
+        sid TEXT PRIMARY KEY,
+        sess TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        admin_id INTEGER,
+        last_seen_at INTEGER NOT NULL
+      )`
+    );
+    await db.run("CREATE INDEX IF NOT EXISTS idx_sessions_admin ON sessions (admin_id)");
+
+    // Failed login counters per client IP and per username; see lib/throttle.js
+    await db.run(
+        `CREATE TABLE IF NOT EXISTS login_throttle (
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        failures INTEGER NOT NULL DEFAULT 0,
+        last_failure_at TEXT NOT NULL,
+        locked_until TEXT,
+        PRIMARY KEY (scope, key)
+      )`
+    );
+};
+
+module.exports = {
+    up
+    // No down(): rolling back the baseline would mean dropping every table
+};
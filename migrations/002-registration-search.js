@@ -0,0 +1,45 @@
+// Full-text index over the free-text registration fields (SQLite FTS5), kept in sync by
+// triggers. Databases from before migrations may already have it.
+
+const up = async (db) => {
+    await db.run(
+        `CREATE VIRTUAL TABLE IF NOT EXISTS registrations_fts USING fts5(
+        full_name, email, phone, message,
+        content='registrations', content_rowid='id'
+      )`
+    );
+    await db.run(
+        `CREATE TRIGGER IF NOT EXISTS registrations_fts_insert AFTER INSERT ON registrations BEGIN
+        INSERT INTO registrations_fts (rowid, full_name, email, phone, message)
+        VALUES (new.id, new.full_name, new.email, new.phone, new.message);
+      END`
+    );
+    await db.run(
+        `CREATE TRIGGER IF NOT EXISTS registrations_fts_delete AFTER DELETE ON registrations BEGIN
+        INSERT INTO registrations_fts (registrations_fts, rowid, full_name, email, phone, message)
+        VALUES ('delete', old.id, old.full_name, old.email, old.phone, old.message);
+      END`
+    );
+    await db.run(
+        `CREATE TRIGGER IF NOT EXISTS registrations_fts_update AFTER UPDATE ON registrations BEGIN
+        INSERT INTO registrations_fts (registrations_fts, rowid, full_name, email, phone, message)
+        VALUES ('delete', old.id, old.full_name, old.email, old.phone, old.message);
+        INSERT INTO registrations_fts (rowid, full_name, email, phone, message)
+        VALUES (new.id, new.full_name, new.email, new.phone, new.message);
+      END`
+    );
+    // Index the rows that already exist
+    await db.run("INSERT INTO registrations_fts (registrations_fts) VALUES ('rebuild')");
+};
+
+const down = async (db) => {
+    await db.run("DROP TRIGGER IF EXISTS registrations_fts_insert");
+    await db.run("DROP TRIGGER IF EXISTS registrations_fts_delete");
+    await db.run("DROP TRIGGER IF EXISTS registrations_fts_update");
+    await db.run("DROP TABLE IF EXISTS registrations_fts");
+};
+
+module.exports = {
+    up,
+    down
+};
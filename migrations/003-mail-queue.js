@@ -0,0 +1,31 @@
+// Outgoing mail waiting to be sent or retried; see lib/mail-queue.js
+
+const up = async (db) => {
+    await db.run(
+        `CREATE TABLE mail_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        recipient TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        text TEXT NOT NULL,
+        html TEXT,
+        kind TEXT NOT NULL,
+        registration_id INTEGER REFERENCES registrations(id),
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT NOT NULL,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        sent_at TEXT
+      )`
+    );
+    await db.run("CREATE INDEX mail_queue_due ON mail_queue (status, next_attempt_at)");
+};
+
+const down = async (db) => {
+    await db.run("DROP TABLE mail_queue");
+};
+
+module.exports = {
+    up,
+    down
+};
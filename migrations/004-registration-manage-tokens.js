@@ -0,0 +1,19 @@
+// Magic-link tokens that let travelers view, change or cancel their own booking. Only a hash
+// of the token is stored; links stop working when the departure leaves.
+
+const up = async (db) => {
+    await db.run("ALTER TABLE registrations ADD COLUMN manage_token_hash TEXT");
+    await db.run("ALTER TABLE registrations ADD COLUMN manage_expires_at TEXT");
+    await db.run("CREATE UNIQUE INDEX registrations_manage_token ON registrations (manage_token_hash)");
+};
+
+const down = async (db) => {
+    await db.run("DROP INDEX registrations_manage_token");
+    await db.run("ALTER TABLE registrations DROP COLUMN manage_expires_at");
+    await db.run("ALTER TABLE registrations DROP COLUMN manage_token_hash");
+};
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,37 @@
+// Per-IP request counters for the public registration endpoint, and the quarantine holding
+// submissions that looked automated until an admin approves or discards them
+
+const up = async (db) => {
+    await db.run(
+        `CREATE TABLE rate_limits (
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        window_started_at INTEGER NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (scope, key)
+      )`
+    );
+    await db.run(
+        `CREATE TABLE registration_quarantine (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        payload TEXT NOT NULL,
+        reasons TEXT NOT NULL,
+        ip TEXT,
+        user_agent TEXT,
+        created_at TEXT NOT NULL
+      )`
+    );
+    // Duplicate detection looks bookings up by email, destination and travel time
+    await db.run("CREATE INDEX registrations_email ON registrations (email COLLATE NOCASE, destination, travel_time)");
+};
+
+const down = async (db) => {
+    await db.run("DROP INDEX registrations_email");
+    await db.run("DROP TABLE registration_quarantine");
+    await db.run("DROP TABLE rate_limits");
+};
+
+module.exports = {
+    up,
+    down
+};
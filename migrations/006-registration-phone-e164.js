@@ -0,0 +1,42 @@
+// Registration phone numbers move from "+CCC-123-123-1234" to E.164 ("+2348012345678") with the
+// ISO country they belong to. Numbers that can't be read as any known country keep their digits
+// ("+" and digits only) and no country, so an admin can correct them.
+
+const { parsePhone } = require("../lib/phone");
+
+const up = async (db) => {
+    await db.run("ALTER TABLE registrations ADD COLUMN phone_country TEXT");
+    const rows = await db.all("SELECT id, phone FROM registrations");
+    for (const row of rows) {
+        const parsed = parsePhone(row.phone);
+        const phone = parsed ? parsed.e164 : `+${String(row.phone || "").replace(/\D/g, "")}`;
+        await db.run("UPDATE registrations SET phone = ?, phone_country = ? WHERE id = ?", [
+            phone,
+            parsed ? parsed.country : null,
+            row.id
+        ]);
+    }
+};
+
+// Numbers with ten national digits go back to the old dashed format; shorter or longer ones
+// never fitted it and stay in E.164
+const down = async (db) => {
+    const rows = await db.all("SELECT id, phone FROM registrations");
+    for (const row of rows) {
+        const parsed = parsePhone(row.phone);
+        if (parsed && parsed.nationalNumber.length === 10) {
+            const dial = parsed.e164.slice(1, parsed.e164.length - 10);
+            const national = parsed.nationalNumber;
+            await db.run("UPDATE registrations SET phone = ? WHERE id = ?", [
+                `+${dial}-${national.slice(0, 3)}-${national.slice(3, 6)}-${national.slice(6)}`,
+                row.id
+            ]);
+        }
+    }
+    await db.run("ALTER TABLE registrations DROP COLUMN phone_country");
+};
+
+module.exports = {
+    up,
+    down
+};
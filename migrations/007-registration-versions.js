@@ -0,0 +1,23 @@
+// Row versions for registrations, so an admin saving an edit can tell whether the booking
+// changed since they opened it. Every update bumps the version, whichever code path made it.
+
+const up = async (db) => {
+    await db.run("ALTER TABLE registrations ADD COLUMN version INTEGER NOT NULL DEFAULT 1");
+    await db.run(
+        `CREATE TRIGGER registrations_version AFTER UPDATE ON registrations
+        WHEN new.version = old.version
+        BEGIN
+            UPDATE registrations SET version = old.version + 1 WHERE id = new.id;
+        END`
+    );
+};
+
+const down = async (db) => {
+    await db.run("DROP TRIGGER registrations_version");
+    await db.run("ALTER TABLE registrations DROP COLUMN version");
+};
+
+module.exports = {
+    up,
+    down
+};
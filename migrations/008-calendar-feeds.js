@@ -0,0 +1,41 @@
+// Time zones for tours, so departure times (wall-clock strings) can be placed on a calendar, and
+// the secret-link calendar feeds guides subscribe to. Only a hash of each feed token is stored.
+
+// Zones of the tours shipped with the magazine; any other tour starts out in UTC
+const DEFAULT_TIME_ZONES = {
+    alps: "Europe/Zurich",
+    lagos: "Africa/Lagos",
+    thailand: "Asia/Bangkok",
+    southafrica: "Africa/Johannesburg",
+    tokyo: "Asia/Tokyo"
+};
+
+const up = async (db) => {
+    await db.run("ALTER TABLE tours ADD COLUMN timezone TEXT NOT NULL DEFAULT 'UTC'");
+    for (const [slug, timezone] of Object.entries(DEFAULT_TIME_ZONES)) {
+        await db.run("UPDATE tours SET timezone = ? WHERE slug = ?", [timezone, slug]);
+    }
+    await db.run(
+        `CREATE TABLE calendar_feeds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        label TEXT NOT NULL,
+        tour_id INTEGER REFERENCES tours(id),
+        mode TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_by INTEGER REFERENCES admins(id),
+        created_at TEXT NOT NULL,
+        last_used_at TEXT,
+        revoked_at TEXT
+      )`
+    );
+};
+
+const down = async (db) => {
+    await db.run("DROP TABLE calendar_feeds");
+    await db.run("ALTER TABLE tours DROP COLUMN timezone");
+};
+
+module.exports = {
+    up,
+    down
+};
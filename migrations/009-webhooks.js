@@ -0,0 +1,46 @@
+// Outbound webhook endpoints and the log of deliveries to them; see lib/webhooks.js
+
+const up = async (db) => {
+    await db.run(
+        `CREATE TABLE webhook_endpoints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_by INTEGER REFERENCES admins(id),
+        created_at TEXT NOT NULL
+      )`
+    );
+    await db.run(
+        `CREATE TABLE webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(id),
+        event_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT NOT NULL,
+        response_status INTEGER,
+        response_body TEXT,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        delivered_at TEXT,
+        redelivery_of INTEGER REFERENCES webhook_deliveries(id)
+      )`
+    );
+    await db.run("CREATE INDEX webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)");
+    await db.run("CREATE INDEX webhook_deliveries_endpoint ON webhook_deliveries (endpoint_id, id)");
+};
+
+const down = async (db) => {
+    await db.run("DROP TABLE webhook_deliveries");
+    await db.run("DROP TABLE webhook_endpoints");
+};
+
+module.exports = {
+    up,
+    down
+};
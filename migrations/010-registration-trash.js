@@ -0,0 +1,19 @@
+// Soft deletion for registrations: a deleted booking keeps its row with deleted_at set, stays out
+// of the list, stats and seat counts, and can be restored until it is purged from the trash.
+
+const up = async (db) => {
+    await db.run("ALTER TABLE registrations ADD COLUMN deleted_at TEXT");
+    await db.run("ALTER TABLE registrations ADD COLUMN deleted_by INTEGER REFERENCES admins(id)");
+    await db.run("CREATE INDEX registrations_deleted_at ON registrations (deleted_at)");
+};
+
+const down = async (db) => {
+    await db.run("DROP INDEX registrations_deleted_at");
+    await db.run("ALTER TABLE registrations DROP COLUMN deleted_by");
+    await db.run("ALTER TABLE registrations DROP COLUMN deleted_at");
+};
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,14 @@
+// Empty the bodies of mail that has already been sent or given up on. They can hold travelers'
+// manage links in the clear; the queue now drops them itself once a message is done with.
+
+const up = async (db) => {
+    await db.run("UPDATE mail_queue SET text = '', html = NULL WHERE status IN ('sent', 'failed')");
+};
+
+// The bodies are gone for good; rolling back only forgets that this ran
+const down = async () => {};
+
+module.exports = {
+    up,
+    down
+};
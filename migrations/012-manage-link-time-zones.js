@@ -0,0 +1,28 @@
+// Recompute manage-link expiry times in each tour's time zone. They used to be read in the
+// server's zone, so links expired hours early or late on tours elsewhere.
+
+const { zonedTimeToUtc } = require("../lib/ical");
+
+const up = async (db) => {
+    const rows = await db.all(
+        `SELECT registrations.id, departures.departs_at, tours.timezone
+         FROM registrations
+         JOIN departures ON departures.id = registrations.departure_id
+         JOIN tours ON tours.id = departures.tour_id
+         WHERE registrations.manage_expires_at IS NOT NULL`
+    );
+    for (const row of rows) {
+        await db.run("UPDATE registrations SET manage_expires_at = ? WHERE id = ?", [
+            zonedTimeToUtc(row.departs_at, row.timezone).toISOString(),
+            row.id
+        ]);
+    }
+};
+
+// The corrected times are right whatever the schema version, so there is nothing to undo
+const down = async () => {};
+
+module.exports = {
+    up,
+    down
+};
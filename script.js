@@ -25,39 +25,94 @@ if (navToggle && header) {
     });
 }
 
+// CSRF token for the registration form, fetched once; a stale token is replaced and retried once
+let csrfToken = null;
+const loadCsrfToken = async () => {
+    const response = await fetch("/api/csrf-token", { credentials: "same-origin" });
+    csrfToken = (await response.json()).token;
+    return csrfToken;
+};
+
+const sendJson = async (method, url, body) => {
+    const send = async () =>
+        fetch(url, {
+            method,
+            credentials: "same-origin",
+            headers: {
+                "Content-Type": "application/json",
+                "X-CSRF-Token": csrfToken || (await loadCsrfToken())
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+    const response = await send();
+    if (response.status !== 403) {
+        return response;
+    }
+    await loadCsrfToken();
+    return send();
+};
+
+const postJson = (url, body) => sendJson("POST", url, body);
+
+// Field rules come from lib/registration-schema.js (window.RegistrationSchema, loaded before
+// this script together with lib/phone.js), the same module the server validates with
+const { FIELDS: REGISTRATION_FIELDS, constraintAttributes, validateRegistration } = RegistrationSchema;
+
+// Placeholder for a field's inline error, filled in by showFieldErrors
+const fieldErrorSlot = (name) => `<span class="field-error" data-error-for="${name}"></span>`;
+
+// <option>s for a schema field with a fixed list of values
+const optionsTemplate = (name, placeholderLabel, sortByLabel = false) => {
+    const options = [...REGISTRATION_FIELDS[name].options];
+    if (sortByLabel) {
+        options.sort((a, b) => a.label.localeCompare(b.label));
+    }
+    return `<option value="" disabled selected>${placeholderLabel}</option>
+                    ${options.map((option) => `<option value="${option.value}">${option.label}</option>`).join("")}`;
+};
+
+// Country picker + number input shared by the booking and manage forms
+const phoneFieldsTemplate = () => `
+            <label>
+                Phone country
+                <select name="phoneCountry" ${constraintAttributes("phoneCountry")}>
+                    ${optionsTemplate("phoneCountry", "Select a country", true)}
+                </select>
+                ${fieldErrorSlot("phoneCountry")}
+            </label>
+            <label>
+                Phone number
+                <input type="tel" name="phone" ${constraintAttributes("phone")} inputmode="tel" autocomplete="tel">
+                ${fieldErrorSlot("phone")}
+            </label>`;
+
 // Sections that will be populated with the shared registration form
 const tourSections = document.querySelectorAll(".tour-register");
 
 // Shared form template injected into each article page
-const tourFormTemplate = (destination, title, note, headingId) => `
+const tourFormTemplate = (destination, tour, title, note, headingId, formToken) => `
     <h2 id="${headingId}">${title}</h2>
     <p class="form-note">${note}</p>
-    <form class="tour-form" data-destination="${destination}" novalidate>
+    <form class="tour-form" data-destination="${destination}" data-tour="${tour}" novalidate>
         <div class="form-grid">
             <label>
                 Full name
-                <input type="text" name="fullName" required minlength="2" maxlength="60" autocomplete="name"
+                <input type="text" name="fullName" ${constraintAttributes("fullName")} autocomplete="name"
                     placeholder="Enter your full name">
+                ${fieldErrorSlot("fullName")}
             </label>
             <label>
                 Sex
-                <select name="sex" required>
-                    <option value="" disabled selected>Select your sex</option>
-                    <option value="female">Female</option>
-                    <option value="male">Male</option>
-                    <option value="nonbinary">Non-binary</option>
-                    <option value="prefer-not">Prefer not to say</option>
+                <select name="sex" ${constraintAttributes("sex")}>
+                    ${optionsTemplate("sex", "Select your sex")}
                 </select>
+                ${fieldErrorSlot("sex")}
             </label>
-            <label>
-                Phone number
-                <input type="tel" name="phone" required inputmode="tel"
-                    pattern="^\\+\\d{1,3}-\\d{3}-\\d{3}-\\d{4}$" placeholder="+234-801-234-5678"
-                    title="Format: +234-801-234-5678">
-            </label>
+            ${phoneFieldsTemplate()}
             <label>
                 Email address
-                <input type="email" name="email" required autocomplete="email" placeholder="you@example.com">
+                <input type="email" name="email" ${constraintAttributes("email")} autocomplete="email" placeholder="you@example.com">
+                ${fieldErrorSlot("email")}
             </label>
             <label>
                 Destination Country
@@ -65,24 +120,34 @@ const tourFormTemplate = (destination, title, note, headingId) => `
             </label>
             <label>
                 City
-                <input type="text" name="city" required minlength="2" maxlength="60" autocomplete="address-level2"
+                <input type="text" name="city" ${constraintAttributes("city")} autocomplete="address-level2"
                     placeholder="Enter city">
+                ${fieldErrorSlot("city")}
             </label>
             <label>
                 Number of persons
-                <input type="number" name="persons" min="1" max="20" step="1" required
-                    placeholder="1 to 20">
+                <input type="number" name="persons" ${constraintAttributes("persons")} placeholder="1 to 20">
+                ${fieldErrorSlot("persons")}
             </label>
             <label>
-                Preferred travel time
-                <input type="datetime-local" name="travelTime" required placeholder="Select date & time">
+                Departure
+                <select name="departureId" required>
+                    <option value="" disabled selected>Loading departures…</option>
+                </select>
+                ${fieldErrorSlot("departureId")}
             </label>
             <label class="full">
                 Any other message
-                <textarea name="message" rows="4" maxlength="500"
+                <textarea name="message" rows="4" ${constraintAttributes("message")}
                     placeholder="Dietary needs, accessibility requests, or pickup notes."></textarea>
+                ${fieldErrorSlot("message")}
             </label>
         </div>
+        <label class="hp-field" aria-hidden="true">
+            Leave this field empty
+            <input type="text" name="website" tabindex="-1" autocomplete="off">
+        </label>
+        <input type="hidden" name="formToken" value="${formToken}">
         <button type="submit" class="primary-btn">Submit registration</button>
         <p class="form-status" role="status" aria-live="polite"></p>
     </form>
@@ -91,14 +156,17 @@ const tourFormTemplate = (destination, title, note, headingId) => `
 // Inject the form into each tour section and configure heading metadata
 tourSections.forEach((section) => {
     const destination = section.dataset.destination || "Tour";
+    const tour = section.dataset.tour || "";
     const title = section.dataset.title || `Register for the ${destination} tour`;
     const note = section.dataset.note || "Share your travel details to reserve your spot.";
     const sectionId = section.id || destination.toLowerCase().replace(/\s+/g, "-");
     const headingId = `${sectionId}-title`;
+    // Signed by the server when it rendered the page; it times how long the form took to fill in
+    const formToken = section.dataset.formToken || "";
 
     section.id = sectionId;
     section.setAttribute("aria-labelledby", headingId);
-    section.innerHTML = tourFormTemplate(destination, title, note, headingId);
+    section.innerHTML = tourFormTemplate(destination, tour, title, note, headingId, formToken);
 });
 
 // Attach validation + submission handlers to each generated form
@@ -113,52 +181,160 @@ const setFormStatus = (statusEl, message, type = "info") => {
     if (type === "success") statusEl.classList.add("is-success");
 };
 
-tourForms.forEach((form) => {
-    const status = form.querySelector(".form-status");
-    const destinationInput = form.querySelector('input[name="destination"]');
-    const destination = form.dataset.destination;
-    const phoneInput = form.querySelector('input[name="phone"]');
-    const phoneRegex = /^\+\d{1,3}-\d{3}-\d{3}-\d{4}$/;
-    // Format input to +CCC-123-123-1234 as the user types
-    const formatPhoneNumber = (value) => {
-        const digits = value.replace(/\D/g, "");
-        if (!digits) {
-            return "";
+// Format a departure option label, e.g. "Sat, Jun 6, 2026, 9:00 AM · $1,250.00 · 4 seats left"
+const formatDeparture = (departure) => {
+    const when = new Date(departure.departs_at).toLocaleString(undefined, {
+        weekday: "short",
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit"
+    });
+    const price = (departure.price_cents / 100).toLocaleString(undefined, {
+        style: "currency",
+        currency: "USD"
+    });
+    const seats = departure.seats_left > 0 ? `${departure.seats_left} seats left` : "Full – waitlist";
+    return `${when} · ${price} · ${seats}`;
+};
+
+// Fill the departure picker with the tour's upcoming scheduled dates
+const loadDepartures = async (select, tour) => {
+    const placeholder = (label) => `<option value="" disabled selected>${label}</option>`;
+    if (!tour) {
+        select.innerHTML = placeholder("No departures scheduled");
+        return;
+    }
+    try {
+        const response = await fetch(`/api/tours/${encodeURIComponent(tour)}/departures`);
+        if (!response.ok) {
+            throw new Error("Unable to load departures.");
         }
-        const maxDigits = digits.slice(0, 13);
-        const countryLength = Math.max(1, Math.min(3, maxDigits.length - 10));
-        const country = maxDigits.slice(0, countryLength);
-        const local = maxDigits.slice(countryLength);
-        const part1 = local.slice(0, 3);
-        const part2 = local.slice(3, 6);
-        const part3 = local.slice(6, 10);
-        let formatted = `+${country}`;
-        if (part1) {
-            formatted += `-${part1}`;
+        const payload = await response.json();
+        const departures = payload.data || [];
+        select.innerHTML = departures.length
+            ? placeholder("Select a departure") +
+              departures
+                  .map((departure) => `<option value="${departure.id}">${formatDeparture(departure)}</option>`)
+                  .join("")
+            : placeholder("No departures scheduled");
+    } catch (error) {
+        select.innerHTML = placeholder("Departures unavailable");
+    }
+};
+
+// Country the browser's language points at (en-GB → GB), when we have rules for it
+const guessPhoneCountry = () => {
+    const region = (navigator.languages || [navigator.language])
+        .map((language) => String(language || "").split("-")[1])
+        .find((code) => code && Phone.findCountry(code));
+    return region ? region.toUpperCase() : "";
+};
+
+// Keep a phone number formatted for its country while typing, with that country's example as
+// the placeholder. Typing a +country code switches the country picker to match.
+const attachPhoneFormatting = (countrySelect, phoneInput) => {
+    const showExample = () => {
+        const country = Phone.findCountry(countrySelect.value);
+        phoneInput.placeholder = country ? Phone.formatNational(country.example, country.iso) : "+44 7400 123456";
+    };
+    phoneInput.addEventListener("input", () => {
+        const parsed = phoneInput.value.trim().startsWith("+") && Phone.parsePhone(phoneInput.value, countrySelect.value);
+        if (parsed) {
+            countrySelect.value = parsed.country;
         }
-        if (part2) {
-            formatted += `-${part2}`;
+        phoneInput.value = Phone.formatAsYouType(phoneInput.value, countrySelect.value);
+        showExample();
+    });
+    countrySelect.addEventListener("change", () => {
+        phoneInput.value = Phone.formatAsYouType(phoneInput.value, countrySelect.value);
+        showExample();
+    });
+    showExample();
+};
+
+// Current values of the named fields of a form
+const formValues = (form, fields) => Object.fromEntries(fields.map((name) => [name, form.elements[name]?.value ?? ""]));
+
+// Show each field's first { field, message } error under its input and mark the input invalid;
+// slots of the named fields without an error are cleared
+const showFieldErrors = (form, fields, errors) => {
+    fields.forEach((name) => {
+        const slot = form.querySelector(`[data-error-for="${name}"]`);
+        const input = form.elements[name];
+        if (!slot || !input) return;
+        const error = errors.find((entry) => entry.field === name);
+        slot.id = slot.id || `${form.dataset.formId}-${name}-error`;
+        slot.textContent = error ? error.message : "";
+        input.setAttribute("aria-describedby", slot.id);
+        if (error) {
+            input.setAttribute("aria-invalid", "true");
+        } else {
+            input.removeAttribute("aria-invalid");
         }
-        if (part3) {
-            formatted += `-${part3}`;
+    });
+};
+
+// Validate a form's `fields` with the shared schema. Returns a function that checks every
+// field and returns the errors; after that, fields showing an error are re-checked as they
+// change so the message goes away once the value is fixed.
+const attachInlineValidation = (form, fields) => {
+    form.dataset.formId = form.dataset.formId || `form-${document.querySelectorAll("[data-form-id]").length + 1}`;
+    const check = (names) => {
+        const errors = validateRegistration(formValues(form, fields), names);
+        showFieldErrors(form, names, errors);
+        return errors;
+    };
+    const recheck = (event) => {
+        // The phone rule depends on the chosen country
+        const names = (event.target.name === "phoneCountry" ? ["phoneCountry", "phone"] : [event.target.name]).filter(
+            (name) => fields.includes(name) && form.elements[name].getAttribute("aria-invalid") === "true"
+        );
+        if (names.length > 0) {
+            check(names);
         }
-        return formatted;
     };
+    form.addEventListener("input", recheck);
+    form.addEventListener("change", recheck);
+    return () => check(fields);
+};
+
+// Put the cursor in the first field with an error
+const focusFirstError = (form) => form.querySelector('[aria-invalid="true"]')?.focus();
+
+// Fields on the booking form, in the order the schema checks them
+const TOUR_FORM_FIELDS = Object.keys(REGISTRATION_FIELDS);
+
+tourForms.forEach((form) => {
+    const status = form.querySelector(".form-status");
+    const destinationInput = form.querySelector('input[name="destination"]');
+    const destination = form.dataset.destination;
+    const departureSelect = form.querySelector('select[name="departureId"]');
+    const phoneInput = form.querySelector('input[name="phone"]');
+    const phoneCountrySelect = form.querySelector('select[name="phoneCountry"]');
+    const validateForm = attachInlineValidation(form, TOUR_FORM_FIELDS);
 
     // Pre-fill the destination field
     if (destinationInput && destination) {
         destinationInput.value = destination;
     }
 
+    // Populate the departure picker for this tour
+    if (departureSelect) {
+        loadDepartures(departureSelect, form.dataset.tour);
+    }
+
     // Validate and submit registration to the backend
     form.addEventListener("submit", async (event) => {
         event.preventDefault();
         form.classList.add("was-validated");
 
-        if (!form.checkValidity()) {
+        if (validateForm().length > 0) {
             if (status) {
-                setFormStatus(status, "Please complete the required fields with valid details.", "error");
+                setFormStatus(status, "Please correct the highlighted fields.", "error");
             }
+            focusFirstError(form);
             return;
         }
 
@@ -170,30 +346,36 @@ tourForms.forEach((form) => {
             fullName: formData.get("fullName"),
             sex: formData.get("sex"),
             phone: formData.get("phone"),
+            phoneCountry: formData.get("phoneCountry"),
             email: formData.get("email"),
-            destination: formData.get("destination"),
+            departureId: formData.get("departureId"),
             city: formData.get("city"),
             persons: formData.get("persons"),
-            travelTime: formData.get("travelTime"),
-            message: formData.get("message")
+            message: formData.get("message"),
+            website: formData.get("website"),
+            formToken: formData.get("formToken")
         };
 
         try {
-            const response = await fetch("/api/registrations", {
-                method: "POST",
-                headers: {
-                    "Content-Type": "application/json"
-                },
-                body: JSON.stringify(payload)
-            });
+            const response = await postJson("/api/registrations", payload);
 
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
+                if (errorData.errors) {
+                    showFieldErrors(form, TOUR_FORM_FIELDS, errorData.errors);
+                    focusFirstError(form);
+                }
                 throw new Error(errorData.message || "Submission failed.");
             }
 
+            const booking = await response.json().catch(() => ({}));
             if (status) {
-                setFormStatus(status, `Thanks ${name}! Your request for ${destinationName} was sent.`, "success");
+                const confirmation = booking.pendingReview
+                    ? `Thanks ${name}! We'll review your request for ${destinationName} and email you to confirm.`
+                    : booking.seatStatus === "waitlisted"
+                        ? `Thanks ${name}! That departure is full, so you are #${booking.waitlistPosition} on the ${destinationName} waitlist.`
+                        : `Thanks ${name}! Your request for ${destinationName} was sent.`;
+                setFormStatus(status, confirmation, "success");
             }
 
             form.reset();
@@ -202,7 +384,7 @@ tourForms.forEach((form) => {
             }
             form.classList.remove("was-validated");
             setTimeout(() => {
-                window.location.href = "index.html";
+                window.location.href = "/";
             }, 800);
         } catch (error) {
             if (status) {
@@ -219,15 +401,164 @@ tourForms.forEach((form) => {
     });
 
     // Keep phone input formatted + validated
-    if (phoneInput) {
-        phoneInput.addEventListener("input", () => {
-            const formatted = formatPhoneNumber(phoneInput.value);
-            phoneInput.value = formatted;
-            if (phoneInput.value && !phoneRegex.test(phoneInput.value)) {
-                phoneInput.setCustomValidity("Use the format +234-801-234-5678.");
-            } else {
-                phoneInput.setCustomValidity("");
-            }
+    if (phoneInput && phoneCountrySelect) {
+        phoneCountrySelect.value = guessPhoneCountry();
+        attachPhoneFormatting(phoneCountrySelect, phoneInput);
+    }
+});
+// Self-service booking page (/bookings/manage?token=…): view, change or cancel a booking
+const manageSection = document.querySelector(".manage-booking");
+
+// Fields a traveler may change (SELF_SERVICE_FIELDS on the server)
+const MANAGE_FORM_FIELDS = ["departureId", "persons", "phoneCountry", "phone", "message"];
+
+// Form for the fields a traveler may change; values are filled in afterwards, never templated
+const manageFormTemplate = () => `
+    <h2 id="manage-title"></h2>
+    <p class="form-note manage-summary"></p>
+    <form class="tour-form manage-form" novalidate>
+        <div class="form-grid">
+            <label>
+                Departure
+                <select name="departureId" required>
+                    <option value="" disabled selected>Loading departures…</option>
+                </select>
+                ${fieldErrorSlot("departureId")}
+            </label>
+            <label>
+                Number of persons
+                <input type="number" name="persons" ${constraintAttributes("persons")} placeholder="1 to 20">
+                ${fieldErrorSlot("persons")}
+            </label>
+            ${phoneFieldsTemplate()}
+            <label class="full">
+                Any other message
+                <textarea name="message" rows="4" ${constraintAttributes("message")}
+                    placeholder="Dietary needs, accessibility requests, or pickup notes."></textarea>
+                ${fieldErrorSlot("message")}
+            </label>
+        </div>
+        <button type="submit" class="primary-btn">Save changes</button>
+        <button type="button" class="danger-btn cancel-booking-btn">Cancel booking</button>
+        <p class="form-status" role="status" aria-live="polite"></p>
+    </form>
+`;
+
+// One-line description of where the booking stands
+const bookingSummary = (booking) => {
+    const when = new Date(booking.departsAt).toLocaleString(undefined, {
+        weekday: "short",
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit"
+    });
+    const travelers = `${booking.persons} ${Number(booking.persons) === 1 ? "traveler" : "travelers"}`;
+    let state = `Status: ${booking.status}`;
+    if (booking.status === "cancelled") {
+        state = "This booking is cancelled.";
+    } else if (booking.seatStatus === "waitlisted") {
+        state = `You are #${booking.waitlistPosition} on the waitlist.`;
+    }
+    return `${booking.tour.name} · ${when} · ${travelers}. ${state}`;
+};
+
+const renderManagedBooking = async (section, token, booking, notice = "") => {
+    section.innerHTML = manageFormTemplate();
+    section.querySelector("#manage-title").textContent = `Booking ${booking.reference} for ${booking.fullName}`;
+    section.querySelector(".manage-summary").textContent = bookingSummary(booking);
+
+    const form = section.querySelector(".manage-form");
+    const status = form.querySelector(".form-status");
+    if (!booking.editable) {
+        form.remove();
+        return;
+    }
+
+    const departureSelect = form.querySelector('select[name="departureId"]');
+    await loadDepartures(departureSelect, booking.tour.slug);
+    if (!departureSelect.querySelector(`option[value="${booking.departureId}"]`)) {
+        departureSelect.add(new Option(new Date(booking.departsAt).toLocaleString(), booking.departureId));
+    }
+    departureSelect.value = String(booking.departureId);
+    form.elements.persons.value = booking.persons;
+    // Show the stored E.164 number the way it is written in its country
+    const phone = Phone.parsePhone(booking.phone, booking.phoneCountry);
+    form.elements.phoneCountry.value = phone ? phone.country : "";
+    form.elements.phone.value = phone ? Phone.formatNational(phone.nationalNumber, phone.country) : booking.phone;
+    form.elements.message.value = booking.message || "";
+    attachPhoneFormatting(form.elements.phoneCountry, form.elements.phone);
+    const validateForm = attachInlineValidation(form, MANAGE_FORM_FIELDS);
+    if (notice) {
+        setFormStatus(status, notice, "success");
+    }
+
+    const apiUrl = `/api/registrations/manage/${encodeURIComponent(token)}`;
+
+    form.addEventListener("submit", async (event) => {
+        event.preventDefault();
+        form.classList.add("was-validated");
+        if (validateForm().length > 0) {
+            setFormStatus(status, "Please correct the highlighted fields.", "error");
+            focusFirstError(form);
+            return;
+        }
+        const response = await sendJson("PATCH", apiUrl, formValues(form, MANAGE_FORM_FIELDS));
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            showFieldErrors(form, MANAGE_FORM_FIELDS, data.errors || []);
+            focusFirstError(form);
+            setFormStatus(status, data.message || "Unable to save your changes.", "error");
+            return;
+        }
+        const saved =
+            data.data.seatStatus === "waitlisted"
+                ? `Saved. That departure is full, so you are #${data.data.waitlistPosition} on the waitlist.`
+                : "Your changes are saved.";
+        renderManagedBooking(section, token, data.data, saved);
+    });
+
+    form.querySelector(".cancel-booking-btn").addEventListener("click", async () => {
+        if (!window.confirm("Cancel this booking? Your seats will go to the next traveler on the waitlist.")) {
+            return;
+        }
+        const response = await sendJson("DELETE", apiUrl);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            setFormStatus(status, data.message || "Unable to cancel your booking.", "error");
+            return;
+        }
+        loadManagedBooking(section, token);
+    });
+
+    form.addEventListener("input", () => setFormStatus(status, ""));
+};
+
+const loadManagedBooking = async (section, token) => {
+    const note = section.querySelector(".form-note");
+    try {
+        const response = await fetch(`/api/registrations/manage/${encodeURIComponent(token)}`, {
+            credentials: "same-origin"
         });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.message || "Unable to load your booking.");
+        }
+        await renderManagedBooking(section, token, data.data);
+    } catch (error) {
+        if (note) {
+            note.textContent = error.message;
+        }
     }
-});
\ No newline at end of file
+};
+
+if (manageSection) {
+    const token = new URLSearchParams(window.location.search).get("token");
+    if (token) {
+        loadManagedBooking(manageSection, token);
+    } else {
+        manageSection.querySelector(".form-note").textContent =
+            "Open the link from your confirmation email to manage your booking.";
+    }
+}
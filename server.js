@@ -1,96 +1,277 @@
 // Core dependencies for server, sessions, database, and hashing
+const crypto = require("crypto");
 const path = require("path");
 const express = require("express");
 const session = require("express-session");
 const sqlite3 = require("sqlite3").verbose();
 const bcrypt = require("bcryptjs");
 require("dotenv").config();
+const {
+    parseFacts,
+    renderArticlePage,
+    renderHomePage,
+    renderManageBookingPage,
+    renderNotFoundPage
+} = require("./lib/pages");
+const DEFAULT_ARTICLES = require("./lib/default-articles");
+const { CONTENT_TYPES, EXPORT_WRITERS } = require("./lib/export");
+const { fromCsvField, parseCsv } = require("./lib/csv");
+const { GENESIS_HASH, computeAuditHash, diffRows, verifyAuditChain } = require("./lib/audit");
+const { loadThrottlePolicy, throttleDelay } = require("./lib/throttle");
+const {
+    generateSecret,
+    verifyTotp,
+    otpauthUrl,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+} = require("./lib/totp");
+const QRCode = require("qrcode");
+const { checkPasswordStrength } = require("./lib/password-policy");
+const { createMailer } = require("./lib/mail");
+const { createMailQueue } = require("./lib/mail-queue");
+const { renderMailTemplate } = require("./lib/mail-templates");
+const SqliteSessionStore = require("./lib/session-store");
+const { createSecurity, parseTrustProxy } = require("./lib/security");
+const { createMigrator } = require("./lib/migrate");
+const { SPAM_REASON_LABELS, formElapsedMs, issueFormToken, loadSpamPolicy, spamReasons } = require("./lib/spam");
+const { formatInternational, parsePhone } = require("./lib/phone");
+const { validateRegistration } = require("./lib/registration-schema");
+const { PERIOD_EXPRESSIONS, fillPeriods } = require("./lib/stats");
+const { buildCalendar, isValidTimeZone, zonedTimeToUtc } = require("./lib/ical");
+const { WEBHOOK_EVENTS, createWebhookQueue, generateWebhookSecret } = require("./lib/webhooks");
+const { createTrashPurge, eraseRegistrations } = require("./lib/trash");
 
 // App + runtime configuration
 const app = express();
 const PORT = process.env.PORT || 3000;
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, "data.db");
 
-// SQLite connection
+// Refuse to boot with the well-known development secret anywhere but development: anyone
+// who knows it can forge an admin session cookie
+const DEFAULT_SESSION_SECRET = "dev-secret-change-me";
+const SESSION_SECRET = process.env.SESSION_SECRET || DEFAULT_SESSION_SECRET;
+if (SESSION_SECRET === DEFAULT_SESSION_SECRET && process.env.NODE_ENV !== "development") {
+    console.error(
+        "SESSION_SECRET is missing or still the development default. " +
+            "Set it to a long random value, or NODE_ENV=development for local use."
+    );
+    process.exit(1);
+}
+
+// SQLite connection; wait on locks held by other processes instead of failing immediately
 const db = new sqlite3.Database(DB_PATH);
+db.configure("busyTimeout", 5000);
+
+// Promise wrappers around the sqlite3 callback API for multi-step handlers
+const dbRun = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+        db.run(sql, params, function runCallback(err) {
+            if (err) {
+                return reject(err);
+            }
+            return resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+
+const dbGet = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+
+const dbAll = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+
+// Run work inside a write transaction. The queue keeps this connection from interleaving
+// two transactions, and BEGIN IMMEDIATE takes the write lock up front so another process
+// on the same db file cannot read seat counts between our check and our insert.
+let transactionQueue = Promise.resolve();
+const withTransaction = (work) => {
+    const run = transactionQueue.then(async () => {
+        await dbRun("BEGIN IMMEDIATE");
+        try {
+            const result = await work();
+            await dbRun("COMMIT");
+            return result;
+        } catch (err) {
+            await dbRun("ROLLBACK").catch(() => undefined);
+            throw err;
+        }
+    });
+    transactionQueue = run.catch(() => undefined);
+    return run;
+};
+
+// Behind a TLS-terminating proxy set TRUST_PROXY (so req.ip and req.protocol come from the
+// forwarded headers) and SECURE_COOKIES=true (cookies only over HTTPS, plus HSTS)
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+const SECURE_COOKIES = process.env.SECURE_COOKIES === "true";
+const security = createSecurity({
+    secret: SESSION_SECRET,
+    secureCookies: SECURE_COOKIES,
+    allowedOrigins: [process.env.PUBLIC_URL, ...(process.env.ALLOWED_ORIGINS || "").split(",")]
+        .map((origin) => (origin || "").trim().replace(/\/+$/, ""))
+        .filter(Boolean)
+});
+app.use(security.securityHeaders);
 
-// Parse JSON/form requests and set up sessions
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Parse JSON/form requests (up to REQUEST_BODY_LIMIT, e.g. "100kb") and set up sessions,
+// stored in SQLite so restarts keep admins signed in
+const REQUEST_BODY_LIMIT = process.env.REQUEST_BODY_LIMIT || "100kb";
+const sessionStore = new SqliteSessionStore({ db });
+app.use(express.json({ limit: REQUEST_BODY_LIMIT }));
+app.use(express.urlencoded({ extended: true, limit: REQUEST_BODY_LIMIT }));
 app.use(
     session({
-        secret: process.env.SESSION_SECRET || "dev-secret-change-me",
+        secret: SESSION_SECRET,
+        store: sessionStore,
         resave: false,
         saveUninitialized: false,
         cookie: {
             httpOnly: true,
             sameSite: "lax",
+            secure: SECURE_COOKIES,
             maxAge: 1000 * 60 * 60 * 2
         }
     })
 );
 
-// Serve static frontend files (index.html, admin.html, assets)
-app.use(express.static(__dirname));
+// Public frontend files plus the lib/ modules the forms share with the server; nothing else is downloadable
+const PUBLIC_FILES = new Set([
+    "/admin.html",
+    "/admin.js",
+    "/script.js",
+    "/styles.css",
+    "/lib/phone.js",
+    "/lib/registration-schema.js"
+]);
+const serveStatic = express.static(__dirname, { index: false });
+app.use((req, res, next) => (PUBLIC_FILES.has(req.path) ? serveStatic(req, res, next) : next()));
+
+// Every state-changing API request needs a same-site Origin and the CSRF token from here
+app.get("/api/csrf-token", security.issueCsrfToken);
+app.use("/api", security.checkOrigin, security.csrfProtection);
+
+const mailer = createMailer();
+const mailQueue = createMailQueue({ dbRun, dbAll, mailer });
+const webhooks = createWebhookQueue({ dbRun, dbAll, dbGet });
+const trashPurge = createTrashPurge({ dbRun, withTransaction });
+
+// Staff addresses notified of new online bookings (comma-separated STAFF_EMAIL)
+const STAFF_EMAILS = (process.env.STAFF_EMAIL || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean);
 
-// Phone format validation: +CCC-123-123-1234
-const phoneRegex = /^\+\d{1,3}-\d{3}-\d{3}-\d{4}$/;
+// Base URL for links in emails. Set PUBLIC_URL in production: the Host header is
+// client-controlled and must not decide where a password reset link points.
+const publicUrl = (req) => process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
 
-// Create database tables and seed the default admin
-const initializeDatabase = () => {
+// Tour slugs are lowercase words joined by dashes (e.g. "tokyo", "south-africa")
+const slugRegex = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Departure dates use the same format as the datetime-local input: YYYY-MM-DDTHH:mm
+const departureTimeRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+// Tours shipped with the magazine; slugs match the data-tour attribute on each article page
+const DEFAULT_TOURS = [
+    { slug: "alps", name: "Swiss Alps", timezone: "Europe/Zurich" },
+    { slug: "lagos", name: "Lagos City", timezone: "Africa/Lagos" },
+    { slug: "thailand", name: "Thailand Beaches", timezone: "Asia/Bangkok" },
+    { slug: "southafrica", name: "South Africa", timezone: "Africa/Johannesburg" },
+    { slug: "tokyo", name: "Tokyo Street Food", timezone: "Asia/Tokyo" }
+];
+
+// Bring the schema up to date (see lib/migrate.js), then seed the default content and admin
+const initializeDatabase = async () => {
+    await createMigrator(db).migrate();
     db.serialize(() => {
-        db.run(
-            `CREATE TABLE IF NOT EXISTS registrations (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        full_name TEXT NOT NULL,
-        sex TEXT NOT NULL,
-        phone TEXT NOT NULL,
-                email TEXT NOT NULL,
-        destination TEXT NOT NULL,
-                city TEXT NOT NULL,
-        persons INTEGER NOT NULL,
-        travel_time TEXT NOT NULL,
-        message TEXT,
-        created_at TEXT NOT NULL
-      )`
-        );
+        ensureDefaultAdmin();
+        ensureDefaultTours();
+        ensureDefaultArticles();
+    });
+};
 
-        // Ensure existing databases include the city column
-        db.run("ALTER TABLE registrations ADD COLUMN city TEXT NOT NULL DEFAULT ''", () => undefined);
-        // Ensure existing databases include the email column
-        db.run("ALTER TABLE registrations ADD COLUMN email TEXT NOT NULL DEFAULT ''", () => undefined);
+// Seed the original magazine articles the first time the articles table is empty
+const ensureDefaultArticles = () => {
+    db.get("SELECT COUNT(*) AS count FROM articles", [], (err, row) => {
+        if (err) {
+            console.error("Article lookup failed", err);
+            return;
+        }
+        if (row.count > 0) {
+            return;
+        }
+        const now = new Date().toISOString();
+        DEFAULT_ARTICLES.forEach((article, index) => {
+            db.run(
+                `INSERT INTO articles
+                    (slug, title, nav_label, hero_image, hero_alt, caption, quote, facts, body, tour_id,
+                     register_title, register_note, sort_order, published, created_at, updated_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, (SELECT id FROM tours WHERE slug = ?), ?, ?, ?, 1, ?, ?)`,
+                [
+                    article.slug,
+                    article.title,
+                    article.navLabel,
+                    article.heroImage,
+                    article.heroAlt,
+                    article.caption,
+                    article.quote,
+                    JSON.stringify(article.facts),
+                    article.body,
+                    article.tourSlug,
+                    article.registerTitle,
+                    article.registerNote,
+                    index,
+                    now,
+                    now
+                ],
+                (insertErr) => {
+                    if (insertErr) {
+                        console.error("Article seed failed", insertErr);
+                    }
+                }
+            );
+        });
+    });
+};
 
+// Seed the tours that have article pages so their forms have something to book
+const ensureDefaultTours = () => {
+    const createdAt = new Date().toISOString();
+    DEFAULT_TOURS.forEach((tour) => {
         db.run(
-            `CREATE TABLE IF NOT EXISTS admins (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        username TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL
-      )`
+            "INSERT OR IGNORE INTO tours (slug, name, timezone, created_at) VALUES (?, ?, ?, ?)",
+            [tour.slug, tour.name, tour.timezone, createdAt],
+            (err) => {
+                if (err) {
+                    console.error("Tour seed failed", err);
+                }
+            }
         );
-
-        ensureDefaultAdmin();
     });
 };
 
-// Create a default admin user if none exists yet
+// Create the first owner account when the admins table is empty
 const ensureDefaultAdmin = () => {
     const adminUsername = process.env.ADMIN_USERNAME || "admin";
     const adminPassword = process.env.ADMIN_PASSWORD || "admin123";
 
-    db.get("SELECT id FROM admins WHERE username = ?", [adminUsername], (err, row) => {
+    db.get("SELECT COUNT(*) AS count FROM admins", [], (err, row) => {
         if (err) {
             console.error("Admin lookup failed", err);
             return;
         }
-        if (!row) {
+        if (row.count === 0) {
             bcrypt.hash(adminPassword, 10, (hashErr, hash) => {
                 if (hashErr) {
                     console.error("Admin hash failed", hashErr);
                     return;
                 }
                 db.run(
-                    "INSERT INTO admins (username, password_hash) VALUES (?, ?)",
-                    [adminUsername, hash],
+                    "INSERT INTO admins (username, password_hash, role, created_at, email) VALUES (?, ?, 'owner', ?, ?)",
+                    [adminUsername, hash, new Date().toISOString(), process.env.ADMIN_EMAIL || null],
                     (insertErr) => {
                         if (insertErr) {
                             console.error("Admin insert failed", insertErr);
@@ -104,254 +285,3480 @@ const ensureDefaultAdmin = () => {
     });
 };
 
-// Middleware that protects admin-only endpoints
-const isAdmin = (req, res, next) => {
-    if (req.session && req.session.adminId) {
+// Append an entry to the hash-chained audit log. Runs through the transaction queue so two
+// entries never claim the same predecessor; call it after (not inside) a handler's own
+// transaction. Failures are logged rather than failing the admin's request.
+const audit = async (req, action, { adminId, username, targetType = null, targetId = null, details = {} } = {}) => {
+    try {
+        await withTransaction(async () => {
+            const last = await dbGet("SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1");
+            const entry = {
+                prev_hash: last ? last.hash : GENESIS_HASH,
+                created_at: new Date().toISOString(),
+                admin_id: adminId !== undefined ? adminId : (req.session && req.session.adminId) || null,
+                username: username !== undefined ? username : (req.session && req.session.username) || null,
+                action,
+                target_type: targetType,
+                target_id: targetId,
+                details: JSON.stringify(details),
+                ip: req.ip || null,
+                user_agent: req.get("user-agent") || null
+            };
+            entry.hash = computeAuditHash(entry);
+            await dbRun(
+                `INSERT INTO audit_log
+                    (created_at, admin_id, username, action, target_type, target_id, details, ip, user_agent, prev_hash, hash)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    entry.created_at,
+                    entry.admin_id,
+                    entry.username,
+                    entry.action,
+                    entry.target_type,
+                    entry.target_id,
+                    entry.details,
+                    entry.ip,
+                    entry.user_agent,
+                    entry.prev_hash,
+                    entry.hash
+                ]
+            );
+        });
+    } catch (err) {
+        console.error("Audit log write failed", err);
+    }
+};
+
+// Admin roles from least to most privileged; each permission names the least role holding it
+const ADMIN_ROLES = ["viewer", "editor", "owner"];
+const PERMISSIONS = {
+    "registrations.read": "viewer",
+    "content.read": "viewer",
+    "registrations.write": "editor",
+    "content.write": "editor",
+    "audit.read": "owner",
+    "users.manage": "owner",
+    "webhooks.manage": "owner"
+};
+
+const hasPermission = (role, permission) =>
+    ADMIN_ROLES.includes(role) && ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(PERMISSIONS[permission]);
+
+const permissionsFor = (role) => Object.keys(PERMISSIONS).filter((permission) => hasPermission(role, permission));
+
+// With ADMIN_2FA_REQUIRED=true, admins without two-factor can only reach the enrollment screen
+const TOTP_REQUIRED = process.env.ADMIN_2FA_REQUIRED === "true";
+
+// Middleware factory that protects admin endpoints. The account is re-read on every request so
+// disabling or demoting an admin takes effect on their next click; without a permission it
+// only requires an active session.
+const requirePermission = (permission) => async (req, res, next) => {
+    if (!req.session || !req.session.adminId) {
+        return res.status(401).json({ message: "Unauthorized" });
+    }
+    try {
+        const admin = await dbGet(
+            "SELECT id, username, email, role, disabled, totp_enabled, session_version FROM admins WHERE id = ?",
+            [req.session.adminId]
+        );
+        // A password change or reset bumps session_version, which signs out every older session
+        if (!admin || admin.disabled || (req.session.sessionVersion || 0) !== admin.session_version) {
+            return req.session.destroy(() => res.status(401).json({ message: "Unauthorized" }));
+        }
+        if (permission && TOTP_REQUIRED && !admin.totp_enabled) {
+            return res.status(403).json({ message: "Set up two-factor authentication to continue." });
+        }
+        if (permission && !hasPermission(admin.role, permission)) {
+            return res.status(403).json({ message: "Your role does not allow this action." });
+        }
+        // Keep the address shown in the active sessions list current
+        if (req.session.ip !== req.ip) {
+            req.session.ip = req.ip;
+        }
+        req.admin = admin;
         return next();
+    } catch (err) {
+        console.error("Admin lookup failed", err);
+        return res.status(500).json({ message: "Failed to check permissions." });
+    }
+};
+
+// Body of a 400 for registration data that breaks the schema in lib/registration-schema.js:
+// every { field, code, message } problem, plus the first message for simple clients
+const invalidRegistration = (errors) => ({ message: errors[0].message, errors });
+
+// Validate tour fields sent by the admin tour editor
+const validateTour = (payload) => {
+    if (!payload) {
+        return "Missing tour data.";
+    }
+    const { slug, name } = payload;
+    if (!slugRegex.test(slug || "")) {
+        return "Slug must be lowercase letters, numbers and dashes.";
+    }
+    if (!name || String(name).trim().length < 2) {
+        return "Tour name is required.";
     }
-    return res.status(401).json({ message: "Unauthorized" });
+    if (payload.timezone !== undefined && !isValidTimeZone(payload.timezone)) {
+        return "Time zone must be an IANA name such as Europe/Paris.";
+    }
+    return null;
 };
 
-// Validate all registration payload fields on the server
-const validateRegistration = (payload) => {
+// Validate departure fields sent by the admin tour editor
+const validateDeparture = (payload) => {
     if (!payload) {
-        return "Missing registration data.";
+        return "Missing departure data.";
+    }
+    const { departsAt, capacity, priceCents } = payload;
+    if (!departureTimeRegex.test(departsAt || "") || Number.isNaN(Date.parse(departsAt))) {
+        return "Departure date must use YYYY-MM-DDTHH:mm format.";
+    }
+    const capacityNumber = Number(capacity);
+    if (!Number.isInteger(capacityNumber) || capacityNumber < 1) {
+        return "Capacity must be a whole number of at least 1.";
     }
-    const { fullName, sex, phone, email, destination, city, persons, travelTime } = payload;
-    if (!fullName || fullName.length < 2) {
-        return "Full name is required.";
+    const priceNumber = Number(priceCents);
+    if (!Number.isInteger(priceNumber) || priceNumber < 0) {
+        return "Price must be a whole number of cents.";
     }
-    if (!sex) {
-        return "Sex is required.";
+    return null;
+};
+
+// Validate article fields sent by the admin CMS editor
+const validateArticle = (payload) => {
+    if (!payload) {
+        return "Missing article data.";
     }
-    if (!phoneRegex.test(phone || "")) {
-        return "Phone must match +234-801-234-5678 format.";
+    const { slug, title, navLabel, heroImage, facts, tourId, sortOrder } = payload;
+    if (!slugRegex.test(slug || "")) {
+        return "Slug must be lowercase letters, numbers and dashes.";
     }
-    if (!email || !String(email).includes("@")) {
-        return "Email is required.";
+    if (!title || String(title).trim().length < 2) {
+        return "Title is required.";
     }
-    if (!destination) {
-        return "Destination is required.";
+    if (!navLabel || !String(navLabel).trim()) {
+        return "Navigation label is required.";
     }
-    if (!city || city.length < 2) {
-        return "City is required.";
+    if (!/^https:\/\/\S+$/.test(heroImage || "")) {
+        return "Hero image must be an https:// URL.";
     }
-    const personsNumber = Number(persons);
-    if (!Number.isInteger(personsNumber) || personsNumber < 1 || personsNumber > 20) {
-        return "Number of persons must be between 1 and 20.";
+    if (facts !== undefined) {
+        const { items = [], cards = [] } = facts || {};
+        if (!Array.isArray(items) || !Array.isArray(cards) || cards.some((card) => !card || !card.heading)) {
+            return "Facts must have a list of highlights and cards with headings.";
+        }
+    }
+    if (tourId !== undefined && tourId !== null && tourId !== "" && !Number.isInteger(Number(tourId))) {
+        return "Linked tour is invalid.";
     }
-    if (!travelTime) {
-        return "Travel time is required.";
+    if (sortOrder !== undefined && sortOrder !== "" && !Number.isInteger(Number(sortOrder))) {
+        return "Sort order must be a whole number.";
     }
     return null;
 };
 
-// Public API: store a new registration
-app.post("/api/registrations", (req, res) => {
-    const error = validateRegistration(req.body);
-    if (error) {
-        return res.status(400).json({ message: error });
+// Map an article payload onto the editable articles columns, in ARTICLE_FIELDS order
+const ARTICLE_FIELDS = [
+    "slug",
+    "title",
+    "nav_label",
+    "hero_image",
+    "hero_alt",
+    "caption",
+    "quote",
+    "facts",
+    "body",
+    "tour_id",
+    "register_title",
+    "register_note",
+    "sort_order",
+    "published"
+];
+
+const articleValues = (payload) => {
+    const facts = payload.facts || {};
+    return [
+        payload.slug,
+        String(payload.title).trim(),
+        String(payload.navLabel).trim(),
+        payload.heroImage,
+        payload.heroAlt || "",
+        payload.caption || "",
+        payload.quote || "",
+        JSON.stringify({
+            heading: facts.heading || "",
+            items: (facts.items || []).map(String),
+            cards: (facts.cards || []).map((card) => ({ heading: String(card.heading), text: String(card.text || "") }))
+        }),
+        payload.body || "",
+        payload.tourId ? Number(payload.tourId) : null,
+        payload.registerTitle || "",
+        payload.registerNote || "",
+        Number(payload.sortOrder) || 0,
+        payload.published ? 1 : 0
+    ];
+};
+
+// Format a Date the way datetime-local inputs do, in server local time
+const toLocalDateTime = (date) => {
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Whether a departure has already left; departure times are compared as wall-clock strings, like
+// the public departure list does
+const hasDeparted = (departure) => departure.departs_at <= toLocalDateTime(new Date());
+
+// Error a booking form gets for a departure that has already left
+const DEPARTED_ERROR = { field: "departureId", code: "departed", message: "That departure has already left." };
+
+// Manage links work until the departure leaves. departs_at is a wall-clock time in the tour's
+// zone, so `departure` needs the tour's `timezone` as well.
+const manageLinkExpiry = (departure) => zonedTimeToUtc(departure.departs_at, departure.timezone).toISOString();
+
+// Booking reference shown to travelers, e.g. WL-000042
+const bookingReference = (id) => `WL-${String(id).padStart(6, "0")}`;
+
+// Look up a departure together with the tour it belongs to
+const findDeparture = (departureId) =>
+    dbGet(
+        `SELECT departures.id, departures.departs_at, departures.capacity, departures.price_cents,
+                tours.id AS tour_id, tours.slug AS tour_slug, tours.name AS tour_name, tours.timezone
+         FROM departures
+         JOIN tours ON tours.id = departures.tour_id
+         WHERE departures.id = ?`,
+        [Number(departureId)]
+    );
+
+// Seats on a departure held by confirmed bookings, optionally ignoring one registration
+const confirmedSeats = async (departureId, excludeId = null) => {
+    const row = await dbGet(
+        `SELECT COALESCE(SUM(persons), 0) AS seats FROM registrations
+         WHERE departure_id = ? AND seat_status = 'confirmed' AND deleted_at IS NULL AND id IS NOT ?`,
+        [departureId, excludeId]
+    );
+    return row.seats;
+};
+
+// Fill freed seats from the waitlist, oldest first, skipping bookings too large for what is left.
+// Must run inside withTransaction so the seat count cannot change underneath it.
+const promoteWaitlist = async (departureId) => {
+    const departure = await dbGet("SELECT capacity FROM departures WHERE id = ?", [departureId]);
+    if (!departure) {
+        return [];
+    }
+    let available = departure.capacity - (await confirmedSeats(departureId));
+    const waiting = await dbAll(
+        `SELECT id, persons FROM registrations
+         WHERE departure_id = ? AND seat_status = 'waitlisted' AND deleted_at IS NULL
+         ORDER BY created_at, id`,
+        [departureId]
+    );
+    const promoted = [];
+    for (const booking of waiting) {
+        if (available <= 0) {
+            break;
+        }
+        if (booking.persons <= available) {
+            await dbRun("UPDATE registrations SET seat_status = 'confirmed' WHERE id = ?", [booking.id]);
+            available -= booking.persons;
+            promoted.push(booking.id);
+        }
     }
+    return promoted;
+};
+
+// Booking workflow: every status and the statuses an admin may move it to next
+const STATUS_TRANSITIONS = {
+    pending: ["contacted", "confirmed", "cancelled"],
+    contacted: ["confirmed", "cancelled"],
+    confirmed: ["paid", "cancelled", "no-show"],
+    paid: ["cancelled", "no-show"],
+    cancelled: [],
+    "no-show": []
+};
+const REGISTRATION_STATUSES = Object.keys(STATUS_TRANSITIONS);
+const TRASHED_REGISTRATION_MESSAGE = "This booking is in the trash. Restore it before changing it.";
 
-    const {
-        fullName,
-        sex,
-        phone,
-        email,
-        destination,
-        city,
-        persons,
-        travelTime,
-        message
-    } = req.body;
+// Append an entry to a registration's status history
+const recordRegistrationEvent = (registrationId, fromStatus, toStatus, adminId = null, note = "") =>
+    dbRun(
+        `INSERT INTO registration_events (registration_id, from_status, to_status, admin_id, note, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [registrationId, fromStatus, toStatus, adminId, note, new Date().toISOString()]
+    );
 
-    db.run(
+// Move a registration along the workflow, recording who did it. Cancelling releases the
+// seats to the waitlist. Must run inside withTransaction. Returns { status, message } on refusal.
+const changeRegistrationStatus = async (id, nextStatus, adminId, note = "") => {
+    const existing = await dbGet("SELECT status, seat_status, departure_id, deleted_at FROM registrations WHERE id = ?", [id]);
+    if (!existing) {
+        return { status: 404, message: "Not found." };
+    }
+    if (existing.deleted_at) {
+        return { status: 409, message: TRASHED_REGISTRATION_MESSAGE };
+    }
+    if (!(STATUS_TRANSITIONS[existing.status] || []).includes(nextStatus)) {
+        return { status: 409, message: `A ${existing.status} booking cannot be marked ${nextStatus}.` };
+    }
+    if (existing.seat_status === "waitlisted" && ["confirmed", "paid"].includes(nextStatus)) {
+        return { status: 409, message: "Waitlisted bookings can be confirmed once a seat frees up." };
+    }
+
+    await dbRun("UPDATE registrations SET status = ? WHERE id = ?", [nextStatus, id]);
+    if (nextStatus === "cancelled") {
+        await dbRun("UPDATE registrations SET seat_status = 'cancelled' WHERE id = ?", [id]);
+        if (existing.departure_id) {
+            await promoteWaitlist(existing.departure_id);
+        }
+    }
+    await recordRegistrationEvent(id, existing.status, nextStatus, adminId, note);
+    return null;
+};
+
+// Insert a validated registration on a departure, confirming it when the party fits in the
+// remaining seats and waitlisting it otherwise. Must run inside withTransaction.
+// `source` describes where it came from for the first history entry.
+// Returns the new id, seat and the traveler's manage-link token (stored only as a hash; the
+// confirmation email carries it until the mail queue sends it and empties the body).
+const insertRegistration = async (payload, departure, source = { adminId: null, note: "Submitted online" }) => {
+    const { fullName, sex, email, city, persons, message } = payload;
+    const phone = parsePhone(payload.phone, payload.phoneCountry);
+    const taken = await confirmedSeats(departure.id);
+    const seatStatus = taken + Number(persons) <= departure.capacity ? "confirmed" : "waitlisted";
+    const manageToken = crypto.randomBytes(32).toString("hex");
+    const result = await dbRun(
         `INSERT INTO registrations
-            (full_name, sex, phone, email, destination, city, persons, travel_time, message, created_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)` ,
+            (full_name, sex, phone, phone_country, email, destination, city, persons, travel_time, message, departure_id,
+             seat_status, created_at, manage_token_hash, manage_expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
             fullName,
             sex,
-            phone,
+            phone.e164,
+            phone.country,
             email,
-            destination,
+            departure.tour_name,
             city,
             Number(persons),
-            travelTime,
+            departure.departs_at,
             message || "",
-            new Date().toISOString()
-        ],
-        function insertCallback(err) {
-            if (err) {
-                console.error("Registration insert failed", err);
-                return res.status(500).json({ message: "Failed to save registration." });
+            departure.id,
+            seatStatus,
+            new Date().toISOString(),
+            hashToken(manageToken),
+            manageLinkExpiry(departure)
+        ]
+    );
+    await recordRegistrationEvent(result.lastID, null, "pending", source.adminId, source.note);
+    const position = seatStatus === "waitlisted" ? await waitlistPosition(result.lastID) : null;
+    return { id: result.lastID, seatStatus, waitlistPosition: position, manageToken };
+};
+
+// Save new details for a registration and re-check its seat against the (possibly new)
+// departure: a moved booking is treated like a new one, a waitlisted one keeps its place.
+// Cancelled bookings stay cancelled. Must run inside withTransaction; returns the updated row.
+const updateRegistration = async (existing, payload, departure) => {
+    const { fullName, sex, email, city, persons, message } = payload;
+    const phone = parsePhone(payload.phone, payload.phoneCountry);
+    let seatStatus = existing.seat_status;
+    if (seatStatus !== "cancelled") {
+        const taken = await confirmedSeats(departure.id, existing.id);
+        const fits = taken + Number(persons) <= departure.capacity;
+        const moved = existing.departure_id !== departure.id;
+        seatStatus = fits && (seatStatus === "confirmed" || moved) ? "confirmed" : "waitlisted";
+    }
+
+    await dbRun(
+        `UPDATE registrations
+         SET full_name = ?, sex = ?, phone = ?, phone_country = ?, email = ?, destination = ?, city = ?, persons = ?, travel_time = ?, message = ?,
+             departure_id = ?, seat_status = ?, manage_expires_at = ?
+         WHERE id = ?`,
+        [
+            fullName,
+            sex,
+            phone.e164,
+            phone.country,
+            email,
+            departure.tour_name,
+            city,
+            Number(persons),
+            departure.departs_at,
+            message || "",
+            departure.id,
+            seatStatus,
+            manageLinkExpiry(departure),
+            existing.id
+        ]
+    );
+
+    // Shrinking or moving a booking can free seats on either departure
+    await promoteWaitlist(departure.id);
+    if (existing.departure_id && existing.departure_id !== departure.id) {
+        await promoteWaitlist(existing.departure_id);
+    }
+    return dbGet("SELECT * FROM registrations WHERE id = ?", [existing.id]);
+};
+
+// 1-based place of a waitlisted booking in its departure's queue
+const waitlistPosition = async (registrationId) => {
+    const row = await dbGet(
+        `SELECT COUNT(*) AS ahead FROM registrations AS other
+         JOIN registrations AS self ON self.id = ?
+         WHERE other.departure_id = self.departure_id
+           AND other.seat_status = 'waitlisted'
+           AND other.deleted_at IS NULL
+           AND (other.created_at < self.created_at OR (other.created_at = self.created_at AND other.id < self.id))`,
+        [registrationId]
+    );
+    return row.ahead + 1;
+};
+
+// Registration columns compared when auditing an update
+const AUDITED_REGISTRATION_FIELDS = [
+    "full_name",
+    "sex",
+    "phone",
+    "phone_country",
+    "email",
+    "destination",
+    "city",
+    "persons",
+    "travel_time",
+    "message",
+    "departure_id",
+    "seat_status"
+];
+
+// Registration columns returned to the admin dashboard, including waitlist position
+const REGISTRATION_COLUMNS = `id, full_name, sex, phone, phone_country, email, destination, city, persons, travel_time, message,
+        departure_id, seat_status, status, created_at, version, deleted_at,
+        CASE WHEN seat_status = 'waitlisted' AND deleted_at IS NULL THEN ROW_NUMBER() OVER (
+            PARTITION BY departure_id, seat_status, deleted_at IS NULL ORDER BY created_at, id
+        ) END AS waitlist_position`;
+
+// Columns the admin list can be sorted by, mapped to their SQL expressions
+const REGISTRATION_SORTS = {
+    id: "id",
+    fullName: "full_name COLLATE NOCASE",
+    sex: "sex",
+    destination: "destination COLLATE NOCASE",
+    city: "city COLLATE NOCASE",
+    persons: "persons",
+    travelTime: "travel_time",
+    createdAt: "created_at",
+    waitlistPosition: "waitlist_position",
+    deletedAt: "deleted_at"
+};
+
+const SEAT_STATUSES = ["confirmed", "waitlisted", "cancelled"];
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+// Turn free text into an FTS5 query: every word must match as a prefix, so
+// "ann 555" finds "Ann Lee". Phones are stored as E.164, so a query that is only a phone
+// number ("+44 7400 12") is searched as its digits. Quoting keeps FTS syntax out of user input.
+const toSearchQuery = (text) =>
+    (/^\s*\+?[\d\s().-]+$/.test(String(text || "")) ? String(text).replace(/\D/g, "") : String(text || ""))
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+        .map((word) => `"${word}"*`)
+        .join(" ");
+
+// Build the WHERE clause shared by the admin list, export and stats.
+// Returns { error } for malformed input, otherwise { where, params, seatWhere, seatParams }
+// where the seat variants add the seatStatus filter on top of the others.
+const buildRegistrationFilters = (query = {}) => {
+    // Trashed bookings only show up when asked for (trash=1), and then on their own
+    const clauses = [query.trash === "1" ? "deleted_at IS NOT NULL" : "deleted_at IS NULL"];
+    const params = [];
+
+    ["destination", "city", "sex"].forEach((field) => {
+        if (query[field]) {
+            clauses.push(`${field} = ? COLLATE NOCASE`);
+            params.push(String(query[field]));
+        }
+    });
+
+    const ranges = [
+        ["travelFrom", "date(travel_time) >= ?"],
+        ["travelTo", "date(travel_time) <= ?"],
+        ["createdFrom", "date(created_at) >= ?"],
+        ["createdTo", "date(created_at) <= ?"]
+    ];
+    for (const [param, clause] of ranges) {
+        if (query[param]) {
+            if (!dateRegex.test(String(query[param]))) {
+                return { error: `${param} must use YYYY-MM-DD format.` };
             }
-            return res.status(201).json({ message: "Saved", id: this.lastID });
+            clauses.push(clause);
+            params.push(String(query[param]));
         }
-    );
-});
+    }
 
-// Admin login: verifies password hash and sets session
-app.post("/api/admin/login", (req, res) => {
-    const { username, password } = req.body || {};
-    if (!username || !password) {
-        return res.status(400).json({ message: "Username and password required." });
+    const search = toSearchQuery(query.q);
+    if (search) {
+        clauses.push("id IN (SELECT rowid FROM registrations_fts WHERE registrations_fts MATCH ?)");
+        params.push(search);
     }
 
-    db.get("SELECT id, password_hash FROM admins WHERE username = ?", [username], (err, row) => {
-        if (err) {
-            console.error("Admin lookup failed", err);
-            return res.status(500).json({ message: "Login failed." });
+    if (query.status) {
+        if (!REGISTRATION_STATUSES.includes(query.status)) {
+            return { error: "Unknown booking status." };
         }
-        if (!row) {
-            return res.status(401).json({ message: "Invalid credentials." });
+        clauses.push("status = ?");
+        params.push(query.status);
+    }
+
+    const seatClauses = [...clauses];
+    const seatParams = [...params];
+    if (query.seatStatus) {
+        if (!SEAT_STATUSES.includes(query.seatStatus)) {
+            return { error: "Unknown seat status." };
         }
-        bcrypt.compare(password, row.password_hash, (compareErr, matches) => {
-            if (compareErr) {
-                console.error("Password compare failed", compareErr);
-                return res.status(500).json({ message: "Login failed." });
-            }
-            if (!matches) {
-                return res.status(401).json({ message: "Invalid credentials." });
-            }
-            req.session.adminId = row.id;
-            req.session.username = username;
-            return res.json({ message: "Logged in" });
-        });
-    });
+        seatClauses.push("seat_status = ?");
+        seatParams.push(query.seatStatus);
+    }
+
+    const toWhere = (list) => (list.length ? `WHERE ${list.join(" AND ")}` : "");
+    return { where: toWhere(clauses), params, seatWhere: toWhere(seatClauses), seatParams };
+};
+
+// Parse sort=<column>&order=asc|desc against the whitelist; newest first by default
+const buildRegistrationOrder = (query = {}) => {
+    const column = REGISTRATION_SORTS[query.sort] || REGISTRATION_SORTS.createdAt;
+    const direction = query.order === "asc" ? "ASC" : "DESC";
+    return `ORDER BY ${column} ${direction}, id ${direction}`;
+};
+
+// Home page: hero grid, nav and CTAs come from published articles
+app.get(["/", "/index.html"], async (req, res) => {
+    try {
+        const articles = await dbAll(
+            `SELECT articles.slug, articles.title, articles.nav_label, articles.hero_image, articles.hero_alt,
+                    tours.slug AS tour_slug
+             FROM articles
+             LEFT JOIN tours ON tours.id = articles.tour_id
+             WHERE articles.published = 1
+             ORDER BY articles.sort_order, articles.id`
+        );
+        return res.send(renderHomePage(articles));
+    } catch (err) {
+        console.error("Home page render failed", err);
+        return res.status(500).send("Failed to load the magazine.");
+    }
 });
 
-// Admin logout: destroys session cookie
-app.post("/api/admin/logout", (req, res) => {
-    req.session.destroy(() => {
-        res.json({ message: "Logged out" });
+// Article pages; logged-in admins can preview drafts
+app.get("/articles/:slug", async (req, res) => {
+    try {
+        const article = await dbGet(
+            `SELECT articles.*, tours.slug AS tour_slug, tours.name AS tour_name
+             FROM articles
+             LEFT JOIN tours ON tours.id = articles.tour_id
+             WHERE articles.slug = ?`,
+            [req.params.slug]
+        );
+        const canView = article && (article.published || (req.session && req.session.adminId));
+        if (!canView) {
+            return res.status(404).send(renderNotFoundPage());
+        }
+        // The booking form's start time is stamped here, so the page must not be served from a cache
+        res.set("Cache-Control", "no-store");
+        return res.send(renderArticlePage(article, { formToken: issueFormToken(SESSION_SECRET) }));
+    } catch (err) {
+        console.error("Article render failed", err);
+        return res.status(500).send("Failed to load the article.");
+    }
+});
+
+// Old static article URLs (article-alps.html, ...) now live under /articles/:slug
+app.get(/^\/article-([a-z0-9-]+)\.html$/, (req, res) => {
+    res.redirect(301, `/articles/${req.params[0]}`);
+});
+
+// Self-service page behind the manage link in booking emails; the link is private, so keep it
+// out of caches and search engines
+app.get("/bookings/manage", (req, res) => {
+    res.set({ "Cache-Control": "no-store", "X-Robots-Tag": "noindex" });
+    res.send(renderManageBookingPage());
+});
+
+// Public API: list bookable tours
+app.get("/api/tours", (req, res) => {
+    db.all("SELECT slug, name, description FROM tours ORDER BY name", [], (err, rows) => {
+        if (err) {
+            console.error("Tours fetch failed", err);
+            return res.status(500).json({ message: "Failed to fetch tours." });
+        }
+        return res.json({ data: rows });
     });
 });
 
-// Admin session check
-app.get("/api/admin/me", (req, res) => {
-    if (!req.session || !req.session.adminId) {
-        return res.status(401).json({ message: "Unauthorized" });
+// Public API: upcoming departures for one tour
+app.get("/api/tours/:slug/departures", async (req, res) => {
+    try {
+        const tour = await dbGet("SELECT id, slug, name FROM tours WHERE slug = ?", [req.params.slug]);
+        if (!tour) {
+            return res.status(404).json({ message: "Tour not found." });
+        }
+        const now = toLocalDateTime(new Date());
+        const rows = await dbAll(
+            `SELECT departures.id, departures.departs_at, departures.capacity, departures.price_cents,
+                    MAX(departures.capacity - COALESCE(SUM(registrations.persons), 0), 0) AS seats_left
+             FROM departures
+             LEFT JOIN registrations
+               ON registrations.departure_id = departures.id AND registrations.seat_status = 'confirmed'
+                 AND registrations.deleted_at IS NULL
+             WHERE departures.tour_id = ? AND departures.departs_at >= ?
+             GROUP BY departures.id
+             ORDER BY departures.departs_at`,
+            [tour.id, now]
+        );
+        return res.json({ tour, data: rows });
+    } catch (err) {
+        console.error("Departures fetch failed", err);
+        return res.status(500).json({ message: "Failed to fetch departures." });
     }
-    res.set("Cache-Control", "no-store");
-    return res.json({ username: req.session.username });
 });
 
-// Admin-only: list all registrations
-app.get("/api/admin/registrations", isAdmin, (req, res) => {
-    res.set("Cache-Control", "no-store");
-    db.all(
-        "SELECT id, full_name, sex, phone, email, destination, city, persons, travel_time, message, created_at FROM registrations ORDER BY created_at DESC",
-        [],
-        (err, rows) => {
-            if (err) {
-                console.error("Registrations fetch failed", err);
-                return res.status(500).json({ message: "Failed to fetch registrations." });
-            }
-            return res.json({ data: rows });
+// A registration as the admin API returns it; webhook payloads carry the same fields
+const registrationSnapshot = (id) =>
+    dbGet(`SELECT * FROM (SELECT ${REGISTRATION_COLUMNS} FROM registrations) WHERE id = ?`, [id]);
+
+// Tell webhook subscribers about a committed registration change. `source` says which route made
+// it (public, traveler, admin, import, quarantine, restore); `snapshot` is passed for deleted rows. Never
+// fails the request: a problem only costs the notification.
+const emitRegistrationEvent = async (event, id, { source, changes, snapshot } = {}) => {
+    try {
+        const registration = snapshot || (await registrationSnapshot(id));
+        await webhooks.emit(event, { registration, source, changes });
+    } catch (err) {
+        console.error("Webhook queueing failed", err);
+    }
+};
+
+// Queue the traveler's confirmation and the staff notification for a new online booking,
+// using the tour's own templates where it has them (templates/email/tours/<slug>/)
+const queueRegistrationEmails = async (req, payload, departure, booking) => {
+    const siteUrl = publicUrl(req);
+    const waitlisted = booking.seatStatus === "waitlisted";
+    const variables = {
+        reference: bookingReference(booking.id),
+        fullName: payload.fullName,
+        email: payload.email,
+        phone: formatInternational(payload.phone, payload.phoneCountry),
+        city: payload.city,
+        message: payload.message || "(none)",
+        persons: Number(payload.persons),
+        tourName: departure.tour_name,
+        departsAt: departure.departs_at.replace("T", " "),
+        seatSummary: waitlisted
+            ? `This departure is full, so you are number ${booking.waitlistPosition} on the waitlist. We'll contact you if seats free up.`
+            : "Seats are being held for your party while we confirm your booking.",
+        seatStatus: waitlisted ? `Waitlisted (#${booking.waitlistPosition})` : "Confirmed",
+        siteUrl,
+        manageUrl: `${siteUrl}/bookings/manage?token=${booking.manageToken}`,
+        adminUrl: `${siteUrl}/admin.html`
+    };
+    const options = { tourSlug: departure.tour_slug };
+
+    const confirmation = await renderMailTemplate("registration-confirmation", variables, options);
+    await mailQueue.enqueue({ to: payload.email, ...confirmation, kind: "registration.confirmation", registrationId: booking.id });
+    if (STAFF_EMAILS.length > 0) {
+        const notification = await renderMailTemplate("staff-registration", variables, options);
+        for (const address of STAFF_EMAILS) {
+            await mailQueue.enqueue({ to: address, ...notification, kind: "registration.staff", registrationId: booking.id });
         }
+    }
+};
+
+const SPAM_POLICY = loadSpamPolicy();
+const QUARANTINE_RETENTION_MS = 1000 * 60 * 60 * 24 * 30;
+
+// Count one request against a fixed window per scope and key. Returns how long the client must
+// wait once the window's limit is used up, otherwise 0.
+const hitRateLimit = async (scope, key, limit, windowMs) => {
+    const now = Date.now();
+    await dbRun("DELETE FROM rate_limits WHERE scope = ? AND window_started_at <= ?", [scope, now - windowMs]);
+    const row = await dbGet(
+        `INSERT INTO rate_limits (scope, key, window_started_at, hits) VALUES (?, ?, ?, 1)
+         ON CONFLICT (scope, key) DO UPDATE SET hits = hits + 1
+         RETURNING window_started_at, hits`,
+        [scope, key, now]
     );
+    return row.hits > limit ? row.window_started_at + windowMs - now : 0;
+};
+
+// Per-IP limit on public registrations (REGISTRATION_RATE_LIMIT per window; 0 turns it off)
+const limitRegistrations = async (req, res, next) => {
+    if (SPAM_POLICY.rateLimit === 0) {
+        return next();
+    }
+    try {
+        const waitMs = await hitRateLimit("registration", req.ip, SPAM_POLICY.rateLimit, SPAM_POLICY.rateWindowMs);
+        if (waitMs > 0) {
+            res.set("Retry-After", String(Math.ceil(waitMs / 1000)));
+            return res.status(429).json({ message: "Too many registrations from your network. Please try again later." });
+        }
+        return next();
+    } catch (err) {
+        console.error("Registration rate limit failed", err);
+        return res.status(500).json({ message: "Failed to save registration." });
+    }
+};
+
+// The registration fields of a public submission, without the honeypot and timing fields
+const registrationFields = (body) => ({
+    fullName: body.fullName,
+    sex: body.sex,
+    phone: body.phone,
+    phoneCountry: body.phoneCountry,
+    email: body.email,
+    departureId: Number(body.departureId),
+    city: body.city,
+    persons: Number(body.persons),
+    message: body.message || ""
 });
 
-// Admin-only: fetch a single registration
-app.get("/api/admin/registrations/:id", isAdmin, (req, res) => {
-    const id = Number(req.params.id);
-    if (!Number.isInteger(id)) {
-        return res.status(400).json({ message: "Invalid id." });
+// A live booking with the same email, destination and travel time made within the window
+const findDuplicateRegistration = (email, departure) =>
+    dbGet(
+        `SELECT id FROM registrations
+         WHERE email = ? COLLATE NOCASE AND destination = ? AND travel_time = ?
+           AND status <> 'cancelled' AND deleted_at IS NULL AND created_at > ?`,
+        [email, departure.tour_name, departure.departs_at, new Date(Date.now() - SPAM_POLICY.duplicateWindowMs).toISOString()]
+    );
+
+// Hold a suspicious submission for review instead of booking it
+const quarantineRegistration = async (req, fields, reasons) => {
+    await dbRun("DELETE FROM registration_quarantine WHERE created_at < ?", [
+        new Date(Date.now() - QUARANTINE_RETENTION_MS).toISOString()
+    ]);
+    await dbRun(
+        "INSERT INTO registration_quarantine (payload, reasons, ip, user_agent, created_at) VALUES (?, ?, ?, ?, ?)",
+        [JSON.stringify(fields), JSON.stringify(reasons), req.ip || null, req.get("user-agent") || null, new Date().toISOString()]
+    );
+};
+
+// Public API: store a new registration against a scheduled departure. Submissions that look
+// automated are quarantined and answered with 202; repeats of a recent booking get 409.
+app.post("/api/registrations", limitRegistrations, async (req, res) => {
+    const errors = validateRegistration(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json(invalidRegistration(errors));
     }
 
-    res.set("Cache-Control", "no-store");
-    db.get(
-        "SELECT id, full_name, sex, phone, email, destination, city, persons, travel_time, message, created_at FROM registrations WHERE id = ?",
-        [id],
-        (err, row) => {
-            if (err) {
-                console.error("Registration fetch failed", err);
-                return res.status(500).json({ message: "Failed to fetch registration." });
+    const fields = registrationFields(req.body);
+    try {
+        const reasons = spamReasons(req.body, SPAM_POLICY, formElapsedMs(req.body.formToken, SESSION_SECRET));
+        if (reasons.length > 0) {
+            await quarantineRegistration(req, fields, reasons);
+            return res.status(202).json({ message: "Received", pendingReview: true });
+        }
+
+        const result = await withTransaction(async () => {
+            const departure = await findDeparture(fields.departureId);
+            if (!departure) {
+                return {
+                    status: 400,
+                    ...invalidRegistration([{ field: "departureId", code: "not_found", message: "Selected departure does not exist." }])
+                };
             }
-            if (!row) {
-                return res.status(404).json({ message: "Not found." });
+            if (hasDeparted(departure)) {
+                return { status: 400, ...invalidRegistration([DEPARTED_ERROR]) };
+            }
+            if (await findDuplicateRegistration(fields.email, departure)) {
+                return {
+                    status: 409,
+                    message: "You have already registered for this departure. Use the link in your confirmation email to change it."
+                };
             }
-            return res.json({ data: row });
+            return { departure, booking: await insertRegistration(fields, departure) };
+        });
+
+        if (!result.booking) {
+            return res.status(result.status).json({ message: result.message, errors: result.errors });
         }
-    );
+        // The booking is saved either way; a template or queue problem only costs the emails.
+        // The manage link only goes out by email, to the address on the booking.
+        const { manageToken, ...booking } = result.booking;
+        queueRegistrationEmails(req, fields, result.departure, result.booking).catch((err) =>
+            console.error("Registration email queueing failed", err)
+        );
+        emitRegistrationEvent("registration.created", booking.id, { source: "public" });
+        return res.status(201).json({ message: "Saved", ...booking });
+    } catch (err) {
+        console.error("Registration insert failed", err);
+        return res.status(500).json({ message: "Failed to save registration." });
+    }
 });
 
-// Admin-only: update a registration
-app.put("/api/admin/registrations/:id", isAdmin, (req, res) => {
-    const id = Number(req.params.id);
-    if (!Number.isInteger(id)) {
-        return res.status(400).json({ message: "Invalid id." });
+// Fields a traveler may change through their manage link; the rest of the booking stays as
+// it is and the merged result goes through validateRegistration like a new booking
+const SELF_SERVICE_FIELDS = ["departureId", "persons", "phone", "phoneCountry", "message"];
+const SELF_SERVICE_LOCKED_STATUSES = ["cancelled", "no-show"];
+
+// The registration behind a manage link, or { status, message } when the link is unusable
+const findManagedRegistration = async (token) => {
+    const row = await dbGet(
+        `SELECT registrations.*, tours.slug AS tour_slug, tours.name AS tour_name
+         FROM registrations
+         LEFT JOIN departures ON departures.id = registrations.departure_id
+         LEFT JOIN tours ON tours.id = departures.tour_id
+         WHERE registrations.manage_token_hash = ? AND registrations.deleted_at IS NULL`,
+        [hashToken(String(token))]
+    );
+    if (!row) {
+        return { status: 404, message: "This link is not valid." };
     }
+    if (!row.manage_expires_at || row.manage_expires_at <= new Date().toISOString()) {
+        return { status: 410, message: "This link has expired. Reply to your confirmation email for help." };
+    }
+    return { registration: row };
+};
 
-    const error = validateRegistration(req.body);
-    if (error) {
-        return res.status(400).json({ message: error });
+// What the manage page shows: the traveler's own booking and whether it can still change
+const managedBookingView = async (row) => ({
+    reference: bookingReference(row.id),
+    fullName: row.full_name,
+    email: row.email,
+    phone: row.phone,
+    phoneCountry: row.phone_country,
+    city: row.city,
+    persons: row.persons,
+    message: row.message,
+    status: row.status,
+    seatStatus: row.seat_status,
+    waitlistPosition: row.seat_status === "waitlisted" ? await waitlistPosition(row.id) : null,
+    departureId: row.departure_id,
+    departsAt: row.travel_time,
+    tour: { slug: row.tour_slug, name: row.tour_name || row.destination },
+    expiresAt: row.manage_expires_at,
+    editable: !SELF_SERVICE_LOCKED_STATUSES.includes(row.status)
+});
+
+// Public API: a traveler's own booking, found by the token in their manage link
+app.get("/api/registrations/manage/:token", async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        const found = await findManagedRegistration(req.params.token);
+        if (!found.registration) {
+            return res.status(found.status).json({ message: found.message });
+        }
+        return res.json({ data: await managedBookingView(found.registration) });
+    } catch (err) {
+        console.error("Managed booking fetch failed", err);
+        return res.status(500).json({ message: "Failed to load your booking." });
     }
+});
 
-    const {
-        fullName,
-        sex,
-        phone,
-        email,
-        destination,
-        city,
-        persons,
-        travelTime,
-        message
-    } = req.body;
+// Public API: the traveler changes their departure, party size, phone or message
+app.patch("/api/registrations/manage/:token", async (req, res) => {
+    const body = req.body || {};
+    const updates = Object.fromEntries(SELF_SERVICE_FIELDS.filter((field) => field in body).map((field) => [field, body[field]]));
+    if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ message: `Send at least one of: ${SELF_SERVICE_FIELDS.join(", ")}.` });
+    }
 
+    try {
+        const outcome = await withTransaction(async () => {
+            const found = await findManagedRegistration(req.params.token);
+            if (!found.registration) {
+                return found;
+            }
+            const existing = found.registration;
+            if (SELF_SERVICE_LOCKED_STATUSES.includes(existing.status)) {
+                return { status: 409, message: `This booking is ${existing.status} and can no longer be changed.` };
+            }
+
+            const payload = {
+                fullName: existing.full_name,
+                sex: existing.sex,
+                phone: existing.phone,
+                phoneCountry: existing.phone_country,
+                email: existing.email,
+                departureId: existing.departure_id,
+                city: existing.city,
+                persons: existing.persons,
+                message: existing.message,
+                ...updates
+            };
+            const errors = validateRegistration(payload);
+            if (errors.length > 0) {
+                return { status: 400, ...invalidRegistration(errors) };
+            }
+            const departure = await findDeparture(payload.departureId);
+            if (!departure || departure.tour_slug !== existing.tour_slug) {
+                return {
+                    status: 400,
+                    ...invalidRegistration([
+                        { field: "departureId", code: "not_found", message: "Please choose a departure of the same tour." }
+                    ])
+                };
+            }
+            if (departure.id !== existing.departure_id && hasDeparted(departure)) {
+                return { status: 400, ...invalidRegistration([DEPARTED_ERROR]) };
+            }
+
+            // Unlike an admin edit, a traveler never trades held seats for a waitlist place
+            if (existing.seat_status === "confirmed") {
+                const taken = await confirmedSeats(departure.id, existing.id);
+                if (taken + Number(payload.persons) > departure.capacity) {
+                    return {
+                        status: 409,
+                        message: "There aren't enough seats left on that departure. Choose another date or fewer travelers."
+                    };
+                }
+            }
+
+            const updated = await updateRegistration(existing, payload, departure);
+            const changes = diffRows(existing, updated, AUDITED_REGISTRATION_FIELDS);
+            if (Object.keys(changes).length > 0) {
+                // The message itself stays out of the note; the audit entry has the full diff
+                const summary = Object.entries(changes)
+                    .filter(([field]) => field !== "departure_id")
+                    .map(([field, change]) =>
+                        field === "message"
+                            ? "message updated"
+                            : `${field.replace(/_/g, " ")}: ${change.before} → ${change.after}`
+                    )
+                    .join("; ");
+                await recordRegistrationEvent(existing.id, existing.status, existing.status, null, `Changed by the traveler (${summary})`);
+            }
+            return { registration: { ...updated, tour_slug: departure.tour_slug, tour_name: departure.tour_name }, changes };
+        });
+
+        if (!outcome.registration) {
+            return res.status(outcome.status).json({ message: outcome.message, errors: outcome.errors });
+        }
+        if (Object.keys(outcome.changes).length > 0) {
+            await audit(req, "registration.self-update", {
+                adminId: null,
+                username: null,
+                targetType: "registration",
+                targetId: outcome.registration.id,
+                details: { changes: outcome.changes }
+            });
+            emitRegistrationEvent("registration.updated", outcome.registration.id, { source: "traveler", changes: outcome.changes });
+        }
+        return res.json({ message: "Updated", data: await managedBookingView(outcome.registration) });
+    } catch (err) {
+        console.error("Managed booking update failed", err);
+        return res.status(500).json({ message: "Failed to update your booking." });
+    }
+});
+
+// Public API: the traveler cancels their booking, releasing the seats to the waitlist
+app.delete("/api/registrations/manage/:token", async (req, res) => {
+    try {
+        const outcome = await withTransaction(async () => {
+            const found = await findManagedRegistration(req.params.token);
+            if (!found.registration) {
+                return found;
+            }
+            const { id, status } = found.registration;
+            if (SELF_SERVICE_LOCKED_STATUSES.includes(status)) {
+                return { status: 409, message: `This booking is ${status} and can no longer be changed.` };
+            }
+            const refusal = await changeRegistrationStatus(id, "cancelled", null, "Cancelled by the traveler");
+            return refusal || found;
+        });
+        if (!outcome.registration) {
+            return res.status(outcome.status).json({ message: outcome.message });
+        }
+        await audit(req, "registration.self-cancel", {
+            adminId: null,
+            username: null,
+            targetType: "registration",
+            targetId: outcome.registration.id
+        });
+        emitRegistrationEvent("registration.updated", outcome.registration.id, {
+            source: "traveler",
+            changes: { status: { before: outcome.registration.status, after: "cancelled" } }
+        });
+        return res.json({ message: "Cancelled" });
+    } catch (err) {
+        console.error("Managed booking cancel failed", err);
+        return res.status(500).json({ message: "Failed to cancel your booking." });
+    }
+});
+
+// Calendar feeds list one event per departure (with everyone booked on it) or per booking
+const CALENDAR_FEED_MODES = ["departures", "registrations"];
+
+// Departures stay in the feed until a day after they leave, whatever the tour's time zone
+const CALENDAR_FEED_GRACE_MS = 24 * 60 * 60 * 1000;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+// One line per booking for a guide: name, party size and how to reach them
+const travelerLine = (row) =>
+    [
+        `${row.full_name} (${plural(row.persons, "person")})`,
+        formatInternational(row.phone, row.phone_country),
+        row.email,
+        row.seat_status === "waitlisted" ? "waitlisted" : ""
+    ]
+        .filter(Boolean)
+        .join(", ");
+
+// Events for a feed: upcoming departures of its tour (or all tours) and their active bookings
+const calendarFeedEvents = async (feed, host) => {
+    const tourClause = feed.tour_id ? "AND tours.id = ?" : "";
+    const tourParams = feed.tour_id ? [feed.tour_id] : [];
+    const since = toLocalDateTime(new Date(Date.now() - CALENDAR_FEED_GRACE_MS));
+    const departures = await dbAll(
+        `SELECT departures.id, departures.departs_at, departures.capacity, tours.name AS tour_name, tours.timezone
+         FROM departures JOIN tours ON tours.id = departures.tour_id
+         WHERE departures.departs_at >= ? ${tourClause}
+         ORDER BY departures.departs_at, departures.id`,
+        [since, ...tourParams]
+    );
+    const bookings = await dbAll(
+        `SELECT registrations.id, full_name, phone, phone_country, email, persons, message, seat_status,
+                departure_id, version
+         FROM registrations JOIN departures ON departures.id = registrations.departure_id
+         JOIN tours ON tours.id = departures.tour_id
+         WHERE departures.departs_at >= ? ${tourClause}
+           AND registrations.status NOT IN ('cancelled', 'no-show') AND registrations.seat_status != 'cancelled'
+           AND registrations.deleted_at IS NULL
+         ORDER BY registrations.created_at, registrations.id`,
+        [since, ...tourParams]
+    );
+
+    if (feed.mode === "registrations") {
+        const byId = new Map(departures.map((departure) => [departure.id, departure]));
+        return bookings.map((booking) => {
+            const departure = byId.get(booking.departure_id);
+            return {
+                uid: `registration-${booking.id}@${host}`,
+                start: zonedTimeToUtc(departure.departs_at, departure.timezone),
+                sequence: booking.version - 1,
+                summary: `${departure.tour_name}: ${booking.full_name} (${plural(booking.persons, "person")})`,
+                location: departure.tour_name,
+                description: [travelerLine(booking), booking.message].filter(Boolean).join("\n\n")
+            };
+        });
+    }
+
+    return departures.map((departure) => {
+        const booked = bookings.filter((booking) => booking.departure_id === departure.id);
+        const seated = booked.filter((booking) => booking.seat_status === "confirmed");
+        const travelers = seated.reduce((sum, booking) => sum + booking.persons, 0);
+        return {
+            uid: `departure-${departure.id}@${host}`,
+            start: zonedTimeToUtc(departure.departs_at, departure.timezone),
+            summary: `${departure.tour_name}: ${plural(travelers, "traveler")}`,
+            location: departure.tour_name,
+            description: [
+                `${plural(travelers, "traveler")} in ${departure.capacity} seats.`,
+                ...booked.map(travelerLine)
+            ].join("\n")
+        };
+    });
+};
+
+// Public: a guide's calendar feed (RFC 5545), found by the secret token in its URL. Revoked or
+// unknown tokens get 404.
+app.get("/calendar/:token.ics", async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        const feed = await dbGet(
+            `SELECT calendar_feeds.*, tours.slug AS tour_slug FROM calendar_feeds
+             LEFT JOIN tours ON tours.id = calendar_feeds.tour_id
+             WHERE token_hash = ? AND revoked_at IS NULL`,
+            [hashToken(String(req.params.token))]
+        );
+        if (!feed) {
+            return res.status(404).type("text/plain").send("Not found.");
+        }
+        const events = await calendarFeedEvents(feed, new URL(publicUrl(req)).hostname);
+        await dbRun("UPDATE calendar_feeds SET last_used_at = ? WHERE id = ?", [new Date().toISOString(), feed.id]);
+        res.type("text/calendar; charset=utf-8");
+        res.set("Content-Disposition", `inline; filename="wanderlust-${feed.tour_slug || "all"}.ics"`);
+        return res.send(buildCalendar({ name: `Wanderlust: ${feed.label}`, events }));
+    } catch (err) {
+        console.error("Calendar feed failed", err);
+        return res.status(500).type("text/plain").send("Failed to build calendar.");
+    }
+});
+
+const LOGIN_THROTTLE = loadThrottlePolicy();
+
+// Count a login attempt against the client IP and the username before the password is checked,
+// so parallel guesses can't slip past the limit. Returns blockedMs when either key is still
+// locked out, otherwise how long the client must wait if this attempt fails.
+const registerLoginAttempt = (ip, username) =>
+    withTransaction(async () => {
+        const now = Date.now();
+        const nowIso = new Date(now).toISOString();
+        // Forget keys that have been quiet for the whole failure window
+        await dbRun("DELETE FROM login_throttle WHERE last_failure_at < ? AND (locked_until IS NULL OR locked_until < ?)", [
+            new Date(now - LOGIN_THROTTLE.windowMs).toISOString(),
+            nowIso
+        ]);
+
+        const keys = [
+            ["ip", ip],
+            ["username", username.toLowerCase()]
+        ];
+        const rows = await Promise.all(
+            keys.map(([scope, key]) => dbGet("SELECT * FROM login_throttle WHERE scope = ? AND key = ?", [scope, key]))
+        );
+        const lockedUntil = Math.max(0, ...rows.map((row) => (row && row.locked_until ? Date.parse(row.locked_until) : 0)));
+        if (lockedUntil > now) {
+            return { blockedMs: lockedUntil - now, waitMs: 0, lockouts: [] };
+        }
+
+        let waitMs = 0;
+        const lockouts = [];
+        for (const [index, [scope, key]] of keys.entries()) {
+            const failures = (rows[index] ? rows[index].failures : 0) + 1;
+            const delay = throttleDelay(failures, LOGIN_THROTTLE, scope);
+            waitMs = Math.max(waitMs, delay);
+            if (failures === LOGIN_THROTTLE[scope].maxFailures) {
+                lockouts.push({ scope, failures });
+            }
+            await dbRun(
+                `INSERT INTO login_throttle (scope, key, failures, last_failure_at, locked_until) VALUES (?, ?, ?, ?, ?)
+                 ON CONFLICT (scope, key) DO UPDATE SET failures = excluded.failures,
+                    last_failure_at = excluded.last_failure_at, locked_until = excluded.locked_until`,
+                [scope, key, failures, nowIso, delay ? new Date(now + delay).toISOString() : null]
+            );
+        }
+        return { blockedMs: 0, waitMs, lockouts };
+    });
+
+// A successful login clears the username's failures and hands back the attempt counted
+// against the IP, so a typo or two from a shared office address doesn't add up
+const clearLoginAttempt = (ip, username) =>
+    withTransaction(async () => {
+        await dbRun("DELETE FROM login_throttle WHERE scope = 'username' AND key = ?", [username.toLowerCase()]);
+        const row = await dbGet("SELECT failures FROM login_throttle WHERE scope = 'ip' AND key = ?", [ip]);
+        if (!row) {
+            return;
+        }
+        const failures = row.failures - 1;
+        const delay = throttleDelay(failures, LOGIN_THROTTLE, "ip");
+        await dbRun("UPDATE login_throttle SET failures = ?, locked_until = ? WHERE scope = 'ip' AND key = ?", [
+            failures,
+            delay ? new Date(Date.now() + delay).toISOString() : null,
+            ip
+        ]);
+    });
+
+// Throttled clients get the same message as a wrong password, plus how long to wait
+const rejectLogin = (res, waitMs) => {
+    if (!waitMs) {
+        return res.status(401).json({ message: "Invalid credentials." });
+    }
+    const retryAfter = Math.ceil(waitMs / 1000);
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({ message: "Invalid credentials.", retryAfter });
+};
+
+// How long the second login step may take, and how many codes it may try
+const PENDING_LOGIN_MS = 1000 * 60 * 5;
+const PENDING_LOGIN_ATTEMPTS = 5;
+
+// Recovery codes and invite tokens are stored hashed so a leaked database can't be used to sign in
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Replace an admin's recovery codes and return the new plain-text codes (shown once)
+const replaceRecoveryCodes = async (adminId) => {
+    const codes = generateRecoveryCodes();
+    await withTransaction(async () => {
+        await dbRun("DELETE FROM admin_recovery_codes WHERE admin_id = ?", [adminId]);
+        for (const code of codes) {
+            await dbRun("INSERT INTO admin_recovery_codes (admin_id, code_hash) VALUES (?, ?)", [
+                adminId,
+                hashToken(normalizeRecoveryCode(code))
+            ]);
+        }
+    });
+    return codes;
+};
+
+// Check a second factor: six digits are an authenticator code, anything else a recovery code.
+// Accepted codes are burned (the TOTP step is remembered, the recovery code marked used).
+// Returns "totp", "recovery-code" or null.
+const checkSecondFactor = async (adminId, code) => {
+    const admin = await dbGet("SELECT totp_secret, totp_last_step FROM admins WHERE id = ? AND totp_enabled = 1", [adminId]);
+    if (!admin || !code) {
+        return null;
+    }
+    const value = String(code).replace(/\s/g, "");
+    if (/^\d{6}$/.test(value)) {
+        const step = verifyTotp(admin.totp_secret, value, { lastStep: admin.totp_last_step });
+        if (step === null) {
+            return null;
+        }
+        const result = await dbRun("UPDATE admins SET totp_last_step = ? WHERE id = ? AND totp_last_step < ?", [
+            step,
+            adminId,
+            step
+        ]);
+        return result.changes ? "totp" : null;
+    }
+    const result = await dbRun(
+        "UPDATE admin_recovery_codes SET used_at = ? WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL",
+        [new Date().toISOString(), adminId, hashToken(normalizeRecoveryCode(value))]
+    );
+    return result.changes ? "recovery-code" : null;
+};
+
+// Mark the session as signed in under a fresh session id and CSRF token, so neither can be
+// planted before login; sessionVersion lets a later password change sign it out, and the
+// device details feed the active sessions list. Resolves to the new CSRF token.
+const signIn = (req, res, admin) =>
+    new Promise((resolve, reject) => {
+        req.session.regenerate((err) => {
+            if (err) {
+                return reject(err);
+            }
+            req.session.adminId = admin.id;
+            req.session.username = admin.username;
+            req.session.sessionVersion = admin.session_version;
+            req.session.ip = req.ip;
+            req.session.userAgent = req.get("user-agent") || null;
+            req.session.signedInAt = new Date().toISOString();
+            return resolve(security.rotateCsrfToken(res));
+        });
+    });
+
+// Promise wrappers around the session store's per-admin helpers
+const listAdminSessions = (adminId) =>
+    new Promise((resolve, reject) => {
+        sessionStore.listForAdmin(adminId, (err, sessions) => (err ? reject(err) : resolve(sessions)));
+    });
+
+const destroyAdminSessions = (adminId, exceptSid) =>
+    new Promise((resolve, reject) => {
+        sessionStore.destroyForAdmin(adminId, exceptSid, (err) => (err ? reject(err) : resolve()));
+    });
+
+// Sessions are listed under a hash of their id, so the list never exposes a usable cookie value
+const publicSessionId = (sid) => hashToken(sid).slice(0, 16);
+
+// Admin login: verifies password hash and sets session. Unknown usernames are throttled
+// exactly like real ones so lockouts don't reveal which accounts exist. Accounts with
+// two-factor enabled only get a pending login here; POST /api/admin/login/totp finishes it.
+app.post("/api/admin/login", async (req, res) => {
+    const { username, password } = req.body || {};
+    if (!username || !password || typeof username !== "string" || typeof password !== "string") {
+        return res.status(400).json({ message: "Username and password required." });
+    }
+
+    try {
+        const attempt = await registerLoginAttempt(req.ip, username);
+        if (attempt.blockedMs) {
+            return rejectLogin(res, attempt.blockedMs);
+        }
+
+        const row = await dbGet(
+            "SELECT id, username, password_hash, disabled, totp_enabled, session_version FROM admins WHERE username = ?",
+            [username]
+        );
+        let reason = null;
+        if (!row) {
+            reason = "unknown-user";
+        } else if (row.disabled) {
+            // Disabled accounts and invites that were never accepted get the same answer as a bad password
+            reason = "disabled";
+        } else if (!row.password_hash) {
+            reason = "invite-pending";
+        } else if (!(await bcrypt.compare(password, row.password_hash))) {
+            reason = "bad-password";
+        }
+
+        if (reason) {
+            const adminId = row ? row.id : null;
+            await audit(req, "login.failure", { adminId, username, details: { reason } });
+            for (const lockout of attempt.lockouts) {
+                await audit(req, "login.lockout", { adminId, username, details: lockout });
+            }
+            return rejectLogin(res, attempt.waitMs);
+        }
+
+        // The attempt stays counted against the throttle until the second factor checks out
+        if (row.totp_enabled) {
+            req.session.pendingLogin = {
+                adminId: row.id,
+                username: row.username,
+                sessionVersion: row.session_version,
+                expiresAt: Date.now() + PENDING_LOGIN_MS,
+                attempts: 0
+            };
+            return res.json({ message: "Enter your authentication code.", twoFactorRequired: true });
+        }
+
+        await clearLoginAttempt(req.ip, username);
+        const csrfToken = await signIn(req, res, row);
+        audit(req, "login.success", { adminId: row.id, username: row.username });
+        return res.json({ message: "Logged in", csrfToken });
+    } catch (err) {
+        console.error("Admin login failed", err);
+        return res.status(500).json({ message: "Login failed." });
+    }
+});
+
+// Second login step: an authenticator or recovery code for the pending login
+app.post("/api/admin/login/totp", async (req, res) => {
+    const pending = req.session && req.session.pendingLogin;
+    if (!pending || pending.expiresAt < Date.now()) {
+        if (pending) {
+            delete req.session.pendingLogin;
+        }
+        return res.status(401).json({ message: "Your sign-in expired. Enter your password again." });
+    }
+
+    try {
+        const method = await checkSecondFactor(pending.adminId, (req.body || {}).code);
+        if (!method) {
+            pending.attempts += 1;
+            await audit(req, "login.failure", {
+                adminId: pending.adminId,
+                username: pending.username,
+                details: { reason: "bad-second-factor" }
+            });
+            if (pending.attempts >= PENDING_LOGIN_ATTEMPTS) {
+                delete req.session.pendingLogin;
+                return res.status(401).json({ message: "Too many invalid codes. Enter your password again." });
+            }
+            return res.status(400).json({ message: "Invalid code." });
+        }
+
+        delete req.session.pendingLogin;
+        await clearLoginAttempt(req.ip, pending.username);
+        const csrfToken = await signIn(req, res, {
+            id: pending.adminId,
+            username: pending.username,
+            session_version: pending.sessionVersion
+        });
+        audit(req, "login.success", { adminId: pending.adminId, username: pending.username, details: { method } });
+        return res.json({ message: "Logged in", csrfToken });
+    } catch (err) {
+        console.error("Second factor check failed", err);
+        return res.status(500).json({ message: "Login failed." });
+    }
+});
+
+// Admin logout: destroys session cookie
+app.post("/api/admin/logout", (req, res) => {
+    if (req.session && req.session.adminId) {
+        audit(req, "logout", { adminId: req.session.adminId, username: req.session.username });
+    }
+    req.session.destroy(() => {
+        res.json({ message: "Logged out" });
+    });
+});
+
+// Admin session check; the dashboard uses the permissions to hide actions the role can't perform
+app.get("/api/admin/me", requirePermission(), (req, res) => {
+    res.set("Cache-Control", "no-store");
+    return res.json({
+        username: req.admin.username,
+        email: req.admin.email,
+        role: req.admin.role,
+        permissions: permissionsFor(req.admin.role),
+        totpEnabled: Boolean(req.admin.totp_enabled),
+        totpRequired: TOTP_REQUIRED
+    });
+});
+
+// Two-factor status for the signed-in admin
+app.get("/api/admin/totp", requirePermission(), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        const { count } = await dbGet(
+            "SELECT COUNT(*) AS count FROM admin_recovery_codes WHERE admin_id = ? AND used_at IS NULL",
+            [req.admin.id]
+        );
+        return res.json({ enabled: Boolean(req.admin.totp_enabled), required: TOTP_REQUIRED, recoveryCodesLeft: count });
+    } catch (err) {
+        console.error("Two-factor status failed", err);
+        return res.status(500).json({ message: "Failed to load two-factor status." });
+    }
+});
+
+// Start enrollment: store a new secret (not yet enabled) and return it as an otpauth URI and QR code
+app.post("/api/admin/totp/setup", requirePermission(), async (req, res) => {
+    if (req.admin.totp_enabled) {
+        return res.status(409).json({ message: "Two-factor authentication is already enabled." });
+    }
+
+    try {
+        const secret = generateSecret();
+        const url = otpauthUrl(secret, req.admin.username, "Wanderlust Admin");
+        await dbRun("UPDATE admins SET totp_secret = ?, totp_last_step = -1 WHERE id = ?", [secret, req.admin.id]);
+        return res.json({ secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) });
+    } catch (err) {
+        console.error("Two-factor setup failed", err);
+        return res.status(500).json({ message: "Failed to start two-factor setup." });
+    }
+});
+
+// Finish enrollment with a code from the app; returns the recovery codes once
+app.post("/api/admin/totp/enable", requirePermission(), async (req, res) => {
+    if (req.admin.totp_enabled) {
+        return res.status(409).json({ message: "Two-factor authentication is already enabled." });
+    }
+
+    try {
+        const admin = await dbGet("SELECT totp_secret FROM admins WHERE id = ?", [req.admin.id]);
+        const step = admin.totp_secret ? verifyTotp(admin.totp_secret, String((req.body || {}).code || "")) : null;
+        if (step === null) {
+            return res.status(400).json({ message: "That code doesn't match. Check your device's clock and try again." });
+        }
+        await dbRun("UPDATE admins SET totp_enabled = 1, totp_last_step = ? WHERE id = ?", [step, req.admin.id]);
+        const recoveryCodes = await replaceRecoveryCodes(req.admin.id);
+        await audit(req, "totp.enable", { targetType: "admin", targetId: req.admin.id });
+        return res.json({ message: "Two-factor authentication enabled.", recoveryCodes });
+    } catch (err) {
+        console.error("Two-factor enable failed", err);
+        return res.status(500).json({ message: "Failed to enable two-factor authentication." });
+    }
+});
+
+// Issue a fresh set of recovery codes; needs a current code
+app.post("/api/admin/totp/recovery-codes", requirePermission(), async (req, res) => {
+    try {
+        if (!(await checkSecondFactor(req.admin.id, (req.body || {}).code))) {
+            return res.status(400).json({ message: "Invalid code." });
+        }
+        const recoveryCodes = await replaceRecoveryCodes(req.admin.id);
+        await audit(req, "totp.recovery-codes", { targetType: "admin", targetId: req.admin.id });
+        return res.json({ message: "New recovery codes issued.", recoveryCodes });
+    } catch (err) {
+        console.error("Recovery code refresh failed", err);
+        return res.status(500).json({ message: "Failed to issue recovery codes." });
+    }
+});
+
+// Turn two-factor off for the signed-in admin; needs a current code and isn't allowed when enforced
+app.post("/api/admin/totp/disable", requirePermission(), async (req, res) => {
+    if (TOTP_REQUIRED) {
+        return res.status(403).json({ message: "Two-factor authentication is required for every admin." });
+    }
+
+    try {
+        if (!(await checkSecondFactor(req.admin.id, (req.body || {}).code))) {
+            return res.status(400).json({ message: "Invalid code." });
+        }
+        await dbRun("UPDATE admins SET totp_enabled = 0, totp_secret = NULL WHERE id = ?", [req.admin.id]);
+        await dbRun("DELETE FROM admin_recovery_codes WHERE admin_id = ?", [req.admin.id]);
+        await audit(req, "totp.disable", { targetType: "admin", targetId: req.admin.id });
+        return res.json({ message: "Two-factor authentication disabled." });
+    } catch (err) {
+        console.error("Two-factor disable failed", err);
+        return res.status(500).json({ message: "Failed to disable two-factor authentication." });
+    }
+});
+
+// Change the signed-in admin's password. Other sessions for the account are signed out;
+// this one stays signed in.
+app.post("/api/admin/password", requirePermission(), async (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    if (typeof currentPassword !== "string" || !currentPassword) {
+        return res.status(400).json({ message: "Current password is required." });
+    }
+    const error = checkPasswordStrength(newPassword, { username: req.admin.username });
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+    if (newPassword === currentPassword) {
+        return res.status(400).json({ message: "Choose a password you aren't using now." });
+    }
+
+    try {
+        const row = await dbGet("SELECT password_hash FROM admins WHERE id = ?", [req.admin.id]);
+        if (!(await bcrypt.compare(currentPassword, row.password_hash))) {
+            await audit(req, "password.change.failure", { targetType: "admin", targetId: req.admin.id });
+            return res.status(400).json({ message: "Current password is incorrect." });
+        }
+        const passwordHash = await bcrypt.hash(newPassword, 10);
+        await dbRun("UPDATE admins SET password_hash = ?, session_version = session_version + 1 WHERE id = ?", [
+            passwordHash,
+            req.admin.id
+        ]);
+        req.session.sessionVersion = req.admin.session_version + 1;
+        await destroyAdminSessions(req.admin.id, req.sessionID);
+        await audit(req, "password.change", { targetType: "admin", targetId: req.admin.id });
+        return res.json({ message: "Password changed. Other sessions have been signed out." });
+    } catch (err) {
+        console.error("Password change failed", err);
+        return res.status(500).json({ message: "Failed to change password." });
+    }
+});
+
+// Set the signed-in admin's email, where password reset links are sent
+app.put("/api/admin/email", requirePermission(), async (req, res) => {
+    const email = String((req.body || {}).email || "").trim();
+    if (email && !adminEmailRegex.test(email)) {
+        return res.status(400).json({ message: "Please enter a valid email address." });
+    }
+
+    try {
+        await dbRun("UPDATE admins SET email = ? WHERE id = ?", [email || null, req.admin.id]);
+        await audit(req, "account.email", {
+            targetType: "admin",
+            targetId: req.admin.id,
+            details: { changes: diffRows({ email: req.admin.email }, { email: email || null }, ["email"]) }
+        });
+        return res.json({ message: email ? "Email saved." : "Email removed." });
+    } catch (err) {
+        console.error("Admin email update failed", err);
+        return res.status(500).json({ message: "Failed to save email." });
+    }
+});
+
+// The signed-in admin's active sessions, current one first
+app.get("/api/admin/sessions", requirePermission(), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        const sessions = await listAdminSessions(req.admin.id);
+        const data = sessions
+            .map(({ sid, sess, lastSeenAt }) => ({
+                id: publicSessionId(sid),
+                current: sid === req.sessionID,
+                ip: sess.ip || null,
+                userAgent: sess.userAgent || null,
+                signedInAt: sess.signedInAt || null,
+                lastSeenAt: new Date(lastSeenAt).toISOString()
+            }))
+            .sort((a, b) => b.current - a.current);
+        return res.json({ data });
+    } catch (err) {
+        console.error("Session list failed", err);
+        return res.status(500).json({ message: "Failed to load sessions." });
+    }
+});
+
+// Sign out one of the signed-in admin's other sessions
+app.delete("/api/admin/sessions/:id", requirePermission(), async (req, res) => {
+    try {
+        const sessions = await listAdminSessions(req.admin.id);
+        const target = sessions.find(({ sid }) => publicSessionId(sid) === req.params.id);
+        if (!target) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        if (target.sid === req.sessionID) {
+            return res.status(400).json({ message: "Use Log out to end this session." });
+        }
+        await new Promise((resolve, reject) => {
+            sessionStore.destroy(target.sid, (err) => (err ? reject(err) : resolve()));
+        });
+        await audit(req, "session.revoke", {
+            targetType: "admin",
+            targetId: req.admin.id,
+            details: { ip: target.sess.ip || null, userAgent: target.sess.userAgent || null }
+        });
+        return res.json({ message: "Session signed out." });
+    } catch (err) {
+        console.error("Session revoke failed", err);
+        return res.status(500).json({ message: "Failed to sign out session." });
+    }
+});
+
+// Log out everywhere: end every session of the signed-in admin, this one included
+app.delete("/api/admin/sessions", requirePermission(), async (req, res) => {
+    try {
+        await audit(req, "session.revoke-all", { targetType: "admin", targetId: req.admin.id });
+        await destroyAdminSessions(req.admin.id);
+        return req.session.destroy(() => res.json({ message: "Logged out everywhere." }));
+    } catch (err) {
+        console.error("Session revoke failed", err);
+        return res.status(500).json({ message: "Failed to log out everywhere." });
+    }
+});
+
+// Reset links are valid for an hour, and an account gets at most one every few minutes
+const PASSWORD_RESET_TTL_MS = 1000 * 60 * 60;
+const PASSWORD_RESET_INTERVAL_MS = 1000 * 60 * 5;
+const PASSWORD_RESET_SENT = "If that account has an email address, a reset link is on its way.";
+
+// Email a reset link to an account; runs after the response so timing doesn't reveal accounts
+const sendPasswordReset = async (req, admin) => {
+    const recent = await dbGet("SELECT id FROM password_resets WHERE admin_id = ? AND created_at > ?", [
+        admin.id,
+        new Date(Date.now() - PASSWORD_RESET_INTERVAL_MS).toISOString()
+    ]);
+    if (recent) {
+        return;
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const now = Date.now();
+    await dbRun("INSERT INTO password_resets (admin_id, token_hash, created_at, expires_at) VALUES (?, ?, ?, ?)", [
+        admin.id,
+        hashToken(token),
+        new Date(now).toISOString(),
+        new Date(now + PASSWORD_RESET_TTL_MS).toISOString()
+    ]);
+    await mailer.send({
+        to: admin.email,
+        subject: "Reset your Wanderlust admin password",
+        text: [
+            `Hi ${admin.username},`,
+            "",
+            "Someone asked to reset the password for your Wanderlust admin account.",
+            "Open this link within an hour to choose a new password:",
+            "",
+            `${publicUrl(req)}/admin.html?reset=${token}`,
+            "",
+            "If this wasn't you, ignore this email; your password stays the same."
+        ].join("\n")
+    });
+    await audit(req, "password.reset.request", {
+        adminId: admin.id,
+        username: admin.username,
+        targetType: "admin",
+        targetId: admin.id
+    });
+};
+
+// Public: request a reset link by username or email. The answer is the same whether or not
+// the account exists.
+app.post("/api/admin/password/forgot", (req, res) => {
+    const login = String((req.body || {}).login || "").trim();
+    if (!login) {
+        return res.status(400).json({ message: "Enter your username or email." });
+    }
+
+    res.json({ message: PASSWORD_RESET_SENT });
+    dbGet(
+        `SELECT id, username, email FROM admins
+         WHERE (username = ? OR email = ? COLLATE NOCASE) AND email IS NOT NULL AND disabled = 0 AND password_hash <> ''`,
+        [login, login]
+    )
+        .then((admin) => admin && sendPasswordReset(req, admin))
+        .catch((err) => console.error("Password reset email failed", err));
+});
+
+// Look up the account a reset token belongs to, if it is unused and unexpired
+const findPasswordReset = (token) =>
+    dbGet(
+        `SELECT password_resets.id, admins.id AS admin_id, admins.username FROM password_resets
+         JOIN admins ON admins.id = password_resets.admin_id
+         WHERE password_resets.token_hash = ? AND password_resets.used_at IS NULL
+           AND password_resets.expires_at > ? AND admins.disabled = 0`,
+        [hashToken(String(token)), new Date().toISOString()]
+    );
+
+// Public: check a reset link before showing the new-password form
+app.get("/api/admin/password/reset/:token", async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        const reset = await findPasswordReset(req.params.token);
+        if (!reset) {
+            return res.status(404).json({ message: "This reset link is invalid or has expired." });
+        }
+        return res.json({ username: reset.username });
+    } catch (err) {
+        console.error("Password reset lookup failed", err);
+        return res.status(500).json({ message: "Failed to check reset link." });
+    }
+});
+
+// Public: choose a new password with a reset token. The token is burned, any other
+// outstanding tokens are dropped, and every session for the account is signed out.
+app.post("/api/admin/password/reset/:token", async (req, res) => {
+    try {
+        const reset = await findPasswordReset(req.params.token);
+        if (!reset) {
+            return res.status(404).json({ message: "This reset link is invalid or has expired." });
+        }
+        const error = checkPasswordStrength((req.body || {}).password, { username: reset.username });
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const passwordHash = await bcrypt.hash(req.body.password, 10);
+        const used = await withTransaction(async () => {
+            const result = await dbRun("UPDATE password_resets SET used_at = ? WHERE id = ? AND used_at IS NULL", [
+                new Date().toISOString(),
+                reset.id
+            ]);
+            if (!result.changes) {
+                return false;
+            }
+            await dbRun("DELETE FROM password_resets WHERE admin_id = ? AND used_at IS NULL", [reset.admin_id]);
+            await dbRun("UPDATE admins SET password_hash = ?, session_version = session_version + 1 WHERE id = ?", [
+                passwordHash,
+                reset.admin_id
+            ]);
+            await dbRun("DELETE FROM login_throttle WHERE scope = 'username' AND key = ?", [reset.username.toLowerCase()]);
+            return true;
+        });
+        if (!used) {
+            return res.status(404).json({ message: "This reset link is invalid or has expired." });
+        }
+        await destroyAdminSessions(reset.admin_id);
+        await audit(req, "password.reset", {
+            adminId: reset.admin_id,
+            username: reset.username,
+            targetType: "admin",
+            targetId: reset.admin_id
+        });
+        return res.json({ message: "Password reset. You can now sign in.", username: reset.username });
+    } catch (err) {
+        console.error("Password reset failed", err);
+        return res.status(500).json({ message: "Failed to reset password." });
+    }
+});
+
+// Admin-only: list registrations a page at a time with filters, sorting and search
+app.get("/api/admin/registrations", requirePermission("registrations.read"), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+
+    const filters = buildRegistrationFilters(req.query);
+    if (filters.error) {
+        return res.status(400).json({ message: filters.error });
+    }
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 25, 1), 100);
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+    // Waitlist positions are ranked over the whole table before filters narrow it down
+    const ranked = `WITH ranked AS (SELECT ${REGISTRATION_COLUMNS} FROM registrations)`;
+
+    try {
+        const rows = await dbAll(
+            `${ranked} SELECT * FROM ranked ${filters.seatWhere} ${buildRegistrationOrder(req.query)} LIMIT ? OFFSET ?`,
+            [...filters.seatParams, limit, (page - 1) * limit]
+        );
+        const groups = await dbAll(
+            `${ranked} SELECT seat_status, COUNT(*) AS count FROM ranked ${filters.where} GROUP BY seat_status`,
+            filters.params
+        );
+        const counts = Object.fromEntries(SEAT_STATUSES.map((seatStatus) => [seatStatus, 0]));
+        groups.forEach((group) => {
+            counts[group.seat_status] = group.count;
+        });
+        const total = req.query.seatStatus
+            ? counts[req.query.seatStatus]
+            : Object.values(counts).reduce((sum, count) => sum + count, 0);
+        const trash = await dbGet("SELECT COUNT(*) AS count FROM registrations WHERE deleted_at IS NOT NULL");
+
+        return res.json({
+            data: rows,
+            page,
+            limit,
+            total,
+            totalPages: Math.max(Math.ceil(total / limit), 1),
+            counts,
+            trashCount: trash.count,
+            trashRetentionDays: trashPurge.retentionDays
+        });
+    } catch (err) {
+        console.error("Registrations fetch failed", err);
+        return res.status(500).json({ message: "Failed to fetch registrations." });
+    }
+});
+
+// Admin-only: booking analytics for the registrations matching the list filters (createdFrom and
+// createdTo pick the date range): counts and persons per destination and city, submissions per
+// day and week, and upcoming travel per month. Only confirmed seats count unless seatStatus asks
+// for waitlisted, cancelled or "all" bookings.
+app.get("/api/admin/stats", requirePermission("registrations.read"), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+
+    const seatStatus = req.query.seatStatus || "confirmed";
+    const filters = buildRegistrationFilters({ ...req.query, seatStatus: seatStatus === "all" ? "" : seatStatus });
+    if (filters.error) {
+        return res.status(400).json({ message: filters.error });
+    }
+    const totalsOf = "COUNT(*) AS registrations, COALESCE(SUM(persons), 0) AS persons";
+    const from = `FROM registrations ${filters.seatWhere}`;
+    const series = (unit, column, extra = "", extraParams = []) =>
+        dbAll(
+            `SELECT ${PERIOD_EXPRESSIONS[unit](column)} AS period, ${totalsOf} ${from} ${extra}
+             GROUP BY period ORDER BY period`,
+            [...filters.seatParams, ...extraParams]
+        ).then((rows) => fillPeriods(rows, unit));
+
+    try {
+        const totals = await dbGet(`SELECT ${totalsOf} ${from}`, filters.seatParams);
+        const destinations = await dbAll(
+            `SELECT destination, ${totalsOf} ${from} GROUP BY destination ORDER BY persons DESC, destination`,
+            filters.seatParams
+        );
+        // Cities are typed in by travelers, so "paris" and "Paris " count as one
+        const cities = await dbAll(
+            `SELECT MIN(TRIM(city)) AS city, ${totalsOf} ${from}
+             GROUP BY TRIM(city) COLLATE NOCASE ORDER BY persons DESC, city`,
+            filters.seatParams
+        );
+        const daily = await series("day", "created_at");
+        const weekly = await series("week", "created_at");
+        const upcoming = await series(
+            "month",
+            "travel_time",
+            filters.seatWhere ? "AND travel_time >= ?" : "WHERE travel_time >= ?",
+            [toLocalDateTime(new Date())]
+        );
+        return res.json({ seatStatus, totals, destinations, cities, daily, weekly, upcoming });
+    } catch (err) {
+        console.error("Stats fetch failed", err);
+        return res.status(500).json({ message: "Failed to fetch statistics." });
+    }
+});
+
+// Admin-only: download every registration matching the list filters as CSV, JSON or XLSX.
+// Rows are read in batches and written as they arrive so large exports never sit in memory.
+app.get("/api/admin/registrations/export", requirePermission("registrations.read"), async (req, res) => {
+    const format = String(req.query.format || "csv");
+    const writeExport = EXPORT_WRITERS[format];
+    if (!writeExport) {
+        return res.status(400).json({ message: "Format must be csv, json or xlsx." });
+    }
+    const filters = buildRegistrationFilters(req.query);
+    if (filters.error) {
+        return res.status(400).json({ message: filters.error });
+    }
+
+    const batchSize = 500;
+    const sql = `WITH ranked AS (SELECT ${REGISTRATION_COLUMNS} FROM registrations)
+        SELECT * FROM ranked ${filters.seatWhere} ${buildRegistrationOrder(req.query)} LIMIT ? OFFSET ?`;
+    async function* fetchBatches() {
+        for (let offset = 0; ; offset += batchSize) {
+            const rows = await dbAll(sql, [...filters.seatParams, batchSize, offset]);
+            if (rows.length) {
+                yield rows;
+            }
+            if (rows.length < batchSize) {
+                return;
+            }
+        }
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set("Cache-Control", "no-store");
+    res.set("Content-Type", CONTENT_TYPES[format]);
+    res.attachment(`registrations-${stamp}.${format}`);
+
+    await audit(req, "registration.export", {
+        targetType: "registration",
+        details: { format, filters: req.query }
+    });
+
+    try {
+        await writeExport(res, fetchBatches());
+    } catch (err) {
+        console.error("Registration export failed", err);
+        // Headers are already on the wire once streaming starts; cut the download short instead
+        if (res.headersSent) {
+            res.destroy(err);
+        } else {
+            res.status(500).json({ message: "Failed to export registrations." });
+        }
+    }
+});
+
+// Spreadsheet headers accepted by the import, normalised to lowercase letters and digits.
+// Covers our own export headers and the payload field names used by the public form.
+const IMPORT_HEADERS = {
+    fullname: "fullName",
+    name: "fullName",
+    sex: "sex",
+    phone: "phone",
+    phonecountry: "phoneCountry",
+    country: "phoneCountry",
+    email: "email",
+    departureid: "departureId",
+    destination: "destination",
+    tour: "destination",
+    city: "city",
+    persons: "persons",
+    traveltime: "travelTime",
+    message: "message"
+};
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Find the departure an import row points at, by id or by tour name/slug plus departure time
+const resolveImportDeparture = (row) => {
+    if (row.departureId) {
+        return findDeparture(row.departureId);
+    }
+    if (!row.destination || !row.travelTime) {
+        return Promise.resolve(null);
+    }
+    // Spreadsheets often write "2027-01-02 09:00" or add seconds; compare as YYYY-MM-DDTHH:mm
+    const departsAt = row.travelTime.trim().replace(" ", "T").slice(0, 16);
+    return dbGet(
+        `SELECT departures.id, departures.departs_at, departures.capacity, departures.price_cents,
+                tours.id AS tour_id, tours.slug AS tour_slug, tours.name AS tour_name
+         FROM departures
+         JOIN tours ON tours.id = departures.tour_id
+         WHERE (tours.name = ? COLLATE NOCASE OR tours.slug = ? COLLATE NOCASE) AND departures.departs_at = ?`,
+        [row.destination.trim(), row.destination.trim(), departsAt]
+    );
+};
+
+// Validate every CSV row and either report what would happen (dry run) or insert the valid
+// rows. Seat statuses in a dry run account for earlier rows in the same file.
+const importRegistrations = async (records, commit, adminId) => {
+    const [headers, ...lines] = records;
+    const fields = headers.map((header) => IMPORT_HEADERS[header.toLowerCase().replace(/[^a-z0-9]/g, "")]);
+    const pendingSeats = {};
+    const report = [];
+
+    for (const [index, values] of lines.entries()) {
+        const row = {};
+        fields.forEach((field, column) => {
+            if (field) {
+                row[field] = fromCsvField((values[column] || "").trim());
+            }
+        });
+        if (row.sex) {
+            row.sex = row.sex.toLowerCase();
+        }
+
+        const errors = [];
+        const departure = await resolveImportDeparture(row);
+        if (departure) {
+            row.departureId = departure.id;
+        } else if (row.departureId || row.destination) {
+            errors.push("Departure not found.");
+        }
+        // Skip the generic "choose a departure" message when the lookup already explained why
+        validateRegistration(row)
+            .filter((error) => !(errors.length && error.field === "departureId"))
+            .forEach((error) => errors.push(error.message));
+
+        // Line numbers match the spreadsheet: the header is line 1
+        const entry = { line: index + 2, fullName: row.fullName || "", errors, seatStatus: null, id: null };
+        if (!errors.length) {
+            if (commit) {
+                const booking = await insertRegistration(row, departure, { adminId, note: "Imported from CSV" });
+                entry.id = booking.id;
+                entry.seatStatus = booking.seatStatus;
+            } else {
+                const taken = (await confirmedSeats(departure.id)) + (pendingSeats[departure.id] || 0);
+                const fits = taken + Number(row.persons) <= departure.capacity;
+                entry.seatStatus = fits ? "confirmed" : "waitlisted";
+                if (fits) {
+                    pendingSeats[departure.id] = (pendingSeats[departure.id] || 0) + Number(row.persons);
+                }
+            }
+        }
+        report.push(entry);
+    }
+
+    const invalid = report.filter((entry) => entry.errors.length).length;
+    return {
+        mode: commit ? "commit" : "dry-run",
+        total: report.length,
+        valid: report.length - invalid,
+        invalid,
+        imported: commit ? report.length - invalid : 0,
+        rows: report
+    };
+};
+
+// Admin-only: import registrations from a CSV body (Content-Type: text/csv).
+// ?mode=dry-run (default) only reports; ?mode=commit inserts every valid row in one transaction.
+app.post(
+    "/api/admin/registrations/import",
+    requirePermission("registrations.write"),
+    express.text({ type: ["text/csv", "text/plain", "application/csv"], limit: "5mb" }),
+    async (req, res) => {
+        const mode = req.query.mode || "dry-run";
+        if (!["dry-run", "commit"].includes(mode)) {
+            return res.status(400).json({ message: "Mode must be dry-run or commit." });
+        }
+        if (typeof req.body !== "string" || !req.body.trim()) {
+            return res.status(400).json({ message: "Upload a CSV file." });
+        }
+
+        const records = parseCsv(req.body);
+        if (records.length < 2) {
+            return res.status(400).json({ message: "The CSV needs a header row and at least one registration." });
+        }
+        if (records.length - 1 > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ message: `Import at most ${MAX_IMPORT_ROWS} rows at a time.` });
+        }
+
+        try {
+            const result =
+                mode === "commit"
+                    ? await withTransaction(() => importRegistrations(records, true, req.session.adminId))
+                    : await importRegistrations(records, false, req.session.adminId);
+            if (mode === "commit") {
+                await audit(req, "registration.import", {
+                    targetType: "registration",
+                    details: {
+                        total: result.total,
+                        imported: result.imported,
+                        invalid: result.invalid,
+                        ids: result.rows.filter((row) => row.id).map((row) => row.id)
+                    }
+                });
+                for (const row of result.rows.filter((entry) => entry.id)) {
+                    await emitRegistrationEvent("registration.created", row.id, { source: "import" });
+                }
+            }
+            return res.status(mode === "commit" ? 201 : 200).json(result);
+        } catch (err) {
+            console.error("Registration import failed", err);
+            return res.status(500).json({ message: "Failed to import registrations." });
+        }
+    }
+);
+
+// Admin-only: fetch a single registration
+app.get("/api/admin/registrations/:id", requirePermission("registrations.read"), (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    res.set("Cache-Control", "no-store");
+    db.get(
+        `SELECT * FROM (SELECT ${REGISTRATION_COLUMNS} FROM registrations) WHERE id = ?`,
+        [id],
+        (err, row) => {
+            if (err) {
+                console.error("Registration fetch failed", err);
+                return res.status(500).json({ message: "Failed to fetch registration." });
+            }
+            if (!row) {
+                return res.status(404).json({ message: "Not found." });
+            }
+            // Bookings in the trash have to be restored before they can move along the workflow
+            const allowed = row.deleted_at ? [] : STATUS_TRANSITIONS[row.status] || [];
+            return res.json({ data: { ...row, allowed_statuses: allowed } });
+        }
+    );
+});
+
+// Admin-only: update a registration. When the body carries the `version` the editor loaded,
+// a booking changed since then (by anyone, in any way) is refused with 409 and its current state.
+app.put("/api/admin/registrations/:id", requirePermission("registrations.write"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    const errors = validateRegistration(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json(invalidRegistration(errors));
+    }
+
+    try {
+        const outcome = await withTransaction(async () => {
+            const existing = await dbGet("SELECT * FROM registrations WHERE id = ?", [id]);
+            if (!existing) {
+                return { status: 404, message: "Not found." };
+            }
+            if (existing.deleted_at) {
+                return { status: 409, message: TRASHED_REGISTRATION_MESSAGE };
+            }
+            if (req.body.version !== undefined && Number(req.body.version) !== existing.version) {
+                return {
+                    status: 409,
+                    message: "Someone else changed this booking after you opened it. Load the latest version and make your changes again.",
+                    current: await dbGet(`SELECT * FROM (SELECT ${REGISTRATION_COLUMNS} FROM registrations) WHERE id = ?`, [id])
+                };
+            }
+            const departure = await findDeparture(req.body.departureId);
+            if (!departure) {
+                return {
+                    status: 400,
+                    ...invalidRegistration([{ field: "departureId", code: "not_found", message: "Selected departure does not exist." }])
+                };
+            }
+            const updated = await updateRegistration(existing, req.body, departure);
+            return { changes: diffRows(existing, updated, AUDITED_REGISTRATION_FIELDS), version: updated.version };
+        });
+
+        if (outcome.status) {
+            return res
+                .status(outcome.status)
+                .json({ message: outcome.message, errors: outcome.errors, current: outcome.current });
+        }
+        await audit(req, "registration.update", { targetType: "registration", targetId: id, details: { changes: outcome.changes } });
+        if (Object.keys(outcome.changes).length > 0) {
+            emitRegistrationEvent("registration.updated", id, { source: "admin", changes: outcome.changes });
+        }
+        return res.json({ message: "Updated", version: outcome.version });
+    } catch (err) {
+        console.error("Registration update failed", err);
+        return res.status(500).json({ message: "Failed to update registration." });
+    }
+});
+
+// Admin-only: move a registration to another workflow status
+app.post("/api/admin/registrations/:id/status", requirePermission("registrations.write"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    const { status, note } = req.body || {};
+    if (!REGISTRATION_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status must be one of: ${REGISTRATION_STATUSES.join(", ")}.` });
+    }
+    if (note !== undefined && String(note).length > 500) {
+        return res.status(400).json({ message: "Note must be 500 characters or fewer." });
+    }
+
+    try {
+        let previous = null;
+        const refusal = await withTransaction(async () => {
+            previous = await dbGet("SELECT status FROM registrations WHERE id = ?", [id]);
+            return changeRegistrationStatus(id, status, req.session.adminId, String(note || "").trim());
+        });
+        if (refusal) {
+            return res.status(refusal.status).json({ message: refusal.message });
+        }
+        await audit(req, "registration.status", {
+            targetType: "registration",
+            targetId: id,
+            details: { status, note: String(note || "").trim() }
+        });
+        emitRegistrationEvent("registration.updated", id, {
+            source: "admin",
+            changes: { status: { before: previous.status, after: status } }
+        });
+        return res.json({ message: "Updated", status });
+    } catch (err) {
+        console.error("Registration status change failed", err);
+        return res.status(500).json({ message: "Failed to change status." });
+    }
+});
+
+// Admin-only: status history of a registration, oldest first
+app.get("/api/admin/registrations/:id/history", requirePermission("registrations.read"), (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    res.set("Cache-Control", "no-store");
+    db.all(
+        `SELECT registration_events.id, registration_events.from_status, registration_events.to_status,
+                registration_events.note, registration_events.created_at, admins.username AS admin_username
+         FROM registration_events
+         LEFT JOIN admins ON admins.id = registration_events.admin_id
+         WHERE registration_events.registration_id = ?
+         ORDER BY registration_events.created_at, registration_events.id`,
+        [id],
+        (err, rows) => {
+            if (err) {
+                console.error("Registration history fetch failed", err);
+                return res.status(500).json({ message: "Failed to fetch history." });
+            }
+            return res.json({ data: rows });
+        }
+    );
+});
+
+// Move a registration to the trash and hand its seats to the waitlist. Must run inside
+// withTransaction. Returns the booking as it was, or null when no live booking has that id.
+const trashRegistration = async (id, adminId) => {
+    const existing = await dbGet("SELECT departure_id FROM registrations WHERE id = ? AND deleted_at IS NULL", [id]);
+    if (!existing) {
+        return null;
+    }
+    const snapshot = await registrationSnapshot(id);
+    await dbRun("UPDATE registrations SET deleted_at = ?, deleted_by = ? WHERE id = ?", [new Date().toISOString(), adminId, id]);
+    if (existing.departure_id) {
+        await promoteWaitlist(existing.departure_id);
+    }
+    return snapshot;
+};
+
+// Take a registration out of the trash. A confirmed booking whose seats were given to the
+// waitlist in the meantime goes back on the waitlist. Must run inside withTransaction. Returns
+// the restored booking, or null when no trashed booking has that id.
+const restoreRegistration = async (id) => {
+    const existing = await dbGet("SELECT * FROM registrations WHERE id = ? AND deleted_at IS NOT NULL", [id]);
+    if (!existing) {
+        return null;
+    }
+    let seatStatus = existing.seat_status;
+    const departure = existing.departure_id
+        ? await dbGet("SELECT capacity FROM departures WHERE id = ?", [existing.departure_id])
+        : null;
+    if (seatStatus === "confirmed" && departure) {
+        const available = departure.capacity - (await confirmedSeats(existing.departure_id));
+        if (existing.persons > available) {
+            seatStatus = "waitlisted";
+        }
+    }
+    await dbRun("UPDATE registrations SET deleted_at = NULL, deleted_by = NULL, seat_status = ? WHERE id = ?", [seatStatus, id]);
+    if (departure) {
+        await promoteWaitlist(existing.departure_id);
+    }
+    return registrationSnapshot(id);
+};
+
+// Delete a trashed registration for good, with its history, mail and webhook deliveries. Must run
+// inside withTransaction. Returns the row as it was, or null when no trashed booking has that id.
+const purgeRegistration = async (id) => {
+    const existing = await dbGet("SELECT * FROM registrations WHERE id = ? AND deleted_at IS NOT NULL", [id]);
+    if (!existing) {
+        return null;
+    }
+    await eraseRegistrations(dbRun, "id = ?", [id]);
+    return existing;
+};
+
+// Most registrations one bulk request may name
+const BULK_REGISTRATION_LIMIT = 500;
+
+// The distinct ids of a bulk request's { ids }, or null when they are missing or malformed
+const readBulkIds = (body) => {
+    const ids = body && body.ids;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > BULK_REGISTRATION_LIMIT || !ids.every(Number.isInteger)) {
+        return null;
+    }
+    return [...new Set(ids)];
+};
+
+// Run `change` for every id in one transaction. Returns the bookings it changed and the ids it
+// skipped because they don't exist or aren't in the state the action needs.
+const changeRegistrations = (ids, change) =>
+    withTransaction(async () => {
+        const changed = [];
+        const skipped = [];
+        for (const id of ids) {
+            const row = await change(id);
+            if (row) {
+                changed.push(row);
+            } else {
+                skipped.push(id);
+            }
+        }
+        return { changed, skipped };
+    });
+
+// Admin-only: move a registration to the trash and hand its seats to the waitlist
+app.delete("/api/admin/registrations/:id", requirePermission("registrations.write"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    try {
+        const snapshot = await withTransaction(() => trashRegistration(id, req.session.adminId));
+        if (!snapshot) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        await audit(req, "registration.delete", { targetType: "registration", targetId: id, details: { snapshot } });
+        emitRegistrationEvent("registration.deleted", id, { source: "admin", snapshot });
+        return res.json({ message: "Moved to the trash." });
+    } catch (err) {
+        console.error("Registration delete failed", err);
+        return res.status(500).json({ message: "Failed to delete registration." });
+    }
+});
+
+// Admin-only: move several registrations to the trash at once
+app.post("/api/admin/registrations/bulk/trash", requirePermission("registrations.write"), async (req, res) => {
+    const ids = readBulkIds(req.body);
+    if (!ids) {
+        return res.status(400).json({ message: `ids must list between 1 and ${BULK_REGISTRATION_LIMIT} registration ids.` });
+    }
+
+    try {
+        const { changed, skipped } = await changeRegistrations(ids, (id) => trashRegistration(id, req.session.adminId));
+        for (const snapshot of changed) {
+            await audit(req, "registration.delete", { targetType: "registration", targetId: snapshot.id, details: { snapshot } });
+            emitRegistrationEvent("registration.deleted", snapshot.id, { source: "admin", snapshot });
+        }
+        return res.json({
+            message: `Moved ${plural(changed.length, "booking")} to the trash.`,
+            ids: changed.map((row) => row.id),
+            skipped
+        });
+    } catch (err) {
+        console.error("Registration bulk delete failed", err);
+        return res.status(500).json({ message: "Failed to delete registrations." });
+    }
+});
+
+// Admin-only: bring registrations back from the trash. Webhook subscribers see them created again.
+app.post("/api/admin/registrations/bulk/restore", requirePermission("registrations.write"), async (req, res) => {
+    const ids = readBulkIds(req.body);
+    if (!ids) {
+        return res.status(400).json({ message: `ids must list between 1 and ${BULK_REGISTRATION_LIMIT} registration ids.` });
+    }
+
+    try {
+        const { changed, skipped } = await changeRegistrations(ids, restoreRegistration);
+        for (const registration of changed) {
+            await audit(req, "registration.restore", {
+                targetType: "registration",
+                targetId: registration.id,
+                details: { seatStatus: registration.seat_status }
+            });
+            emitRegistrationEvent("registration.created", registration.id, { source: "restore", snapshot: registration });
+        }
+        const waitlisted = changed.filter((row) => row.seat_status === "waitlisted").length;
+        const full = waitlisted ? ` ${waitlisted} joined the waitlist because the departure is full.` : "";
+        return res.json({
+            message: `Restored ${plural(changed.length, "booking")}.${full}`,
+            ids: changed.map((row) => row.id),
+            skipped
+        });
+    } catch (err) {
+        console.error("Registration restore failed", err);
+        return res.status(500).json({ message: "Failed to restore registrations." });
+    }
+});
+
+// Admin-only: delete trashed registrations for good, without waiting for the scheduled purge
+app.post("/api/admin/registrations/bulk/purge", requirePermission("registrations.write"), async (req, res) => {
+    const ids = readBulkIds(req.body);
+    if (!ids) {
+        return res.status(400).json({ message: `ids must list between 1 and ${BULK_REGISTRATION_LIMIT} registration ids.` });
+    }
+
+    try {
+        const { changed, skipped } = await changeRegistrations(ids, purgeRegistration);
+        // The audit entry keeps no personal details, or the purge would leave a copy of them behind
+        for (const row of changed) {
+            await audit(req, "registration.purge", {
+                targetType: "registration",
+                targetId: row.id,
+                details: { destination: row.destination, travelTime: row.travel_time }
+            });
+        }
+        return res.json({
+            message: `Deleted ${plural(changed.length, "booking")} for good.`,
+            ids: changed.map((row) => row.id),
+            skipped
+        });
+    } catch (err) {
+        console.error("Registration purge failed", err);
+        return res.status(500).json({ message: "Failed to delete registrations." });
+    }
+});
+
+// Admin-only: submissions held back as suspicious, newest first
+app.get("/api/admin/quarantine", requirePermission("registrations.read"), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        const rows = await dbAll(
+            `SELECT registration_quarantine.*, departures.departs_at, tours.name AS tour_name
+             FROM registration_quarantine
+             LEFT JOIN departures ON departures.id = json_extract(registration_quarantine.payload, '$.departureId')
+             LEFT JOIN tours ON tours.id = departures.tour_id
+             ORDER BY registration_quarantine.id DESC
+             LIMIT 500`
+        );
+        return res.json({
+            data: rows.map((row) => ({
+                id: row.id,
+                registration: JSON.parse(row.payload),
+                reasons: JSON.parse(row.reasons).map((reason) => SPAM_REASON_LABELS[reason] || reason),
+                tourName: row.tour_name,
+                departsAt: row.departs_at,
+                ip: row.ip,
+                userAgent: row.user_agent,
+                createdAt: row.created_at
+            }))
+        });
+    } catch (err) {
+        console.error("Quarantine fetch failed", err);
+        return res.status(500).json({ message: "Failed to fetch quarantine." });
+    }
+});
+
+// Admin-only: book a quarantined submission as if it had come through normally
+app.post("/api/admin/quarantine/:id/approve", requirePermission("registrations.write"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    try {
+        const result = await withTransaction(async () => {
+            const held = await dbGet("SELECT * FROM registration_quarantine WHERE id = ?", [id]);
+            if (!held) {
+                return { status: 404, message: "Not found." };
+            }
+            const fields = JSON.parse(held.payload);
+            const departure = await findDeparture(fields.departureId);
+            if (!departure) {
+                return { status: 409, message: "The departure this booking was for no longer exists." };
+            }
+            // The same checks a public booking gets; the submission stays in the quarantine
+            if (hasDeparted(departure)) {
+                return { status: 409, message: "The departure this booking was for has already left." };
+            }
+            if (await findDuplicateRegistration(fields.email, departure)) {
+                return { status: 409, message: "This traveler already has a booking for this departure." };
+            }
+            const booking = await insertRegistration(fields, departure, {
+                adminId: req.session.adminId,
+                note: "Approved from quarantine"
+            });
+            await dbRun("DELETE FROM registration_quarantine WHERE id = ?", [id]);
+            return { fields, departure, booking };
+        });
+
+        if (!result.booking) {
+            return res.status(result.status).json({ message: result.message });
+        }
+        queueRegistrationEmails(req, result.fields, result.departure, result.booking).catch((err) =>
+            console.error("Registration email queueing failed", err)
+        );
+        await audit(req, "registration.quarantine.approve", {
+            targetType: "registration",
+            targetId: result.booking.id,
+            details: { quarantineId: id }
+        });
+        emitRegistrationEvent("registration.created", result.booking.id, { source: "quarantine" });
+        return res.json({ message: "Approved", id: result.booking.id, seatStatus: result.booking.seatStatus });
+    } catch (err) {
+        console.error("Quarantine approve failed", err);
+        return res.status(500).json({ message: "Failed to approve registration." });
+    }
+});
+
+// Admin-only: throw away one quarantined submission
+app.delete("/api/admin/quarantine/:id", requirePermission("registrations.write"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    try {
+        const held = await dbGet("SELECT * FROM registration_quarantine WHERE id = ?", [id]);
+        if (!held) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        await dbRun("DELETE FROM registration_quarantine WHERE id = ?", [id]);
+        await audit(req, "registration.quarantine.discard", {
+            details: { quarantineId: id, registration: JSON.parse(held.payload), reasons: JSON.parse(held.reasons) }
+        });
+        return res.json({ message: "Discarded" });
+    } catch (err) {
+        console.error("Quarantine discard failed", err);
+        return res.status(500).json({ message: "Failed to discard registration." });
+    }
+});
+
+// Admin-only: empty the quarantine
+app.delete("/api/admin/quarantine", requirePermission("registrations.write"), async (req, res) => {
+    try {
+        const result = await dbRun("DELETE FROM registration_quarantine");
+        await audit(req, "registration.quarantine.discard", { details: { count: result.changes } });
+        return res.json({ message: "Discarded", count: result.changes });
+    } catch (err) {
+        console.error("Quarantine discard failed", err);
+        return res.status(500).json({ message: "Failed to empty quarantine." });
+    }
+});
+
+// Validate webhook endpoint fields sent by the admin webhooks tab
+const validateWebhook = (payload) => {
+    if (!payload) {
+        return "Missing webhook data.";
+    }
+    let url;
+    try {
+        url = new URL(String(payload.url || ""));
+    } catch (err) {
+        return "Enter the full URL of the receiver, e.g. https://crm.example.com/hooks/bookings.";
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+        return "Webhook URLs must use http or https.";
+    }
+    const { events } = payload;
+    if (!Array.isArray(events) || !events.length || events.some((event) => !WEBHOOK_EVENTS.includes(event))) {
+        return `Choose at least one event: ${WEBHOOK_EVENTS.join(", ")}.`;
+    }
+    if (payload.description !== undefined && String(payload.description).length > 200) {
+        return "Description must be 200 characters or fewer.";
+    }
+    return null;
+};
+
+// Webhook endpoint as the admin API returns it: subscribed events parsed, secret left out
+const webhookView = ({ secret, ...endpoint }) => ({
+    ...endpoint,
+    events: JSON.parse(endpoint.events),
+    active: Boolean(endpoint.active)
+});
+
+// Admin-only: webhook endpoints with their latest delivery, and the events they can subscribe to
+app.get("/api/admin/webhooks", requirePermission("webhooks.manage"), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        const endpoints = await dbAll(
+            `SELECT webhook_endpoints.*, admins.username AS created_by_username,
+                    (SELECT status FROM webhook_deliveries WHERE endpoint_id = webhook_endpoints.id
+                     ORDER BY id DESC LIMIT 1) AS last_delivery_status
+             FROM webhook_endpoints LEFT JOIN admins ON admins.id = webhook_endpoints.created_by
+             ORDER BY webhook_endpoints.id`
+        );
+        return res.json({ data: endpoints.map(webhookView), events: WEBHOOK_EVENTS });
+    } catch (err) {
+        console.error("Webhooks fetch failed", err);
+        return res.status(500).json({ message: "Failed to fetch webhooks." });
+    }
+});
+
+// Admin-only: register a webhook endpoint. The signing secret is returned this once.
+app.post("/api/admin/webhooks", requirePermission("webhooks.manage"), async (req, res) => {
+    const error = validateWebhook(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    const { url, events } = req.body;
+    const description = String(req.body.description || "").trim();
+    const secret = generateWebhookSecret();
+    try {
+        const result = await dbRun(
+            `INSERT INTO webhook_endpoints (url, description, secret, events, active, created_by, created_at)
+             VALUES (?, ?, ?, ?, 1, ?, ?)`,
+            [url, description, secret, JSON.stringify(events), req.session.adminId, new Date().toISOString()]
+        );
+        await audit(req, "webhook.create", { targetType: "webhook", targetId: result.lastID, details: { url, events } });
+        return res.status(201).json({ message: "Saved", id: result.lastID, secret });
+    } catch (err) {
+        console.error("Webhook insert failed", err);
+        return res.status(500).json({ message: "Failed to save webhook." });
+    }
+});
+
+// Admin-only: change a webhook's URL, description, events or whether it is active. Paused
+// endpoints get no new events; deliveries already queued wait until it is switched back on.
+app.put("/api/admin/webhooks/:id", requirePermission("webhooks.manage"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+    const error = validateWebhook(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    const { url, events } = req.body;
+    const active = req.body.active !== false;
+    try {
+        const result = await dbRun("UPDATE webhook_endpoints SET url = ?, description = ?, events = ?, active = ? WHERE id = ?", [
+            url,
+            String(req.body.description || "").trim(),
+            JSON.stringify(events),
+            active ? 1 : 0,
+            id
+        ]);
+        if (result.changes === 0) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        await audit(req, "webhook.update", { targetType: "webhook", targetId: id, details: { url, events, active } });
+        return res.json({ message: "Updated" });
+    } catch (err) {
+        console.error("Webhook update failed", err);
+        return res.status(500).json({ message: "Failed to update webhook." });
+    }
+});
+
+// Admin-only: remove a webhook endpoint together with its delivery log
+app.delete("/api/admin/webhooks/:id", requirePermission("webhooks.manage"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    try {
+        const deleted = await withTransaction(async () => {
+            const result = await dbRun("DELETE FROM webhook_endpoints WHERE id = ?", [id]);
+            if (result.changes > 0) {
+                await dbRun("DELETE FROM webhook_deliveries WHERE endpoint_id = ?", [id]);
+            }
+            return result.changes > 0;
+        });
+        if (!deleted) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        await audit(req, "webhook.delete", { targetType: "webhook", targetId: id });
+        return res.json({ message: "Deleted" });
+    } catch (err) {
+        console.error("Webhook delete failed", err);
+        return res.status(500).json({ message: "Failed to delete webhook." });
+    }
+});
+
+// Admin-only: send a "ping" event to one endpoint to check the receiver and its signature check
+app.post("/api/admin/webhooks/:id/ping", requirePermission("webhooks.manage"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    try {
+        if (!(await dbGet("SELECT id FROM webhook_endpoints WHERE id = ?", [id]))) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        const deliveryId = await webhooks.ping(id);
+        await audit(req, "webhook.ping", { targetType: "webhook", targetId: id, details: { deliveryId } });
+        return res.status(202).json({ message: "Queued", id: deliveryId });
+    } catch (err) {
+        console.error("Webhook ping failed", err);
+        return res.status(500).json({ message: "Failed to queue ping." });
+    }
+});
+
+// Admin-only: delivery log of one endpoint, newest first, with the receiver's status codes
+app.get("/api/admin/webhooks/:id/deliveries", requirePermission("webhooks.manage"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+    res.set("Cache-Control", "no-store");
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 25, 1), 100);
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+
+    try {
+        const rows = await dbAll(
+            `SELECT id, event_id, event, payload, status, attempts, next_attempt_at, response_status, response_body,
+                    last_error, created_at, delivered_at, redelivery_of
+             FROM webhook_deliveries WHERE endpoint_id = ? ORDER BY id DESC LIMIT ? OFFSET ?`,
+            [id, limit, (page - 1) * limit]
+        );
+        const { total } = await dbGet("SELECT COUNT(*) AS total FROM webhook_deliveries WHERE endpoint_id = ?", [id]);
+        return res.json({
+            data: rows.map((row) => ({ ...row, payload: JSON.parse(row.payload) })),
+            page,
+            limit,
+            total,
+            totalPages: Math.max(Math.ceil(total / limit), 1)
+        });
+    } catch (err) {
+        console.error("Webhook deliveries fetch failed", err);
+        return res.status(500).json({ message: "Failed to fetch deliveries." });
+    }
+});
+
+// Admin-only: send a logged delivery again (same event id and payload, fresh signature)
+app.post("/api/admin/webhook-deliveries/:id/redeliver", requirePermission("webhooks.manage"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    try {
+        const deliveryId = await webhooks.redeliver(id);
+        if (!deliveryId) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        await audit(req, "webhook.redeliver", { targetType: "webhook_delivery", targetId: id, details: { deliveryId } });
+        return res.status(202).json({ message: "Queued", id: deliveryId });
+    } catch (err) {
+        console.error("Webhook redelivery failed", err);
+        return res.status(500).json({ message: "Failed to queue redelivery." });
+    }
+});
+
+// Admin-only: calendar feeds, newest first. Tokens are only shown when a feed is created.
+app.get("/api/admin/calendar-feeds", requirePermission("registrations.read"), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        const feeds = await dbAll(
+            `SELECT calendar_feeds.id, label, mode, tour_id, tours.name AS tour_name, admins.username AS created_by,
+                    calendar_feeds.created_at, last_used_at, revoked_at
+             FROM calendar_feeds
+             LEFT JOIN tours ON tours.id = calendar_feeds.tour_id
+             LEFT JOIN admins ON admins.id = calendar_feeds.created_by
+             ORDER BY calendar_feeds.id DESC`
+        );
+        return res.json({ data: feeds });
+    } catch (err) {
+        console.error("Calendar feeds fetch failed", err);
+        return res.status(500).json({ message: "Failed to fetch calendar feeds." });
+    }
+});
+
+// Admin-only: create a calendar feed for one tour (tourId) or all of them and return its URL
+app.post("/api/admin/calendar-feeds", requirePermission("registrations.write"), async (req, res) => {
+    const label = String(req.body.label || "").trim();
+    const mode = req.body.mode || "departures";
+    const tourId = req.body.tourId ? Number(req.body.tourId) : null;
+    if (label.length < 2 || label.length > 80) {
+        return res.status(400).json({ message: "Label must be 2 to 80 characters." });
+    }
+    if (!CALENDAR_FEED_MODES.includes(mode)) {
+        return res.status(400).json({ message: "Mode must be departures or registrations." });
+    }
+
+    try {
+        if (tourId !== null && !(await dbGet("SELECT id FROM tours WHERE id = ?", [tourId]))) {
+            return res.status(400).json({ message: "Unknown tour." });
+        }
+        const token = crypto.randomBytes(32).toString("hex");
+        const result = await dbRun(
+            `INSERT INTO calendar_feeds (label, tour_id, mode, token_hash, created_by, created_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [label, tourId, mode, hashToken(token), req.session.adminId, new Date().toISOString()]
+        );
+        await audit(req, "calendar_feed.create", {
+            targetType: "calendar_feed",
+            targetId: result.lastID,
+            details: { label, tourId, mode }
+        });
+        return res.status(201).json({ message: "Saved", id: result.lastID, url: `${publicUrl(req)}/calendar/${token}.ics` });
+    } catch (err) {
+        console.error("Calendar feed create failed", err);
+        return res.status(500).json({ message: "Failed to create calendar feed." });
+    }
+});
+
+// Admin-only: revoke a calendar feed; its URL stops working at once
+app.delete("/api/admin/calendar-feeds/:id", requirePermission("registrations.write"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    try {
+        const result = await dbRun("UPDATE calendar_feeds SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL", [
+            new Date().toISOString(),
+            id
+        ]);
+        if (result.changes === 0) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        await audit(req, "calendar_feed.revoke", { targetType: "calendar_feed", targetId: id });
+        return res.json({ message: "Revoked" });
+    } catch (err) {
+        console.error("Calendar feed revoke failed", err);
+        return res.status(500).json({ message: "Failed to revoke calendar feed." });
+    }
+});
+
+// Admin-only: list tours with their departures
+app.get("/api/admin/tours", requirePermission("content.read"), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        const tours = await dbAll("SELECT id, slug, name, description, timezone, created_at FROM tours ORDER BY name");
+        const departures = await dbAll(
+            "SELECT id, tour_id, departs_at, capacity, price_cents, created_at FROM departures ORDER BY departs_at"
+        );
+        const data = tours.map((tour) => ({
+            ...tour,
+            departures: departures.filter((departure) => departure.tour_id === tour.id)
+        }));
+        return res.json({ data });
+    } catch (err) {
+        console.error("Tours fetch failed", err);
+        return res.status(500).json({ message: "Failed to fetch tours." });
+    }
+});
+
+// Admin-only: create a tour
+app.post("/api/admin/tours", requirePermission("content.write"), (req, res) => {
+    const error = validateTour(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    const { slug, name, description, timezone } = req.body;
     db.run(
-        `UPDATE registrations
-         SET full_name = ?, sex = ?, phone = ?, email = ?, destination = ?, city = ?, persons = ?, travel_time = ?, message = ?
-         WHERE id = ?`,
-        [
-            fullName,
-            sex,
-            phone,
-            email,
-            destination,
-            city,
-            Number(persons),
-            travelTime,
-            message || "",
+        "INSERT INTO tours (slug, name, description, timezone, created_at) VALUES (?, ?, ?, ?, ?)",
+        [slug, String(name).trim(), description || "", timezone || "UTC", new Date().toISOString()],
+        function insertCallback(err) {
+            if (err) {
+                if (err.code === "SQLITE_CONSTRAINT") {
+                    return res.status(409).json({ message: "A tour with that slug already exists." });
+                }
+                console.error("Tour insert failed", err);
+                return res.status(500).json({ message: "Failed to save tour." });
+            }
+            audit(req, "tour.create", { targetType: "tour", targetId: this.lastID, details: { slug, name, timezone } });
+            return res.status(201).json({ message: "Saved", id: this.lastID });
+        }
+    );
+});
+
+// Admin-only: update a tour and keep booked registrations in sync with its name. The time zone
+// is kept when the body leaves it out.
+app.put("/api/admin/tours/:id", requirePermission("content.write"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    const error = validateTour(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    const { slug, name, description, timezone } = req.body;
+    try {
+        const result = await dbRun(
+            "UPDATE tours SET slug = ?, name = ?, description = ?, timezone = COALESCE(?, timezone) WHERE id = ?",
+            [slug, String(name).trim(), description || "", timezone || null, id]
+        );
+        if (result.changes === 0) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        await dbRun(
+            `UPDATE registrations SET destination = ?
+             WHERE departure_id IN (SELECT id FROM departures WHERE tour_id = ?)`,
+            [String(name).trim(), id]
+        );
+        await audit(req, "tour.update", { targetType: "tour", targetId: id, details: { slug, name, description, timezone } });
+        return res.json({ message: "Updated" });
+    } catch (err) {
+        if (err.code === "SQLITE_CONSTRAINT") {
+            return res.status(409).json({ message: "A tour with that slug already exists." });
+        }
+        console.error("Tour update failed", err);
+        return res.status(500).json({ message: "Failed to update tour." });
+    }
+});
+
+// Admin-only: delete a tour that has no departures left
+app.delete("/api/admin/tours/:id", requirePermission("content.write"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    try {
+        const scheduled = await dbGet("SELECT COUNT(*) AS count FROM departures WHERE tour_id = ?", [id]);
+        if (scheduled.count > 0) {
+            return res.status(409).json({ message: "Delete this tour's departures first." });
+        }
+        const result = await dbRun("DELETE FROM tours WHERE id = ?", [id]);
+        if (result.changes === 0) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        // Articles about this tour stay online without a booking form
+        await dbRun("UPDATE articles SET tour_id = NULL WHERE tour_id = ?", [id]);
+        await dbRun("UPDATE calendar_feeds SET revoked_at = ? WHERE tour_id = ? AND revoked_at IS NULL", [
+            new Date().toISOString(),
             id
-        ],
+        ]);
+        await audit(req, "tour.delete", { targetType: "tour", targetId: id });
+        return res.json({ message: "Deleted" });
+    } catch (err) {
+        console.error("Tour delete failed", err);
+        return res.status(500).json({ message: "Failed to delete tour." });
+    }
+});
+
+// Admin-only: schedule a departure for a tour
+app.post("/api/admin/tours/:id/departures", requirePermission("content.write"), async (req, res) => {
+    const tourId = Number(req.params.id);
+    if (!Number.isInteger(tourId)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    const error = validateDeparture(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    const { departsAt, capacity, priceCents } = req.body;
+    try {
+        const tour = await dbGet("SELECT id FROM tours WHERE id = ?", [tourId]);
+        if (!tour) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        const result = await dbRun(
+            "INSERT INTO departures (tour_id, departs_at, capacity, price_cents, created_at) VALUES (?, ?, ?, ?, ?)",
+            [tourId, departsAt, Number(capacity), Number(priceCents), new Date().toISOString()]
+        );
+        await audit(req, "departure.create", { targetType: "departure", targetId: result.lastID, details: req.body });
+        return res.status(201).json({ message: "Saved", id: result.lastID });
+    } catch (err) {
+        console.error("Departure insert failed", err);
+        return res.status(500).json({ message: "Failed to save departure." });
+    }
+});
+
+// Admin-only: update a departure, the travel time and manage-link expiry of its registrations
+// and its waitlist
+app.put("/api/admin/departures/:id", requirePermission("content.write"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    const error = validateDeparture(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    const { departsAt, capacity, priceCents } = req.body;
+    try {
+        const found = await withTransaction(async () => {
+            const result = await dbRun(
+                "UPDATE departures SET departs_at = ?, capacity = ?, price_cents = ? WHERE id = ?",
+                [departsAt, Number(capacity), Number(priceCents), id]
+            );
+            if (result.changes === 0) {
+                return false;
+            }
+            // Manage links stay valid until the departure leaves, so they move with it
+            const tour = await dbGet(
+                "SELECT tours.timezone FROM departures JOIN tours ON tours.id = departures.tour_id WHERE departures.id = ?",
+                [id]
+            );
+            await dbRun("UPDATE registrations SET travel_time = ?, manage_expires_at = ? WHERE departure_id = ?", [
+                departsAt,
+                manageLinkExpiry({ departs_at: departsAt, timezone: tour.timezone }),
+                id
+            ]);
+            // Raising capacity opens seats for the waitlist; lowering it never bumps confirmed bookings
+            await promoteWaitlist(id);
+            return true;
+        });
+        if (!found) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        await audit(req, "departure.update", { targetType: "departure", targetId: id, details: req.body });
+        return res.json({ message: "Updated" });
+    } catch (err) {
+        console.error("Departure update failed", err);
+        return res.status(500).json({ message: "Failed to update departure." });
+    }
+});
+
+// Admin-only: delete a departure nobody has booked
+app.delete("/api/admin/departures/:id", requirePermission("content.write"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    try {
+        const booked = await dbGet("SELECT COUNT(*) AS count FROM registrations WHERE departure_id = ?", [id]);
+        if (booked.count > 0) {
+            return res.status(409).json({
+                message: "This departure has registrations (counting any in the trash) and cannot be deleted."
+            });
+        }
+        const result = await dbRun("DELETE FROM departures WHERE id = ?", [id]);
+        if (result.changes === 0) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        await audit(req, "departure.delete", { targetType: "departure", targetId: id });
+        return res.json({ message: "Deleted" });
+    } catch (err) {
+        console.error("Departure delete failed", err);
+        return res.status(500).json({ message: "Failed to delete departure." });
+    }
+});
+
+// Admin-only: list articles for the CMS
+app.get("/api/admin/articles", requirePermission("content.read"), (req, res) => {
+    res.set("Cache-Control", "no-store");
+    db.all(
+        `SELECT articles.id, articles.slug, articles.title, articles.nav_label, articles.tour_id,
+                articles.sort_order, articles.published, articles.updated_at, tours.name AS tour_name
+         FROM articles
+         LEFT JOIN tours ON tours.id = articles.tour_id
+         ORDER BY articles.sort_order, articles.id`,
+        [],
+        (err, rows) => {
+            if (err) {
+                console.error("Articles fetch failed", err);
+                return res.status(500).json({ message: "Failed to fetch articles." });
+            }
+            return res.json({ data: rows });
+        }
+    );
+});
+
+// Admin-only: fetch one article with all editable fields
+app.get("/api/admin/articles/:id", requirePermission("content.read"), (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    res.set("Cache-Control", "no-store");
+    db.get("SELECT * FROM articles WHERE id = ?", [id], (err, row) => {
+        if (err) {
+            console.error("Article fetch failed", err);
+            return res.status(500).json({ message: "Failed to fetch article." });
+        }
+        if (!row) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        return res.json({ data: { ...row, facts: parseFacts(row.facts) } });
+    });
+});
+
+// Admin-only: create an article (published or draft)
+app.post("/api/admin/articles", requirePermission("content.write"), (req, res) => {
+    const error = validateArticle(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    const now = new Date().toISOString();
+    db.run(
+        `INSERT INTO articles (${ARTICLE_FIELDS.join(", ")}, created_at, updated_at)
+         VALUES (${ARTICLE_FIELDS.map(() => "?").join(", ")}, ?, ?)`,
+        [...articleValues(req.body), now, now],
+        function insertCallback(err) {
+            if (err) {
+                if (err.code === "SQLITE_CONSTRAINT") {
+                    return res.status(409).json({ message: "An article with that slug already exists." });
+                }
+                console.error("Article insert failed", err);
+                return res.status(500).json({ message: "Failed to save article." });
+            }
+            audit(req, "article.create", { targetType: "article", targetId: this.lastID, details: { slug: req.body.slug } });
+            return res.status(201).json({ message: "Saved", id: this.lastID });
+        }
+    );
+});
+
+// Admin-only: update an article, including its published flag
+app.put("/api/admin/articles/:id", requirePermission("content.write"), (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    const error = validateArticle(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    db.run(
+        `UPDATE articles SET ${ARTICLE_FIELDS.map((field) => `${field} = ?`).join(", ")}, updated_at = ? WHERE id = ?`,
+        [...articleValues(req.body), new Date().toISOString(), id],
         function updateCallback(err) {
             if (err) {
-                console.error("Registration update failed", err);
-                return res.status(500).json({ message: "Failed to update registration." });
+                if (err.code === "SQLITE_CONSTRAINT") {
+                    return res.status(409).json({ message: "An article with that slug already exists." });
+                }
+                console.error("Article update failed", err);
+                return res.status(500).json({ message: "Failed to update article." });
             }
             if (this.changes === 0) {
                 return res.status(404).json({ message: "Not found." });
             }
+            audit(req, "article.update", { targetType: "article", targetId: id, details: { slug: req.body.slug } });
             return res.json({ message: "Updated" });
         }
     );
 });
 
-// Admin-only: delete a registration
-app.delete("/api/admin/registrations/:id", isAdmin, (req, res) => {
+// Admin-only: publish or unpublish an article without resending every field
+app.post("/api/admin/articles/:id/publish", requirePermission("content.write"), (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    const published = req.body && req.body.published === false ? 0 : 1;
+    db.run(
+        "UPDATE articles SET published = ?, updated_at = ? WHERE id = ?",
+        [published, new Date().toISOString(), id],
+        function publishCallback(err) {
+            if (err) {
+                console.error("Article publish failed", err);
+                return res.status(500).json({ message: "Failed to publish article." });
+            }
+            if (this.changes === 0) {
+                return res.status(404).json({ message: "Not found." });
+            }
+            audit(req, published ? "article.publish" : "article.unpublish", { targetType: "article", targetId: id });
+            return res.json({ message: published ? "Published" : "Unpublished" });
+        }
+    );
+});
+
+// Admin-only: delete an article
+app.delete("/api/admin/articles/:id", requirePermission("content.write"), (req, res) => {
     const id = Number(req.params.id);
     if (!Number.isInteger(id)) {
         return res.status(400).json({ message: "Invalid id." });
     }
 
-    db.run("DELETE FROM registrations WHERE id = ?", [id], function deleteCallback(err) {
+    db.run("DELETE FROM articles WHERE id = ?", [id], function deleteCallback(err) {
         if (err) {
-            console.error("Registration delete failed", err);
-            return res.status(500).json({ message: "Failed to delete registration." });
+            console.error("Article delete failed", err);
+            return res.status(500).json({ message: "Failed to delete article." });
         }
         if (this.changes === 0) {
             return res.status(404).json({ message: "Not found." });
         }
+        audit(req, "article.delete", { targetType: "article", targetId: id });
         return res.json({ message: "Deleted" });
     });
 });
 
-// Boot database and start the server
-initializeDatabase();
+// Admin accounts: usernames are short handles; invites are single-use links valid for a week
+const usernameRegex = /^[A-Za-z0-9._-]{3,32}$/;
+const INVITE_TTL_MS = 1000 * 60 * 60 * 24 * 7;
+const ADMIN_USER_COLUMNS = `id, username, email, role, disabled, created_at, invite_expires_at, totp_enabled,
+    password_hash = '' AS invite_pending`;
+
+// Admin emails only receive password reset links, so a loose shape check is enough
+const adminEmailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Validate a new admin account; leaving out the password sends an invite instead
+const validateAdminUser = (payload) => {
+    if (!payload) {
+        return "Missing user data.";
+    }
+    if (!usernameRegex.test(String(payload.username || ""))) {
+        return "Username must be 3-32 letters, digits, dots, dashes or underscores.";
+    }
+    if (!ADMIN_ROLES.includes(payload.role)) {
+        return `Role must be one of: ${ADMIN_ROLES.join(", ")}.`;
+    }
+    if (payload.email && !adminEmailRegex.test(String(payload.email))) {
+        return "Please enter a valid email address.";
+    }
+    if (payload.password) {
+        return checkPasswordStrength(payload.password, { username: payload.username });
+    }
+    return null;
+};
+
+// Issue a fresh invite token for an account and return the link that accepts it
+const createInvite = async (req, adminId) => {
+    const token = crypto.randomBytes(32).toString("hex");
+    await dbRun("UPDATE admins SET invite_token_hash = ?, invite_expires_at = ? WHERE id = ?", [
+        hashToken(token),
+        new Date(Date.now() + INVITE_TTL_MS).toISOString(),
+        adminId
+    ]);
+    return `${publicUrl(req)}/admin.html?invite=${token}`;
+};
+
+// Look up the pending account an invite token belongs to, if it hasn't expired
+const findInvite = (token) =>
+    dbGet(
+        `SELECT id, username FROM admins
+         WHERE invite_token_hash = ? AND invite_expires_at > ? AND password_hash = '' AND disabled = 0`,
+        [hashToken(String(token)), new Date().toISOString()]
+    );
+
+// Owner-only: list admin accounts
+app.get("/api/admin/users", requirePermission("users.manage"), async (req, res) => {
+    try {
+        const rows = await dbAll(`SELECT ${ADMIN_USER_COLUMNS} FROM admins ORDER BY username`);
+        return res.json({ data: rows, roles: ADMIN_ROLES });
+    } catch (err) {
+        console.error("Admin user fetch failed", err);
+        return res.status(500).json({ message: "Failed to fetch users." });
+    }
+});
+
+// Owner-only: create an admin with a password, or without one to get an invite link
+app.post("/api/admin/users", requirePermission("users.manage"), async (req, res) => {
+    const error = validateAdminUser(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    const { username, role, password } = req.body;
+    const email = req.body.email ? String(req.body.email).trim() : null;
+    try {
+        const passwordHash = password ? await bcrypt.hash(password, 10) : "";
+        const result = await dbRun(
+            "INSERT INTO admins (username, password_hash, role, created_at, email) VALUES (?, ?, ?, ?, ?)",
+            [username, passwordHash, role, new Date().toISOString(), email]
+        );
+        const inviteUrl = password ? null : await createInvite(req, result.lastID);
+        await audit(req, password ? "user.create" : "user.invite", {
+            targetType: "admin",
+            targetId: result.lastID,
+            details: { username, role }
+        });
+        return res.status(201).json({ message: "Created", id: result.lastID, inviteUrl });
+    } catch (err) {
+        if (err.code === "SQLITE_CONSTRAINT") {
+            return res.status(409).json({ message: "That username is already taken." });
+        }
+        console.error("Admin user insert failed", err);
+        return res.status(500).json({ message: "Failed to create user." });
+    }
+});
+
+// Owner-only: change another admin's role or disable/enable the account
+app.put("/api/admin/users/:id", requirePermission("users.manage"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+    const { role, disabled } = req.body || {};
+    if (!ADMIN_ROLES.includes(role) || typeof disabled !== "boolean") {
+        return res.status(400).json({ message: `Provide a role (${ADMIN_ROLES.join(", ")}) and disabled flag.` });
+    }
+    // The acting owner always stays an active owner, so the dashboard can't be locked out
+    if (id === req.admin.id) {
+        return res.status(400).json({ message: "You can't change your own role or disable yourself." });
+    }
+
+    try {
+        const before = await dbGet(`SELECT ${ADMIN_USER_COLUMNS} FROM admins WHERE id = ?`, [id]);
+        if (!before) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        const after = { ...before, role, disabled: disabled ? 1 : 0 };
+        await dbRun("UPDATE admins SET role = ?, disabled = ? WHERE id = ?", [after.role, after.disabled, id]);
+        if (after.disabled) {
+            await destroyAdminSessions(id);
+        }
+        await audit(req, "user.update", {
+            targetType: "admin",
+            targetId: id,
+            details: { username: before.username, changes: diffRows(before, after, ["role", "disabled"]) }
+        });
+        return res.json({ message: "Updated" });
+    } catch (err) {
+        console.error("Admin user update failed", err);
+        return res.status(500).json({ message: "Failed to update user." });
+    }
+});
+
+// Owner-only: send a fresh invite link to an account that hasn't set its password yet
+app.post("/api/admin/users/:id/invite", requirePermission("users.manage"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+
+    try {
+        const row = await dbGet("SELECT id, username, password_hash FROM admins WHERE id = ?", [id]);
+        if (!row) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        if (row.password_hash) {
+            return res.status(409).json({ message: "This user has already accepted their invite." });
+        }
+        const inviteUrl = await createInvite(req, id);
+        await audit(req, "user.invite", { targetType: "admin", targetId: id, details: { username: row.username } });
+        return res.json({ message: "Invite renewed", inviteUrl });
+    } catch (err) {
+        console.error("Admin invite failed", err);
+        return res.status(500).json({ message: "Failed to renew invite." });
+    }
+});
+
+// Owner-only: clear another admin's two-factor setup after they lose their device and codes
+app.delete("/api/admin/users/:id/totp", requirePermission("users.manage"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+    if (id === req.admin.id) {
+        return res.status(400).json({ message: "Use your own security settings to change two-factor." });
+    }
+
+    try {
+        const row = await dbGet("SELECT id, username FROM admins WHERE id = ?", [id]);
+        if (!row) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        await withTransaction(async () => {
+            await dbRun("UPDATE admins SET totp_enabled = 0, totp_secret = NULL WHERE id = ?", [id]);
+            await dbRun("DELETE FROM admin_recovery_codes WHERE admin_id = ?", [id]);
+        });
+        await audit(req, "totp.reset", { targetType: "admin", targetId: id, details: { username: row.username } });
+        return res.json({ message: "Two-factor reset" });
+    } catch (err) {
+        console.error("Two-factor reset failed", err);
+        return res.status(500).json({ message: "Failed to reset two-factor." });
+    }
+});
+
+// Owner-only: delete another admin account; history keeps the username through the audit log
+app.delete("/api/admin/users/:id", requirePermission("users.manage"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ message: "Invalid id." });
+    }
+    if (id === req.admin.id) {
+        return res.status(400).json({ message: "You can't delete your own account." });
+    }
+
+    try {
+        const row = await dbGet(`SELECT ${ADMIN_USER_COLUMNS} FROM admins WHERE id = ?`, [id]);
+        if (!row) {
+            return res.status(404).json({ message: "Not found." });
+        }
+        await withTransaction(async () => {
+            await dbRun("DELETE FROM admin_recovery_codes WHERE admin_id = ?", [id]);
+            await dbRun("DELETE FROM password_resets WHERE admin_id = ?", [id]);
+            await dbRun("DELETE FROM admins WHERE id = ?", [id]);
+        });
+        await destroyAdminSessions(id);
+        await audit(req, "user.delete", {
+            targetType: "admin",
+            targetId: id,
+            details: { username: row.username, role: row.role }
+        });
+        return res.json({ message: "Deleted" });
+    } catch (err) {
+        console.error("Admin user delete failed", err);
+        return res.status(500).json({ message: "Failed to delete user." });
+    }
+});
+
+// Public: check an invite link before showing the set-password form
+app.get("/api/admin/invites/:token", async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    try {
+        const invite = await findInvite(req.params.token);
+        if (!invite) {
+            return res.status(404).json({ message: "This invite link is invalid or has expired." });
+        }
+        return res.json({ username: invite.username });
+    } catch (err) {
+        console.error("Invite lookup failed", err);
+        return res.status(500).json({ message: "Failed to check invite." });
+    }
+});
+
+// Public: accept an invite by choosing a password; the token stops working afterwards
+app.post("/api/admin/invites/:token", async (req, res) => {
+    try {
+        const invite = await findInvite(req.params.token);
+        if (!invite) {
+            return res.status(404).json({ message: "This invite link is invalid or has expired." });
+        }
+        const error = checkPasswordStrength((req.body || {}).password, { username: invite.username });
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        const passwordHash = await bcrypt.hash(req.body.password, 10);
+        const result = await dbRun(
+            `UPDATE admins SET password_hash = ?, invite_token_hash = NULL, invite_expires_at = NULL
+             WHERE id = ? AND password_hash = ''`,
+            [passwordHash, invite.id]
+        );
+        if (!result.changes) {
+            return res.status(404).json({ message: "This invite link is invalid or has expired." });
+        }
+        await audit(req, "user.invite.accept", {
+            adminId: invite.id,
+            username: invite.username,
+            targetType: "admin",
+            targetId: invite.id
+        });
+        return res.json({ message: "Password set. You can now sign in.", username: invite.username });
+    } catch (err) {
+        console.error("Invite accept failed", err);
+        return res.status(500).json({ message: "Failed to accept invite." });
+    }
+});
+
+// Admin-only: browse the audit log, newest first, a page at a time
+app.get("/api/admin/audit", requirePermission("audit.read"), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    const clauses = [];
+    const params = [];
+
+    if (req.query.action) {
+        // "registration" matches every registration.* action; "registration.update" only that one
+        clauses.push("(action = ? OR action LIKE ? ESCAPE '\\')");
+        params.push(String(req.query.action), `${String(req.query.action).replace(/[%_\\]/g, "\\$&")}.%`);
+    }
+    if (req.query.username) {
+        clauses.push("username = ? COLLATE NOCASE");
+        params.push(String(req.query.username));
+    }
+    if (req.query.targetType) {
+        clauses.push("target_type = ?");
+        params.push(String(req.query.targetType));
+    }
+    if (req.query.targetId) {
+        clauses.push("target_id = ?");
+        params.push(Number(req.query.targetId));
+    }
+    for (const [param, clause] of [
+        ["from", "date(created_at) >= ?"],
+        ["to", "date(created_at) <= ?"]
+    ]) {
+        if (req.query[param]) {
+            if (!dateRegex.test(String(req.query[param]))) {
+                return res.status(400).json({ message: `${param} must use YYYY-MM-DD format.` });
+            }
+            clauses.push(clause);
+            params.push(String(req.query[param]));
+        }
+    }
+
+    const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), 200);
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+
+    try {
+        const rows = await dbAll(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [
+            ...params,
+            limit,
+            (page - 1) * limit
+        ]);
+        const { total } = await dbGet(`SELECT COUNT(*) AS total FROM audit_log ${where}`, params);
+        return res.json({
+            data: rows.map((row) => ({ ...row, details: JSON.parse(row.details || "{}") })),
+            page,
+            limit,
+            total,
+            totalPages: Math.max(Math.ceil(total / limit), 1)
+        });
+    } catch (err) {
+        console.error("Audit log fetch failed", err);
+        return res.status(500).json({ message: "Failed to fetch audit log." });
+    }
+});
+
+// Admin-only: recompute the hash chain and report the first entry that was tampered with
+app.get("/api/admin/audit/verify", requirePermission("audit.read"), async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    const batchSize = 1000;
+    try {
+        let prevHash = GENESIS_HASH;
+        let checked = 0;
+        for (let afterId = 0; ; ) {
+            const entries = await dbAll("SELECT * FROM audit_log WHERE id > ? ORDER BY id LIMIT ?", [afterId, batchSize]);
+            const result = verifyAuditChain(entries, prevHash);
+            if (!result.valid) {
+                return res.json({ ...result, checked: checked + entries.findIndex((entry) => entry.id === result.brokenAt) });
+            }
+            checked += entries.length;
+            if (entries.length < batchSize) {
+                return res.json({ valid: true, brokenAt: null, reason: null, checked });
+            }
+            prevHash = result.lastHash;
+            afterId = entries[entries.length - 1].id;
+        }
+    } catch (err) {
+        console.error("Audit log verification failed", err);
+        return res.status(500).json({ message: "Failed to verify audit log." });
+    }
+});
 
-app.listen(PORT, () => {
-    console.log(`Server running at http://localhost:${PORT}`);
+// Malformed or oversized request bodies get a JSON answer like every other API error
+app.use((err, req, res, next) => {
+    if (err.type === "entity.too.large") {
+        return res.status(413).json({ message: "Request body is too large." });
+    }
+    if (err.type === "entity.parse.failed") {
+        return res.status(400).json({ message: "Request body is not valid JSON." });
+    }
+    return next(err);
 });
+
+// Boot database and start the server; a database the migrations can't handle stops the boot
+initializeDatabase()
+    .then(() => {
+        mailQueue.start();
+        webhooks.start();
+        trashPurge.start();
+        app.listen(PORT, () => {
+            console.log(`Server running at http://localhost:${PORT}`);
+        });
+    })
+    .catch((err) => {
+        console.error("Database migration failed", err.message);
+        process.exit(1);
+    });
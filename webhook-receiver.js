@@ -0,0 +1,48 @@
+// Stand-in webhook receiver for trying webhooks out locally:
+//   WEBHOOK_SECRET=whsec_... npm run webhook-receiver -- [port]
+// Register http://localhost:<port>/ (default 4000) as an endpoint in the admin Webhooks tab. Each
+// request is printed with whether its signature and timestamp check out. RECEIVER_STATUS makes it
+// answer with another status code (e.g. 500) to watch the server retry.
+const http = require("http");
+const crypto = require("crypto");
+const { signWebhook } = require("./lib/webhooks");
+
+const PORT = Number(process.argv[2]) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET || "";
+const STATUS = Number(process.env.RECEIVER_STATUS) || 200;
+
+// Requests signed longer ago than this are treated as replays
+const MAX_AGE_SECONDS = 5 * 60;
+
+// Whether the signature matches and the timestamp is recent, and why not when it isn't
+const verify = (headers, body) => {
+    if (!SECRET) {
+        return "not checked (set WEBHOOK_SECRET)";
+    }
+    const timestamp = Number(headers["x-webhook-timestamp"]);
+    if (!Number.isInteger(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > MAX_AGE_SECONDS) {
+        return "REJECTED: timestamp missing or too old";
+    }
+    const expected = Buffer.from(signWebhook(SECRET, timestamp, body));
+    const received = Buffer.from(String(headers["x-webhook-signature"] || ""));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return "REJECTED: signature mismatch";
+    }
+    return "valid";
+};
+
+http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+        const body = Buffer.concat(chunks).toString("utf8");
+        const signature = verify(req.headers, body);
+        console.log(`${new Date().toISOString()} ${req.method} ${req.url} ${req.headers["x-webhook-event"] || "-"}`);
+        console.log(`  id ${req.headers["x-webhook-id"] || "-"}, signature ${signature}, answering ${STATUS}`);
+        console.log(`  ${body}`);
+        res.writeHead(signature.startsWith("REJECTED") ? 401 : STATUS, { "Content-Type": "text/plain" });
+        res.end(signature.startsWith("REJECTED") ? signature : "ok");
+    });
+}).listen(PORT, () => {
+    console.log(`Webhook receiver listening on http://localhost:${PORT}/`);
+});